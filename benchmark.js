@@ -0,0 +1,104 @@
+/**
+ * BENCHMARK SCENE
+ * Fills the world with N bullets and M blocks and times the simulation step,
+ * with and without the collision broad phase (spatial.js)
+ *
+ * Browser: open index.html?benchmark=500x60 (bullets x blocks), results go to
+ * the debug console. Node: import runBenchmark() and call it.
+ */
+
+import { SIMULATION_STEP, BASE_BULLET_SPEED, BULLET_WIDTH, BULLET_HEIGHT, ENEMY_TYPES } from './config.js';
+import { bullets, blocks, bulletPool, blockPool, random, setMaxBounces, setBulletDamage } from './state.js';
+import { initSimulation, advance } from './simulation.js';
+import { setBroadPhaseEnabled } from './spatial.js';
+
+const BENCHMARK_SEED = 12345;
+
+// Parse "500x60" (bullets x blocks); null if not a valid spec
+export function parseBenchmarkSpec(value) {
+  const match = /^(\d+)x(\d+)$/.exec(String(value || '').trim());
+  return match ? { bullets: Number(match[1]), blocks: Number(match[2]) } : null;
+}
+
+// Fresh run with the requested number of bullets and blocks
+function setupScene(options) {
+  initSimulation({ width: options.width, height: options.height, seed: BENCHMARK_SEED });
+
+  // Keep everything alive for the whole measurement
+  setMaxBounces(Infinity);
+  setBulletDamage(0);
+
+  // Blocks in the upper half so they don't reach the line while we measure
+  const size = ENEMY_TYPES.SMALL.size;
+  for (let i = 0; i < options.blocks; i++) {
+    const x = random() * (options.width - size);
+    const y = random() * (options.height / 2 - size);
+    blocks.push(Object.assign(blockPool.acquire(), {
+      x, y, prevX: x, prevY: y,
+      width: size, height: size,
+      color: ENEMY_TYPES.SMALL.color,
+      hp: 1, maxHp: 1,
+      type: 'SMALL', vx: 0,
+      speed: 0.001 // Practically static (0 would fall back to the level speed)
+    }));
+  }
+
+  const speed = BASE_BULLET_SPEED * 2;
+  for (let i = 0; i < options.bullets; i++) {
+    const angle = random() * Math.PI * 2;
+    const x = random() * (options.width - BULLET_WIDTH);
+    const y = options.height / 2 + random() * (options.height / 2 - BULLET_HEIGHT);
+    bullets.push(Object.assign(bulletPool.acquire(), {
+      x, y, prevX: x, prevY: y,
+      width: BULLET_WIDTH, height: BULLET_HEIGHT,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      bounces: 0,
+      pierce: 0,
+      damage: 0
+    }));
+  }
+}
+
+// Average and worst step time in ms over `steps` steps
+function measure(options) {
+  setupScene(options);
+
+  let total = 0;
+  let worst = 0;
+  for (let i = 0; i < options.steps; i++) {
+    const start = performance.now();
+    advance(SIMULATION_STEP, {});
+    const elapsed = performance.now() - start;
+    total += elapsed;
+    worst = Math.max(worst, elapsed);
+  }
+  return { avg: total / options.steps, max: worst };
+}
+
+// Run the scene with and without the broad phase and report step times
+// options: { bullets, blocks, steps = 300, width = 390, height = 844 }
+export function runBenchmark(options) {
+  const settings = { steps: 300, width: 390, height: 844, ...options };
+
+  // Per-kill/spawn logging would dominate the timings
+  const log = console.log;
+  console.log = () => {};
+  let grid;
+  let bruteForce;
+  try {
+    setBroadPhaseEnabled(true);
+    grid = measure(settings);
+    setBroadPhaseEnabled(false);
+    bruteForce = measure(settings);
+  } finally {
+    setBroadPhaseEnabled(true);
+    console.log = log;
+  }
+
+  const result = { ...settings, grid, bruteForce };
+  console.log(`⏱️ Benchmark ${settings.bullets} bullets x ${settings.blocks} blocks, ${settings.steps} steps`);
+  console.log(`   Grid:        avg ${grid.avg.toFixed(3)}ms, max ${grid.max.toFixed(3)}ms per step`);
+  console.log(`   Brute force: avg ${bruteForce.avg.toFixed(3)}ms, max ${bruteForce.max.toFixed(3)}ms per step`);
+  return result;
+}
@@ -0,0 +1,88 @@
+/**
+ * BOSS FIGHTS
+ * Every BOSS_EVERY_LEVELS levels a boss spawns instead of the elite. It goes
+ * through BOSS_PHASES as it loses HP (faster, invulnerable for a moment, new
+ * minions), normal spawns pause until it's dead, and beating it opens the
+ * boss reward menu instead of a normal upgrade. A boss that reaches the line
+ * hits the tower and the fight ends without a reward
+ *
+ * The boss is an ordinary block of type 'BOSS' (state on the block), so it
+ * moves, collides, saves and replays like any other.
+ */
+
+import { BOSS_EVERY_LEVELS, BOSS_PHASES } from './config.js';
+import { blocks, simTime, currentBlockSpeed, bossPending, setBossPending } from './state.js';
+import { spawnEnemy } from './enemies.js';
+
+// Whether this level starts with a boss fight
+export function isBossLevel(level) {
+  return level % BOSS_EVERY_LEVELS === 0;
+}
+
+// The boss block if a fight is on, otherwise null
+export function getBoss() {
+  for (const block of blocks) {
+    if (block.type === 'BOSS') return block;
+  }
+  return null;
+}
+
+// Boss alive or waiting for room to spawn: normal spawns are paused
+export function isBossFight() {
+  return bossPending || getBoss() !== null;
+}
+
+// Start a boss fight (called on level up)
+// If the top is too crowded the boss waits and updateBoss() retries every step
+export function spawnBoss() {
+  const boss = spawnEnemy('BOSS');
+  if (!boss) {
+    if (!bossPending) console.log('⏳ No room for the boss yet, holding spawns');
+    setBossPending(true);
+    return;
+  }
+  setBossPending(false);
+  console.log(`👹 Boss incoming! HP: ${boss.hp}`);
+}
+
+// Phase the boss should be in for its current HP
+function phaseForHp(boss) {
+  const fraction = boss.hp / boss.maxHp;
+  let phase = 0;
+  for (let i = 1; i < BOSS_PHASES.length; i++) {
+    if (fraction <= BOSS_PHASES[i].hpFraction) phase = i;
+  }
+  return phase;
+}
+
+// Run the boss script for this step: phase changes and minion waves
+export function updateBoss() {
+  if (bossPending) spawnBoss();
+
+  const boss = getBoss();
+  if (!boss) return;
+
+  // Phases only move forward (healers can't undo one)
+  const phase = phaseForHp(boss);
+  if (phase > boss.phase) {
+    const config = BOSS_PHASES[phase];
+    boss.phase = phase;
+    boss.speed = currentBlockSpeed * config.speed;
+    boss.invulnerableUntil = simTime + config.invulnerableFor;
+    boss.nextMinionAt = simTime; // New phase opens with a minion wave
+    console.log(`👹 Boss phase ${phase + 1}/${BOSS_PHASES.length}!`);
+  }
+
+  const config = BOSS_PHASES[boss.phase];
+  if (simTime >= boss.nextMinionAt) {
+    boss.nextMinionAt = simTime + config.minionInterval;
+    for (let i = 0; i < config.minionCount; i++) {
+      spawnEnemy(config.minionType);
+    }
+  }
+}
+
+// Whether the boss is invulnerable right now (HUD)
+export function isBossInvulnerable(boss) {
+  return simTime < boss.invulnerableUntil;
+}
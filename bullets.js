@@ -0,0 +1,139 @@
+/**
+ * BULLETS
+ * Bullet creation (auto-fire, multishot), homing, movement and bounce/lifetime management
+ */
+
+import {
+  BASE_BULLET_SPEED,
+  MULTISHOT_SPREAD,
+  HOMING_RANGE,
+  RAPID_FIRE_COOLDOWN_MULTIPLIER,
+  TRIPLE_SHOT_EXTRA_BULLETS
+} from './config.js';
+import {
+  bullets,
+  blocks,
+  bulletPool,
+  removeBullet,
+  simTime,
+  lastShot,
+  setLastShot,
+  bulletDamage,
+  bulletSpeedMultiplier,
+  lastDirX,
+  lastDirY,
+  isPowerUpActive
+} from './state.js';
+import { getFiringOrigin, updateAimDirection } from './player.js';
+import { moveBullet } from './physics.js';
+import { queryBlocks } from './spatial.js';
+import {
+  getShotCooldown,
+  getShotCount,
+  getBulletSize,
+  getPierce,
+  getHomingTurnRate
+} from './upgrades.js';
+import { recordShots } from './difficulty.js';
+
+// Shoot in the aimed direction (respects the cooldown, fire rate upgrades and
+// rapid fire shorten it)
+// Multishot/triple shot fire several bullets fanned out MULTISHOT_SPREAD apart around the aim
+export function shootBulletInDirection() {
+  const cooldown = isPowerUpActive('rapidFire')
+    ? getShotCooldown() * RAPID_FIRE_COOLDOWN_MULTIPLIER
+    : getShotCooldown();
+  if (simTime - lastShot < cooldown) return;
+
+  // Tower top center, or the platform's when it carries the gun
+  const { x: originX, y: originY } = getFiringOrigin();
+
+  updateAimDirection();
+
+  setLastShot(simTime);
+  const bulletSpeed = BASE_BULLET_SPEED * bulletSpeedMultiplier;
+  const size = getBulletSize();
+  const count = getShotCount() + (isPowerUpActive('tripleShot') ? TRIPLE_SHOT_EXTRA_BULLETS : 0);
+
+  for (let i = 0; i < count; i++) {
+    // Rotate the aim direction (angle 0 for a single bullet keeps it exact)
+    const angle = (i - (count - 1) / 2) * MULTISHOT_SPREAD;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const dirX = lastDirX * cos - lastDirY * sin;
+    const dirY = lastDirX * sin + lastDirY * cos;
+
+    // Projectile from the firing origin (pooled object: set every field)
+    const bullet = bulletPool.acquire();
+    bullet.x = originX - size / 2;
+    bullet.y = originY - size;
+    bullet.prevX = bullet.x;
+    bullet.prevY = bullet.y;
+    bullet.width = size;
+    bullet.height = size;
+    bullet.vx = dirX * bulletSpeed;
+    bullet.vy = dirY * bulletSpeed;
+    bullet.bounces = 0;
+    bullet.pierce = getPierce();
+    bullet.damage = bulletDamage;
+    bullet.hasHit = false;
+    bullet.kills = 0;
+    bullets.push(bullet);
+  }
+  recordShots(count);
+}
+
+// Turn a bullet toward the nearest block center within HOMING_RANGE, by at
+// most `turnRate` radians per second (speed is kept)
+function steerBullet(bullet, turnRate, dt) {
+  const centerX = bullet.x + bullet.width / 2;
+  const centerY = bullet.y + bullet.height / 2;
+  const nearby = queryBlocks(
+    centerX - HOMING_RANGE, centerY - HOMING_RANGE,
+    centerX + HOMING_RANGE, centerY + HOMING_RANGE
+  );
+
+  let target = null;
+  let bestDistance = HOMING_RANGE * HOMING_RANGE;
+  for (const block of nearby) {
+    const dx = block.x + block.width / 2 - centerX;
+    const dy = block.y + block.height / 2 - centerY;
+    const distance = dx * dx + dy * dy;
+    if (distance < bestDistance) {
+      bestDistance = distance;
+      target = block;
+    }
+  }
+  if (!target) return;
+
+  const heading = Math.atan2(bullet.vy, bullet.vx);
+  const wanted = Math.atan2(
+    target.y + target.height / 2 - centerY,
+    target.x + target.width / 2 - centerX
+  );
+  // Shortest signed angle from heading to wanted, in (-PI, PI]
+  let turn = wanted - heading;
+  if (turn > Math.PI) turn -= Math.PI * 2;
+  else if (turn <= -Math.PI) turn += Math.PI * 2;
+  const maxTurn = turnRate * dt;
+  turn = Math.max(-maxTurn, Math.min(maxTurn, turn));
+
+  const speed = Math.hypot(bullet.vx, bullet.vy);
+  bullet.vx = Math.cos(heading + turn) * speed;
+  bullet.vy = Math.sin(heading + turn) * speed;
+}
+
+// Move bullets, bouncing off walls and blocks (dt in seconds)
+// Call after the blocks moved: bullets are swept against their new positions
+export function updateBullets(dt) {
+  const turnRate = blocks.length > 0 ? getHomingTurnRate() : 0;
+  for (let i = bullets.length - 1; i >= 0; i--) {
+    if (turnRate > 0) steerBullet(bullets[i], turnRate, dt);
+
+    // Remove bullets that exceed max bounces (swap-remove: going backwards,
+    // the bullet swapped into slot i has already moved this step)
+    if (!moveBullet(bullets[i], dt)) {
+      removeBullet(i);
+    }
+  }
+}
@@ -4,45 +4,322 @@
  * Change values here to adjust game balance
  */
 
+// === SIMULATION TIMING ===
+// The game logic advances in fixed steps regardless of display refresh rate,
+// so all speeds below are expressed per second.
+export const SIMULATION_STEP = 1 / 60;    // Seconds per update step (60 Hz)
+export const MAX_FRAME_TIME = 0.25;       // Longest frame we try to catch up on (s)
+export const MAX_STEPS_PER_FRAME = 8;     // Drop the backlog beyond this (spiral-of-death guard)
+
 // === BULLET/PROJECTILE SETTINGS ===
-export const BASE_BULLET_SPEED = 7;
+export const BASE_BULLET_SPEED = 420; // px per second
 export const BULLET_WIDTH = 6;
 export const BULLET_HEIGHT = 6;
 export const BULLET_COOLDOWN = 150; // ms between shots
+export const AIM_MIN_DRAG_DISTANCE = 10; // px of drag before the aim direction changes
+export const MAX_COLLISIONS_PER_STEP = 16; // Bounces resolved per bullet per step (safety cap)
 
 // === ENEMY/BLOCK SETTINGS ===
-export const BLOCK_SIZES = {
-  LARGE: { size: 80, hp: 3, color: '#e74c3c' },  // Red
-  MEDIUM: { size: 60, hp: 2, color: '#3498db' }, // Blue
-  SMALL: { size: 40, hp: 1, color: '#2ecc71' }   // Green
-};
-
-export const BLOCK_SPEED = 0.4;
+// Enemy kinds (size, HP, color, score...) are in ENEMY_TYPES below
+export const BLOCK_SPEED = 24; // px per second
 export const BLOCK_SPAWN_INTERVAL = 4000; // ms between spawns (4s = half of original 2s)
+export const SPLIT_HP_RATIO = 0.5; // Split children get ceil(parent maxHp * ratio)
+
+// Double spawns at higher levels
+export const DOUBLE_SPAWN_MIN_LEVEL = 3;  // First level where double spawns can happen
+export const DOUBLE_SPAWN_CHANCE = 0.3;   // Chance per spawn tick
+export const DOUBLE_SPAWN_OFFSET = 100;   // Second block starts this many px higher
 
 // === PLAYER SETTINGS ===
 export const PLAYER_WIDTH = 80;
 export const PLAYER_HEIGHT = 20;
-export const PLAYER_SPEED = 6;
+export const PLAYER_SPEED = 360; // px per second
+export const PLAYER_OFFSET_BOTTOM = 20; // Distance from bottom safe area
+
+// === PLATFORM (PADDLE) ===
+// How the player platform behaves, picked in Settings and fixed for a run:
+// it can stay put under the tower (classic), move as a paddle bullets ricochet
+// off, or move and also be where the shots come from
+export const PLATFORM_MODES = {
+  fixed: { name: 'Fixed' },
+  move: { name: 'Paddle' },
+  moveAndFire: { name: 'Paddle + Fire' }
+};
+export const PLATFORM_TOUCH_MARGIN = 40;     // px above the platform where a touch drags it instead of aiming
+export const PADDLE_MAX_ANGLE = Math.PI / 3; // Ricochet angle from vertical at the platform's edge
+export const PADDLE_DAMAGE_BONUS = 1;        // + damage for a bullet caught after it already bounced
 
 // === PROGRESSION SETTINGS ===
 export const INITIAL_REQUIRED_KILLS = 10;
 export const KILLS_INCREMENT_PER_LEVEL = 5; // Each level adds 5 to required kills
 
+// === COMBOS & SCORE BONUSES ===
+// A kill's points: (type score + bounce bonus + multi-kill bonus) x combo multiplier
+export const COMBO_WINDOW = 2000;              // ms after a kill the next one keeps the combo going
+export const COMBO_STEP_KILLS = 10;            // Kills in a row per multiplier step
+export const COMBO_STEP_MULTIPLIER = 0.5;      // x1.5 at 10 kills, x2 at 20...
+export const COMBO_MAX_MULTIPLIER = 3;
+export const BOUNCE_BONUS_PER_BOUNCE = 0.25;   // Of the type score, per bounce before the killing hit
+export const BOUNCE_BONUS_MAX_BOUNCES = 4;
+export const MULTI_KILL_BONUS = 25;            // 2nd kill of one bullet +25, 3rd +50... (splash/chain count)
+export const SCORE_TEXT_DURATION = 800;        // ms floating score text stays on screen
+export const SCORE_TEXT_RISE = 40;             // px it floats up meanwhile
+export const COMBO_COLOR = '#f1c40f';
+
 // === UPGRADE SETTINGS ===
 export const SPEED_UPGRADE_INCREMENT = 0.02; // +2% per upgrade
 export const DAMAGE_UPGRADE_INCREMENT = 1;   // +1 damage per upgrade
 export const BOUNCE_UPGRADE_INCREMENT = 1;   // +1 bounce per upgrade
 
+// === UPGRADE CATALOG ===
+// Each level up draws UPGRADE_CHOICES different upgrades from the catalog,
+// weighted by rarity; upgrades already stacked `max` times aren't drawn.
+// Per upgrade: icon, name, rarity, max stacks and the menu description
+// (effects per stack are the constants below; upgrades.js reads them)
+export const UPGRADE_RARITIES = {
+  common: { weight: 60, color: '#95a5a6' },
+  rare: { weight: 30, color: '#3498db' },
+  epic: { weight: 10, color: '#9b59b6' }
+};
+
+export const UPGRADE_CATALOG = {
+  damage: { icon: '⚔️', name: 'Damage', rarity: 'common', max: 20, desc: `+${DAMAGE_UPGRADE_INCREMENT} bullet damage` },
+  speed: { icon: '⚡', name: 'Speed', rarity: 'common', max: 10, desc: `+${SPEED_UPGRADE_INCREMENT * 100}% bullet speed` },
+  bounce: { icon: '🎾', name: 'Bounce', rarity: 'common', max: 10, desc: `+${BOUNCE_UPGRADE_INCREMENT} bounce per bullet` },
+  fireRate: { icon: '🔫', name: 'Fire Rate', rarity: 'common', max: 5, desc: '15% shorter cooldown' },
+  size: { icon: '🔵', name: 'Big Bullets', rarity: 'common', max: 4, desc: '+2px bullet size' },
+  multishot: { icon: '🔱', name: 'Multishot', rarity: 'rare', max: 3, desc: '+1 bullet per shot (spread)' },
+  pierce: { icon: '🗡️', name: 'Piercing', rarity: 'rare', max: 3, desc: 'Pass through +1 block' },
+  crit: { icon: '🎯', name: 'Critical', rarity: 'rare', max: 5, desc: '+10% chance of double damage' },
+  explosive: { icon: '💣', name: 'Explosive', rarity: 'epic', max: 3, desc: 'Hits splash nearby blocks' },
+  homing: { icon: '🧲', name: 'Homing', rarity: 'epic', max: 3, desc: 'Bullets curve toward blocks' },
+  chain: { icon: '🌩️', name: 'Chain Lightning', rarity: 'epic', max: 3, desc: 'Kills zap +1 nearby block' },
+  reinforce: { icon: '🏰', name: 'Reinforce', rarity: 'common', max: 5, desc: '+20 max tower HP, repaired' },
+  armor: { icon: '🧱', name: 'Armor', rarity: 'rare', max: 3, desc: 'Tower takes 15% less damage' }
+};
+
+export const UPGRADE_CHOICES = 3;           // Upgrades offered per level up
+export const UPGRADE_REROLLS_PER_LEVEL = 1; // Redraws allowed per level up menu
+export const UPGRADE_SKIP_SCORE = 50;       // Points for skipping the upgrade (no combo)
+
+// Effects per stack
+export const FIRE_RATE_UPGRADE_MULTIPLIER = 0.85; // Cooldown x0.85 per stack
+export const SIZE_UPGRADE_INCREMENT = 2;          // px added to bullet width/height
+export const MULTISHOT_SPREAD = 0.12;             // Radians between bullets of one shot
+export const CRIT_CHANCE_PER_STACK = 0.1;
+export const CRIT_DAMAGE_MULTIPLIER = 2;
+export const EXPLOSION_RADIUS_PER_STACK = 30;     // px around the impact point
+export const EXPLOSION_DAMAGE_RATIO = 0.5;        // Of the hit's damage (rounded down, at least 1)
+export const HOMING_TURN_RATE_PER_STACK = 1.5;    // Radians per second
+export const HOMING_RANGE = 200;                  // px to the block's center
+export const CHAIN_TARGETS_PER_STACK = 1;
+export const CHAIN_RANGE = 150;                   // px between block centers
+export const CHAIN_DAMAGE_RATIO = 0.5;            // Of the hit's damage (rounded down, at least 1)
+export const UPGRADE_EFFECT_DURATION = 200;       // ms explosions/lightning stay on screen
+
+// Owning every upgrade in `requires` unlocks the bonus (see upgrades.js)
+export const UPGRADE_SYNERGIES = {
+  critBlast: { requires: ['crit', 'explosive'], name: 'Critical Blast', desc: 'Critical hits explode twice as wide' },
+  seeker: { requires: ['multishot', 'homing'], name: 'Seeker Swarm', desc: 'Homing turns twice as fast' },
+  storm: { requires: ['pierce', 'chain'], name: 'Storm Lance', desc: 'Pierced blocks also chain lightning' }
+};
+
 // === HP SCALING ===
 export const NORMAL_ENEMY_HP_MULTIPLIER = 5;  // HP = level * 5
 export const ELITE_ENEMY_HP_MULTIPLIER = 10;  // HP = level * 10
-export const ELITE_SIZE_GROWTH = 10;          // Elite size grows by level * 10
 
-// === DIFFICULTY SCALING ===
-export const SPEED_INCREASE_PER_LEVEL = 0.15;  // 15% speed increase per level
-export const SPAWN_INTERVAL_DECREASE = 0.9;    // 10% faster spawns per level (multiply by 0.9)
-export const MIN_SPAWN_INTERVAL = 500;         // Minimum spawn interval (ms)
+// === ENEMY TYPES ===
+// Registry of every enemy kind; enemies.js spawns, splits and scores from it
+// and enemytypes.js implements the behaviors. Per type:
+//   size, color         - square size in px (+ sizePerLevel px per level)
+//   hp                  - { base, perLevel }: base + perLevel * level (x the difficulty's enemyHp)
+//                         (split children get ceil(parent maxHp * split.hpRatio) instead)
+//   speed               - multiplier of the level's block speed
+//   score, countsAsKill - points, and whether it counts toward level progress
+//   split               - { into, count, hpRatio } when destroyed, or null
+//   spawn               - { minLevel, weight } in the random spawn table, or null
+//   behaviors           - behavior hooks from enemytypes.js ('zigzag', 'shield', 'heal', 'boss')
+//   glow                - drawn with the white elite outline
+export const ENEMY_TYPES = {
+  LARGE: {
+    size: 80, color: '#e74c3c', // Red
+    hp: { base: 0, perLevel: NORMAL_ENEMY_HP_MULTIPLIER }, speed: 1,
+    score: 30, countsAsKill: false,
+    split: { into: 'MEDIUM', count: 2, hpRatio: SPLIT_HP_RATIO },
+    spawn: { minLevel: 1, weight: 10 }
+  },
+  MEDIUM: {
+    size: 60, color: '#3498db', // Blue
+    hp: { base: 0, perLevel: NORMAL_ENEMY_HP_MULTIPLIER }, speed: 1,
+    score: 20, countsAsKill: false,
+    split: { into: 'SMALL', count: 2, hpRatio: SPLIT_HP_RATIO },
+    spawn: null
+  },
+  SMALL: {
+    size: 40, color: '#2ecc71', // Green
+    hp: { base: 0, perLevel: NORMAL_ENEMY_HP_MULTIPLIER }, speed: 1,
+    score: 10, countsAsKill: true,
+    split: null,
+    spawn: null
+  },
+  ELITE: {
+    size: 80, sizePerLevel: 10, color: '#9b59b6', // Purple, grows with level
+    hp: { base: 0, perLevel: ELITE_ENEMY_HP_MULTIPLIER }, speed: 0.8, // Slower but tankier
+    score: 100, countsAsKill: true,
+    split: null,
+    spawn: null, // Spawned on level up
+    glow: true
+  },
+  ZIGZAG: {
+    size: 60, color: '#f1c40f', // Yellow, drifts sideways
+    hp: { base: 0, perLevel: 3 }, speed: 0.9,
+    score: 40, countsAsKill: true,
+    split: null,
+    spawn: { minLevel: 2, weight: 3 },
+    behaviors: ['zigzag']
+  },
+  RUNNER: {
+    size: 40, color: '#ff6b81', // Pink, fast and fragile
+    hp: { base: 0, perLevel: 2 }, speed: 2.5,
+    score: 40, countsAsKill: true,
+    split: null,
+    spawn: { minLevel: 3, weight: 2 }
+  },
+  SHIELDED: {
+    size: 60, color: '#7f8c8d', // Grey, one open face
+    hp: { base: 0, perLevel: 4 }, speed: 0.8,
+    score: 50, countsAsKill: true,
+    split: null,
+    spawn: { minLevel: 4, weight: 2 },
+    behaviors: ['shield']
+  },
+  SPLITTER: {
+    size: 80, color: '#e67e22', // Orange, bursts into three
+    hp: { base: 0, perLevel: 4 }, speed: 0.9,
+    score: 40, countsAsKill: false,
+    split: { into: 'SMALL', count: 3, hpRatio: 0.4 },
+    spawn: { minLevel: 5, weight: 2 }
+  },
+  HEALER: {
+    size: 60, color: '#1abc9c', // Teal, heals blocks around it
+    hp: { base: 0, perLevel: 4 }, speed: 0.7,
+    score: 60, countsAsKill: true,
+    split: null,
+    spawn: { minLevel: 6, weight: 1 },
+    behaviors: ['heal']
+  },
+  BOSS: {
+    size: 160, color: '#c0392b', // Dark red; phases and minions in boss.js
+    hp: { base: 0, perLevel: 40 }, speed: 1, // Speed is set per phase (BOSS_PHASES)
+    score: 500, countsAsKill: false,
+    split: null,
+    spawn: null, // Spawned every BOSS_EVERY_LEVELS levels instead of the elite
+    behaviors: ['boss'],
+    glow: true
+  }
+};
+
+// Behavior tuning (see enemytypes.js)
+export const ZIGZAG_SPEED = 60;         // px per second sideways, reverses at walls/blocks
+export const SHIELD_OPEN_FACES = ['top', 'left', 'right', 'bottom']; // One is picked per shielded block
+export const HEALER_INTERVAL = 2000;    // ms between heals
+export const HEALER_RADIUS = 120;       // px from the healer's center to a block's center
+export const HEALER_AMOUNT = 1;         // HP restored per heal (up to maxHp)
+
+// === BOSS ===
+export const BOSS_EVERY_LEVELS = 5; // Levels 5, 10, 15... start with a boss fight (no normal spawns until it's dead)
+
+// A phase starts once the boss HP drops to hpFraction of its max (first one at spawn)
+//   speed: multiplier of the level's block speed
+//   minionType/minionCount/minionInterval: minions summoned from the top every interval (ms)
+//   invulnerableFor: ms the boss can't be damaged when the phase starts
+export const BOSS_PHASES = [
+  { hpFraction: 1, speed: 0.3, minionType: 'SMALL', minionCount: 1, minionInterval: 4000, invulnerableFor: 0 },
+  { hpFraction: 0.66, speed: 0.5, minionType: 'RUNNER', minionCount: 2, minionInterval: 3500, invulnerableFor: 2000 },
+  { hpFraction: 0.33, speed: 0.7, minionType: 'ZIGZAG', minionCount: 2, minionInterval: 3000, invulnerableFor: 3000 }
+];
+
+// Reward choices after a boss is defeated (instead of a normal upgrade)
+export const BOSS_REWARD_DAMAGE = 3;   // Damage added by 'bossDamage'
+export const BOSS_REWARD_BOUNCES = 2;  // Bounces added by 'bossBounce'
+// 'bossClear' destroys every block on screen, not the ones still above it (no score)
+
+// === PICKUPS & POWER-UPS ===
+// Destroyed blocks sometimes drop a pickup that falls toward the bottom; it's
+// collected by shooting it or catching it with the platform/tower.
+// Per power-up: icon, color, weight in the drop roll and duration in ms
+// (0 = instant: 'bomb' clears the blocks on screen, 'repair' heals the tower,
+// 'shield' is held until it's used)
+export const PICKUP_DROP_CHANCE = 0.08; // Per destroyed block
+export const PICKUP_SIZE = 26;          // px
+export const PICKUP_FALL_SPEED = 70;    // px per second
+export const POWER_UPS = {
+  rapidFire: { icon: '🔥', name: 'Rapid Fire', color: '#e67e22', weight: 30, duration: 8000 },
+  tripleShot: { icon: '🔱', name: 'Triple Shot', color: '#1abc9c', weight: 30, duration: 8000 },
+  slowMo: { icon: '🐌', name: 'Slow Motion', color: '#5dade2', weight: 20, duration: 6000 },
+  bomb: { icon: '💣', name: 'Bomb', color: '#c0392b', weight: 8, duration: 0 },
+  shield: { icon: '🛡️', name: 'Shield', color: '#f1c40f', weight: 12, duration: 0 },
+  repair: { icon: '🔧', name: 'Repair', color: '#27ae60', weight: 15, duration: 0 }
+};
+export const RAPID_FIRE_COOLDOWN_MULTIPLIER = 0.5; // Shot cooldown while rapid fire is on
+export const TRIPLE_SHOT_EXTRA_BULLETS = 2;        // Added to each shot (multishot spread)
+export const SLOW_MO_SPEED_MULTIPLIER = 0.4;       // Enemy movement while slow motion is on
+export const SHIELD_MAX_CHARGES = 1;               // Line crossings a held shield absorbs
+
+// === DIFFICULTY ===
+// Per-level scaling as curves, evaluated by difficulty.js for level 1, 2, 3...
+//   { kind: 'linear', start, step }        - start + step * (level - 1)
+//   { kind: 'exponential', start, factor } - start * factor ^ (level - 1)
+//   { kind: 'piecewise', points: [[level, value], ...] } - straight lines between
+//     the listed levels (ascending), flat before the first and after the last
+//   min/max (optional, any kind) clamp the result
+// Per preset (picked on the start menu, scores are kept per preset):
+//   blockSpeed    - x BLOCK_SPEED (endless mode; campaign levels keep their scripted speed)
+//   spawnInterval - ms between random spawns (endless mode)
+//   enemyHp       - x the per-level part of enemy HP (hp.perLevel * level), every mode
+export const DIFFICULTY_PRESETS = {
+  easy: {
+    name: 'Easy',
+    blockSpeed: { kind: 'linear', start: 0.8, step: 0.1 },
+    spawnInterval: { kind: 'exponential', start: 5000, factor: 0.93, min: 900 },
+    enemyHp: { kind: 'linear', start: 0.7, step: 0 }
+  },
+  normal: {
+    name: 'Normal',
+    blockSpeed: { kind: 'linear', start: 1, step: 0.15 },                  // 15% faster per level
+    spawnInterval: { kind: 'exponential', start: BLOCK_SPAWN_INTERVAL, factor: 0.9, min: 500 },
+    enemyHp: { kind: 'linear', start: 1, step: 0 }                         // HP = level * 5 (normal types)
+  },
+  hard: {
+    name: 'Hard',
+    blockSpeed: { kind: 'linear', start: 1.1, step: 0.18 },
+    spawnInterval: { kind: 'exponential', start: 3400, factor: 0.88, min: 400 },
+    enemyHp: { kind: 'linear', start: 1.25, step: 0.02, max: 2 }
+  },
+  nightmare: {
+    name: 'Nightmare',
+    blockSpeed: { kind: 'piecewise', points: [[1, 1.3], [5, 1.9], [10, 2.6], [20, 3.2]] },
+    spawnInterval: { kind: 'piecewise', points: [[1, 2500], [5, 1200], [10, 600], [15, 350]] },
+    enemyHp: { kind: 'exponential', start: 1.5, factor: 1.04, max: 3 }
+  }
+};
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// === ADAPTIVE DIFFICULTY ===
+// Optional (settings), endless mode only. Every ADAPTIVE_WINDOW ms of play the
+// window is rated from -1 (struggling) to +1 (cruising) on three signals:
+//   proximity - how close the lowest block came to the line on average (0 = top, 1 = line)
+//   killRate  - kills per spawn interval (1 = keeping up with the spawns)
+//   accuracy  - share of bullets that hit at least one block
+// Each is rated against its target (+1 far better, -1 far worse) and the
+// weighted sum moves the skill offset by up to ADAPTIVE_STEP, within -1..+1.
+// The offset nudges the preset's curves: at +1 x(1 + limit), at -1 x(1 - limit)
+// (shorter spawn intervals when the offset is up)
+export const ADAPTIVE_WINDOW = 5000;
+export const ADAPTIVE_STEP = 0.25;
+export const ADAPTIVE_TARGETS = { proximity: 0.6, killRate: 1, accuracy: 0.4 };
+export const ADAPTIVE_WEIGHTS = { proximity: 0.5, killRate: 0.3, accuracy: 0.2 };
+export const ADAPTIVE_LIMITS = { blockSpeed: 0.25, spawnInterval: 0.3, enemyHp: 0.3 };
 
 // === UI/RENDERING SETTINGS ===
 export const AIM_ARROW_LENGTH = 75;
@@ -64,29 +341,62 @@ export const GAME_OVER_LINE_OFFSET = 10; // Distance above tower
 export const GAME_OVER_LINE_WIDTH = 3;
 export const GAME_OVER_LINE_COLOR = '#e74c3c';
 
+// === TOWER HEALTH ===
+// A block crossing the line is destroyed and damages the tower instead of
+// ending the run: ceil(hp * PER_HP + size in grid cells * PER_CELL), less armor.
+// The run ends when the tower's HP reaches 0.
+export const TOWER_MAX_HP = 100;
+export const TOWER_DAMAGE_PER_HP = 1;      // Per remaining HP of the block
+export const TOWER_DAMAGE_PER_CELL = 5;    // Per GRID_CELL_SIZE of block width
+export const TOWER_ARMOR_PER_STACK = 0.15; // 'armor' upgrade: damage taken -15% per stack
+export const TOWER_REINFORCE_HP = 20;      // 'reinforce' upgrade: max HP added (and repaired)
+export const TOWER_REPAIR_PICKUP = 25;     // HP restored by the 'repair' power-up
+export const TOWER_HIT_FLASH = 300;        // ms the tower flashes red after a hit
+
 // === SAFE AREA SETTINGS ===
 export const EXTRA_LATERAL_SAFE_AREA = 50; // Additional lateral padding
 
 // === GRID SYSTEM ===
 export const GRID_COLUMNS = 8; // Horizontal divisions
 export const GRID_CELL_SIZE = 40; // Size of smallest enemy (SMALL)
+export const GRID_SPAWN_ROWS = 5;  // Top rows searched for a free spawn cell
+export const SPLIT_SEARCH_RADIUS = 2; // Split children are placed within this many child sizes of the parent
+
+// === CAMPAIGN (SCRIPTED LEVELS) ===
+// Hand-designed levels of waves, played next to the endless mode (format in levels.js)
+export const CAMPAIGN_URL = './campaign.json';             // Built-in campaign, fetched at startup
+export const LEVEL_FORMATIONS = ['single', 'wall', 'column', 'v'];
+export const MAX_WAVE_COUNT = 16;                          // Enemies one wave may place
+export const MAX_WAVE_ROW = 20;                            // Highest grid row above the top edge a wave may start in
+
+// === LEVEL EDITOR ===
+export const EDITOR_ROWS = 6;             // Grid rows shown above the top edge (row 0 at the bottom)
+export const EDITOR_TIME_STEP = 500;      // ms a wave's timing buttons move it
+export const EDITOR_WAVE_GAP = 3000;      // ms after the current wave that a new wave starts
+
+// === REPLAYS ===
+export const REPLAY_SPEEDS = [1, 2, 4, 8]; // Playback speed steps (ticks per simulation step)
+
+// === HIGH SCORES ===
+export const SCORES_STORAGE_KEY = 'bounce-shooter-scores'; // localStorage key
+export const HIGH_SCORE_LIMIT = 10;   // Runs kept on the leaderboard
+export const RUN_HISTORY_LIMIT = 20;  // Most recent runs kept in the history
 
-// === VERSION CHECK ===
-export const VERSION_CHECK_INTERVAL = 2000; // ms between version checks
+// === SAVED RUN ===
+export const SAVE_STORAGE_KEY = 'bounce-shooter-save'; // localStorage key of the run in progress
 
-// === SCORING ===
-export const SCORE_SMALL = 10;
-export const SCORE_MEDIUM = 20;
-export const SCORE_LARGE = 30;
-export const SCORE_ELITE = 100;
+// === SETTINGS ===
+export const SETTINGS_STORAGE_KEY = 'bounce-shooter-settings'; // localStorage key
 
 // === GAME BALANCE NOTES ===
 /**
  * Current balance (as of last update):
  * - Auto-fire always on
  * - Bullets start with 0 bounces (must upgrade)
- * - Enemy spawn: every 4 seconds (reduced from 2s)
- * - HP scaling: Normal=level*5, Elite=level*10
- * - Bounce system: all bounces (walls + enemies) consume life
+ * - Enemy speed, spawn interval and HP per level: set by the difficulty
+ *   (DIFFICULTY_PRESETS curves, applied in difficulty.js)
+ * - Bounce system: wall and enemy bounces consume life; piercing a block and
+ *   ricocheting off the paddle's top don't
  * - Physics: realistic cube collision with proper reflection angles
+ * - Fixed 60 Hz simulation step: speeds are px/s, identical on 60/120 Hz screens
  */
@@ -103,4 +103,17 @@ function init() {
   };
 }
 
-export { init };
+// Show or hide the console button (and close the panel when hiding it)
+function setVisible(visible) {
+  const toggle = document.getElementById('console-toggle');
+  const panel = document.getElementById('console-panel');
+
+  toggle.style.display = visible ? '' : 'none';
+  if (!visible && isOpen) {
+    isOpen = false;
+    panel.style.display = 'none';
+    toggle.textContent = '🐛';
+  }
+}
+
+export { init, setVisible };
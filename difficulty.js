@@ -0,0 +1,153 @@
+/**
+ * DIFFICULTY
+ * Evaluates the per-level curves of the run's difficulty preset
+ * (DIFFICULTY_PRESETS in config.js): block speed and spawn interval on level
+ * up in endless mode, and the enemy HP multiplier in every mode.
+ * Adaptive runs (ADAPTIVE DIFFICULTY in config.js) rate the player's
+ * performance every ADAPTIVE_WINDOW ms and nudge those curves by a bounded
+ * skill offset; each adjustment is logged to the debug console.
+ */
+
+import {
+  BLOCK_SPEED,
+  DIFFICULTY_PRESETS,
+  ADAPTIVE_WINDOW,
+  ADAPTIVE_STEP,
+  ADAPTIVE_TARGETS,
+  ADAPTIVE_WEIGHTS,
+  ADAPTIVE_LIMITS
+} from './config.js';
+import {
+  difficulty,
+  level,
+  blocks,
+  simTime,
+  totalKills,
+  currentBlockSpeed,
+  currentSpawnInterval,
+  setCurrentBlockSpeed,
+  setCurrentSpawnInterval,
+  adaptive,
+  adaptiveSkill,
+  setAdaptiveSkill,
+  adaptiveWindow,
+  resetAdaptiveWindow
+} from './state.js';
+import { getGameOverLineY } from './player.js';
+
+export function isDifficulty(id) {
+  return Object.prototype.hasOwnProperty.call(DIFFICULTY_PRESETS, id);
+}
+
+// Straight line between the two points around `level`, flat outside them
+function interpolatePoints(points, level) {
+  if (level <= points[0][0]) return points[0][1];
+  for (let i = 1; i < points.length; i++) {
+    const [toLevel, toValue] = points[i];
+    if (level <= toLevel) {
+      const [fromLevel, fromValue] = points[i - 1];
+      return fromValue + (toValue - fromValue) * (level - fromLevel) / (toLevel - fromLevel);
+    }
+  }
+  return points[points.length - 1][1];
+}
+
+// Value of a curve (see DIFFICULTY in config.js) at a level, 1 = first level
+export function evaluateCurve(curve, level) {
+  let value;
+  if (curve.kind === 'linear') {
+    value = curve.start + curve.step * (level - 1);
+  } else if (curve.kind === 'exponential') {
+    value = curve.start * Math.pow(curve.factor, level - 1);
+  } else if (curve.kind === 'piecewise') {
+    value = interpolatePoints(curve.points, level);
+  } else {
+    throw new Error(`Unknown difficulty curve kind ${curve.kind}`);
+  }
+  return Math.min(curve.max ?? Infinity, Math.max(curve.min ?? -Infinity, value));
+}
+
+// Multiplier of a curve at the current skill offset (1 when not adaptive)
+function getAdaptiveFactor(limit) {
+  return 1 + adaptiveSkill * limit;
+}
+
+// Multiplier of the per-level enemy HP at a level
+export function getEnemyHpScale(atLevel) {
+  return evaluateCurve(DIFFICULTY_PRESETS[difficulty].enemyHp, atLevel) *
+    getAdaptiveFactor(ADAPTIVE_LIMITS.enemyHp);
+}
+
+// Block speed and spawn interval for a level (run start, endless level ups
+// and adaptive adjustments)
+export function applyLevelDifficulty(atLevel) {
+  const preset = DIFFICULTY_PRESETS[difficulty];
+  setCurrentBlockSpeed(BLOCK_SPEED * evaluateCurve(preset.blockSpeed, atLevel) *
+    getAdaptiveFactor(ADAPTIVE_LIMITS.blockSpeed));
+  setCurrentSpawnInterval(evaluateCurve(preset.spawnInterval, atLevel) *
+    getAdaptiveFactor(-ADAPTIVE_LIMITS.spawnInterval));
+}
+
+// === ADAPTIVE ===
+
+// Bullets fired this step (adaptive runs count them for accuracy, as long
+// as there's something to hit)
+export function recordShots(count) {
+  if (adaptive && blocks.length > 0) adaptiveWindow.shots += count;
+}
+
+// A bullet hit its first block
+export function recordHit() {
+  if (adaptive) adaptiveWindow.hits++;
+}
+
+// How far down the lowest block is, 0 (top or none) to 1 (at the line)
+function getClosestApproach() {
+  const lineY = getGameOverLineY();
+  let closest = 0;
+  for (const block of blocks) {
+    closest = Math.max(closest, (block.y + block.height) / lineY);
+  }
+  return Math.min(1, closest);
+}
+
+// -1..+1: how far a value is above (+) or below (-) its target, reaching
+// +-1 at `best` and at 0
+function rate(value, target, best) {
+  const rating = value >= target ? (value - target) / (best - target) : (value - target) / target;
+  return Math.max(-1, Math.min(1, rating));
+}
+
+// Sample this step and, once the window is full, rate it and nudge the curves
+// Called every simulation step; does nothing unless the run is adaptive
+export function updateAdaptiveDifficulty() {
+  if (!adaptive) return;
+
+  adaptiveWindow.proximitySum += getClosestApproach();
+  adaptiveWindow.steps++;
+  const elapsed = simTime - adaptiveWindow.startedAt;
+  if (elapsed < ADAPTIVE_WINDOW) return;
+
+  const proximity = adaptiveWindow.proximitySum / adaptiveWindow.steps;
+  const killRate = (totalKills - adaptiveWindow.startKills) * currentSpawnInterval / elapsed;
+  // Bouncing bullets fired in the previous window can still hit in this one
+  const accuracy = adaptiveWindow.shots > 0 ? Math.min(1, adaptiveWindow.hits / adaptiveWindow.shots) : null;
+
+  // Blocks far from the line are good, so proximity is rated the other way round
+  const performance =
+    -rate(proximity, ADAPTIVE_TARGETS.proximity, 1) * ADAPTIVE_WEIGHTS.proximity +
+    rate(killRate, ADAPTIVE_TARGETS.killRate, ADAPTIVE_TARGETS.killRate * 2) * ADAPTIVE_WEIGHTS.killRate +
+    (accuracy === null ? 0 : rate(accuracy, ADAPTIVE_TARGETS.accuracy, 1) * ADAPTIVE_WEIGHTS.accuracy);
+
+  setAdaptiveSkill(Math.max(-1, Math.min(1, adaptiveSkill + performance * ADAPTIVE_STEP)));
+  applyLevelDifficulty(level);
+  resetAdaptiveWindow();
+
+  const signed = value => `${value >= 0 ? '+' : ''}${value.toFixed(2)}`;
+  console.log(`🧠 Adaptive: closest ${Math.round(proximity * 100)}%, ${killRate.toFixed(2)} kills/spawn, ` +
+    `accuracy ${accuracy === null ? '-' : `${Math.round(accuracy * 100)}%`} → ${signed(performance)}, ` +
+    `skill ${signed(adaptiveSkill)}`);
+  console.log(`🧠 Speed ${currentBlockSpeed.toFixed(2)} (x${getAdaptiveFactor(ADAPTIVE_LIMITS.blockSpeed).toFixed(2)}), ` +
+    `spawn interval ${currentSpawnInterval.toFixed(0)}ms (x${getAdaptiveFactor(-ADAPTIVE_LIMITS.spawnInterval).toFixed(2)}), ` +
+    `HP x${getAdaptiveFactor(ADAPTIVE_LIMITS.enemyHp).toFixed(2)}`);
+}
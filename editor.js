@@ -0,0 +1,341 @@
+/**
+ * LEVEL EDITOR
+ * Designers place enemy types on the spawn grid wave by wave, set per-block
+ * HP and wave timing, preview a wave or a level in a sandbox run and
+ * export/import the result as a campaign file (format in levels.js).
+ * This module holds the draft; ui.js draws it (renderLevelEditor) and
+ * main.js wires the buttons, the sandbox run and the file picker.
+ *
+ * Draft: { name, levels: [{ name, speed, waves: [{ at, blocks }] }] }
+ *   block: { type, col, row, hp, speed } - hp/speed null = the type's/level's own
+ * The grid shows the rows above the top edge, row 0 enters the screen first.
+ * A block covers the cells of its size (getGridSpan), so blocks of one wave
+ * never overlap. Exported, each block becomes a single-enemy wave entry
+ * ({ at, type, column, row, hp, speed }); imported entries with the same
+ * "at" form one wave, and formations are expanded into blocks (getWaveSpawns).
+ */
+
+import {
+  ENEMY_TYPES,
+  GRID_COLUMNS,
+  EDITOR_ROWS,
+  EDITOR_TIME_STEP,
+  EDITOR_WAVE_GAP
+} from './config.js';
+import { getEnemyType, getEnemySize, getEnemyHp } from './enemytypes.js';
+import { getGridSpan } from './enemies.js';
+import { LEVELS_VERSION, validateCampaign, getWaveSpawns } from './levels.js';
+
+let draft = null;           // Campaign being edited (see above), created on first open
+let levelIndex = 0;
+let waveIndex = 0;
+let selectedType = 'SMALL'; // Palette pick, placed by tapping an empty cell
+let selectedBlock = null;   // Block of the current wave being edited, or null
+let notice = '';            // Last result/error shown under the grid
+let previewing = false;     // A sandbox run of the draft is being played
+
+function createLevel(number) {
+  return { name: `Level ${number}`, speed: null, waves: [{ at: 0, blocks: [] }] };
+}
+
+function currentLevel() {
+  return draft.levels[levelIndex];
+}
+
+function currentWave() {
+  return currentLevel().waves[waveIndex];
+}
+
+// Size of an enemy type in grid cells at a level (elites grow)
+function getBlockSpan(type, levelNumber) {
+  return getGridSpan(getEnemySize(getEnemyType(type), levelNumber));
+}
+
+// Block of a wave covering a cell, or null
+function findBlockAt(blocks, col, row, levelNumber) {
+  return blocks.find(block => {
+    const span = getBlockSpan(block.type, levelNumber);
+    return col >= block.col && col < block.col + span.cols &&
+           row >= block.row && row < block.row + span.rows;
+  }) || null;
+}
+
+// Whether a block of `type` at a cell would cover no other block
+function fitsAt(blocks, type, col, row, levelNumber) {
+  const span = getBlockSpan(type, levelNumber);
+  for (let c = col; c < col + span.cols; c++) {
+    for (let r = row; r < row + span.rows; r++) {
+      if (findBlockAt(blocks, c, r, levelNumber)) return false;
+    }
+  }
+  return true;
+}
+
+// Rows the grid needs for the current level (imported levels may go higher)
+function getGridRows() {
+  const levelNumber = levelIndex + 1;
+  let rows = EDITOR_ROWS;
+  currentLevel().waves.forEach(wave => wave.blocks.forEach(block => {
+    rows = Math.max(rows, block.row + getBlockSpan(block.type, levelNumber).rows);
+  }));
+  return rows;
+}
+
+function getDefaultHp(type) {
+  return getEnemyHp(getEnemyType(type), levelIndex + 1);
+}
+
+// Start editing; the draft is kept between visits (and previews)
+export function openEditor() {
+  if (draft) return;
+  draft = { name: 'Custom Campaign', levels: [createLevel(1)] };
+  levelIndex = 0;
+  waveIndex = 0;
+  selectedBlock = null;
+}
+
+// Show a short result/error on the editor screen
+export function setEditorNotice(text) {
+  notice = text;
+}
+
+// Tap on a grid cell: select the block there, or place the palette type
+export function tapCell(col, row) {
+  const blocks = currentWave().blocks;
+  const levelNumber = levelIndex + 1;
+  const hit = findBlockAt(blocks, col, row, levelNumber);
+  if (hit) {
+    selectedBlock = hit === selectedBlock ? null : hit;
+    return;
+  }
+
+  // Big enemies are pulled back inside the grid
+  const span = getBlockSpan(selectedType, levelNumber);
+  const placeCol = Math.max(0, Math.min(col, GRID_COLUMNS - span.cols));
+  const placeRow = Math.max(0, Math.min(row, getGridRows() - span.rows));
+  if (!fitsAt(blocks, selectedType, placeCol, placeRow, levelNumber)) {
+    notice = `No room for ${selectedType} there`;
+    return;
+  }
+
+  selectedBlock = { type: selectedType, col: placeCol, row: placeRow, hp: null, speed: null };
+  blocks.push(selectedBlock);
+  notice = '';
+}
+
+export function selectType(type) {
+  selectedType = type;
+  selectedBlock = null;
+}
+
+// Change the selected block's HP (back at the type's default it follows the level again)
+export function changeSelectedHp(delta) {
+  if (!selectedBlock) return;
+  const defaultHp = getDefaultHp(selectedBlock.type);
+  const hp = Math.max(1, (selectedBlock.hp ?? defaultHp) + delta);
+  selectedBlock.hp = hp === defaultHp ? null : hp;
+}
+
+export function removeSelectedBlock() {
+  if (!selectedBlock) return;
+  const blocks = currentWave().blocks;
+  blocks.splice(blocks.indexOf(selectedBlock), 1);
+  selectedBlock = null;
+}
+
+// Move the current wave's start by delta ms, staying between its neighbours
+export function shiftWaveTime(delta) {
+  const waves = currentLevel().waves;
+  const min = waveIndex > 0 ? waves[waveIndex - 1].at : 0;
+  const max = waveIndex < waves.length - 1 ? waves[waveIndex + 1].at : Infinity;
+  const wave = currentWave();
+  wave.at = Math.max(min, Math.min(max, wave.at + delta));
+}
+
+export function selectWave(delta) {
+  waveIndex = Math.max(0, Math.min(currentLevel().waves.length - 1, waveIndex + delta));
+  selectedBlock = null;
+}
+
+// Insert an empty wave EDITOR_WAVE_GAP after the current one
+export function addWave() {
+  const waves = currentLevel().waves;
+  const next = waves[waveIndex + 1];
+  const at = Math.min(currentWave().at + EDITOR_WAVE_GAP, next ? next.at : Infinity);
+  waves.splice(waveIndex + 1, 0, { at, blocks: [] });
+  selectWave(1);
+}
+
+// Delete the current wave (the last one left is emptied instead)
+export function removeWave() {
+  const waves = currentLevel().waves;
+  if (waves.length === 1) {
+    waves[0].blocks.length = 0;
+  } else {
+    waves.splice(waveIndex, 1);
+  }
+  selectWave(0);
+}
+
+export function selectLevel(delta) {
+  levelIndex = Math.max(0, Math.min(draft.levels.length - 1, levelIndex + delta));
+  waveIndex = 0;
+  selectedBlock = null;
+}
+
+// Append a new level and edit it
+export function addLevel() {
+  draft.levels.push(createLevel(draft.levels.length + 1));
+  selectLevel(draft.levels.length);
+}
+
+// Delete the current level (the last one left is reset instead)
+export function removeLevel() {
+  if (draft.levels.length === 1) {
+    draft.levels[0] = createLevel(1);
+  } else {
+    draft.levels.splice(levelIndex, 1);
+  }
+  selectLevel(0);
+}
+
+export function getLevelName() {
+  return currentLevel().name;
+}
+
+export function renameLevel(name) {
+  const trimmed = name.trim();
+  if (trimmed !== '') currentLevel().name = trimmed;
+}
+
+// Editor level as a level script; fillHp writes the default HP of the
+// edited level into every block (previews always run as level 1)
+function toLevelScript(level, levelNumber, fillHp) {
+  const script = { name: level.name };
+  if (level.speed !== null) script.speed = level.speed;
+  script.waves = [];
+
+  level.waves.forEach(wave => {
+    // Lowest rows first: that's the order they're placed in
+    const blocks = [...wave.blocks].sort((a, b) => a.row - b.row || a.col - b.col);
+    blocks.forEach(block => {
+      const entry = { at: wave.at, type: block.type, column: block.col };
+      if (block.row > 0) entry.row = block.row;
+      const hp = block.hp ?? (fillHp ? getEnemyHp(getEnemyType(block.type), levelNumber) : null);
+      if (hp !== null) entry.hp = hp;
+      if (block.speed !== null) entry.speed = block.speed;
+      script.waves.push(entry);
+    });
+  });
+  return script;
+}
+
+// The draft as campaign data for a level file; throws a readable Error
+// (validateCampaign) if it isn't playable, e.g. a level without enemies
+export function getDraftCampaign() {
+  const empty = draft.levels.findIndex(level => level.waves.every(wave => wave.blocks.length === 0));
+  if (empty !== -1) {
+    throw new Error(`Level ${empty + 1} "${draft.levels[empty].name}" has no enemies yet`);
+  }
+
+  const data = {
+    version: LEVELS_VERSION,
+    name: draft.name,
+    levels: draft.levels.map((level, i) => toLevelScript(level, i + 1, false))
+  };
+  validateCampaign(data);
+  return data;
+}
+
+// Replace the draft with campaign data that already passed validateCampaign()
+export function loadDraft(data) {
+  draft = {
+    name: data.name,
+    levels: data.levels.map((script, i) => fromLevelScript(script, i + 1))
+  };
+  levelIndex = 0;
+  waveIndex = 0;
+  selectedBlock = null;
+}
+
+function fromLevelScript(script, levelNumber) {
+  const level = { name: script.name, speed: script.speed ?? null, waves: [] };
+  script.waves.forEach(entry => {
+    let wave = level.waves[level.waves.length - 1];
+    if (!wave || wave.at !== entry.at) {
+      wave = { at: entry.at, blocks: [] };
+      level.waves.push(wave);
+    }
+
+    getWaveSpawns(entry, levelNumber).forEach(spawn => {
+      // Big enemies are pulled inside the grid like in the game; "any free
+      // column" becomes the first column the block fits in
+      const lastCol = GRID_COLUMNS - getBlockSpan(spawn.type, levelNumber).cols;
+      let col = Math.min(spawn.col ?? 0, lastCol);
+      if (spawn.col === null) {
+        while (col < lastCol && !fitsAt(wave.blocks, spawn.type, col, spawn.row, levelNumber)) col++;
+      }
+      wave.blocks.push({ type: spawn.type, col, row: spawn.row, hp: spawn.hp, speed: spawn.speed });
+    });
+  });
+  return level;
+}
+
+// One-level campaign for a sandbox run of the current wave (starting at
+// once) or the whole current level; throws if there's nothing to play
+export function startPreview(scope) {
+  const level = currentLevel();
+  const waves = scope === 'wave' ? [{ at: 0, blocks: currentWave().blocks }] : level.waves;
+  if (waves.every(wave => wave.blocks.length === 0)) {
+    throw new Error('Nothing to preview - place some enemies first');
+  }
+
+  const data = {
+    version: LEVELS_VERSION,
+    name: `Preview: ${level.name}`,
+    levels: [toLevelScript({ ...level, waves }, levelIndex + 1, true)]
+  };
+  validateCampaign(data);
+  previewing = true;
+  console.log(`🧪 Previewing ${scope === 'wave' ? `wave ${waveIndex + 1} of ` : ''}${level.name}`);
+  return data;
+}
+
+// Whether the run being played is an editor preview (not scored or saved)
+export function isPreviewing() {
+  return previewing;
+}
+
+export function endPreview() {
+  previewing = false;
+}
+
+// What the editor screen shows (read only, see renderLevelEditor in ui.js)
+export function getEditorView() {
+  const level = currentLevel();
+  const wave = currentWave();
+  const levelNumber = levelIndex + 1;
+  const describe = block => ({
+    ...block,
+    span: getBlockSpan(block.type, levelNumber),
+    hp: block.hp ?? getDefaultHp(block.type),
+    customHp: block.hp !== null,
+    isSelected: block === selectedBlock
+  });
+
+  return {
+    levelName: level.name,
+    levelIndex,
+    levelCount: draft.levels.length,
+    waveIndex,
+    waveCount: level.waves.length,
+    at: wave.at,
+    timeStep: EDITOR_TIME_STEP,
+    rows: getGridRows(),
+    blocks: wave.blocks.map(describe),
+    selected: selectedBlock ? describe(selectedBlock) : null,
+    selectedType,
+    types: Object.keys(ENEMY_TYPES),
+    notice
+  };
+}
@@ -0,0 +1,423 @@
+/**
+ * ENEMIES
+ * Grid occupancy, block spawning (random types + elite + scripted placements),
+ * splitting and movement
+ * What each enemy type is and does lives in the registry (ENEMY_TYPES in
+ * config.js, behaviors in enemytypes.js)
+ */
+
+import {
+  BLOCK_SPEED,
+  DOUBLE_SPAWN_MIN_LEVEL,
+  DOUBLE_SPAWN_CHANCE,
+  DOUBLE_SPAWN_OFFSET,
+  GRID_COLUMNS,
+  GRID_CELL_SIZE,
+  GRID_SPAWN_ROWS,
+  SPLIT_SEARCH_RADIUS,
+  SLOW_MO_SPEED_MULTIPLIER
+} from './config.js';
+import {
+  width,
+  safeAreaLeft,
+  safeAreaRight,
+  level,
+  blocks,
+  blockPool,
+  removeBlock,
+  random,
+  simTime,
+  lastBlockSpawn,
+  setLastBlockSpawn,
+  currentBlockSpeed,
+  currentSpawnInterval,
+  isGridCellOccupied,
+  occupyGridCell,
+  clearGrid,
+  isPowerUpActive
+} from './state.js';
+import { getGameOverLineY } from './player.js';
+import { hitTower } from './tower.js';
+import {
+  getEnemyType,
+  getEnemySize,
+  getEnemyHp,
+  pickSpawnType,
+  runSpawnHooks,
+  runUpdateHooks,
+  runReachedLineHooks
+} from './enemytypes.js';
+
+// === GRID HELPER FUNCTIONS ===
+// The grid mirrors where blocks actually are: rebuildGridOccupancy() marks
+// every cell a block overlaps. Columns can be narrower than GRID_CELL_SIZE,
+// so sharing a cell doesn't mean two blocks touch: the final word on whether
+// a spot is free is an AABB test against the blocks themselves.
+
+const cellRange = { minCol: 0, maxCol: 0, minRow: 0, maxRow: 0 }; // Reused by getCellRange
+const REST_EPSILON = 1e-6; // px; a block resting on another is still "above" it despite rounding
+
+function getColumnWidth() {
+  return (width - safeAreaLeft - safeAreaRight) / GRID_COLUMNS;
+}
+
+// Convert grid coordinates to pixel position
+export function gridToPixel(col, row) {
+  const columnWidth = getColumnWidth();
+
+  // Center the cell within its column
+  const x = safeAreaLeft + col * columnWidth + (columnWidth - GRID_CELL_SIZE) / 2;
+  const y = row * GRID_CELL_SIZE;
+
+  return { x, y };
+}
+
+// Convert pixel position to grid coordinates
+export function pixelToGrid(x, y) {
+  const columnWidth = getColumnWidth();
+
+  const col = Math.floor((x - safeAreaLeft) / columnWidth);
+  const row = Math.floor(y / GRID_CELL_SIZE);
+
+  return { col, row };
+}
+
+// Columns and rows an enemy of this size spans (formations space blocks by it)
+export function getGridSpan(size) {
+  return {
+    cols: Math.max(1, Math.ceil(size / getColumnWidth())),
+    rows: Math.max(1, Math.ceil(size / GRID_CELL_SIZE))
+  };
+}
+
+// Cells overlapped by a pixel rectangle (edges that only touch don't count)
+// Returns a shared object, only valid until the next call
+function getCellRange(x, y, w, h) {
+  const columnWidth = getColumnWidth();
+  cellRange.minCol = Math.max(0, Math.floor((x - safeAreaLeft) / columnWidth));
+  cellRange.maxCol = Math.min(GRID_COLUMNS - 1, Math.ceil((x + w - safeAreaLeft) / columnWidth) - 1);
+  cellRange.minRow = Math.floor(y / GRID_CELL_SIZE);
+  cellRange.maxRow = Math.ceil((y + h) / GRID_CELL_SIZE) - 1;
+  return cellRange;
+}
+
+// Mark the cells a block overlaps as occupied
+function occupyBlockCells(block) {
+  const range = getCellRange(block.x, block.y, block.width, block.height);
+  for (let row = range.minRow; row <= range.maxRow; row++) {
+    for (let col = range.minCol; col <= range.maxCol; col++) {
+      occupyGridCell(row, col);
+    }
+  }
+}
+
+// Rebuild grid occupancy from the current block positions
+// Runs every step after the blocks move and whenever a block is removed
+export function rebuildGridOccupancy() {
+  clearGrid();
+  for (const block of blocks) occupyBlockCells(block);
+}
+
+// Whether a w x h block fits at (x, y): inside the play area and not
+// overlapping any block (except `ignore`, e.g. a block being split)
+export function isAreaFree(x, y, w, h, ignore = null) {
+  if (x < safeAreaLeft || x + w > width - safeAreaRight) return false;
+
+  // Quick accept: no block anywhere near
+  const range = getCellRange(x, y, w, h);
+  let nearby = false;
+  for (let row = range.minRow; row <= range.maxRow && !nearby; row++) {
+    for (let col = range.minCol; col <= range.maxCol && !nearby; col++) {
+      nearby = isGridCellOccupied(row, col);
+    }
+  }
+  return !nearby || findOverlappingBlock(x, y, w, h, ignore) === null;
+}
+
+// First block (other than `ignore`) overlapping the rectangle, or null
+// Exact AABB test against every block; doesn't rely on the grid being current
+export function findOverlappingBlock(x, y, w, h, ignore = null) {
+  for (const block of blocks) {
+    if (block === ignore) continue;
+    if (x < block.x + block.width && x + w > block.x &&
+        y < block.y + block.height && y + h > block.y) {
+      return block;
+    }
+  }
+  return null;
+}
+
+// Find a free spawn position above the visible area (top rows first)
+// offsetY moves the spot further up (double spawns)
+// Returns { col, row, x, y } or null
+export function findAvailableGridCell(enemySize, offsetY = 0) {
+  // Shuffle columns to randomize spawn position
+  const columns = Array.from({ length: GRID_COLUMNS }, (_, i) => i);
+  for (let i = columns.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [columns[i], columns[j]] = [columns[j], columns[i]];
+  }
+
+  // Row r spawns with its bottom edge at the top of row r (row 0 = just off screen)
+  for (let row = 0; row < GRID_SPAWN_ROWS; row++) {
+    for (const col of columns) {
+      const x = gridToPixel(col, row).x;
+      const y = row * GRID_CELL_SIZE - enemySize - offsetY;
+      if (isAreaFree(x, y, enemySize, enemySize)) {
+        return { col, row, x, y };
+      }
+    }
+  }
+
+  return null; // No available position
+}
+
+// Free spot for a split child right next to its parent (the parent's own
+// area counts as free). Tries side by side first, then stacked upwards,
+// and takes the candidate closest to the parent's center.
+// Returns { x, y } or null
+function findSpotNearParent(parent, childSize) {
+  const centerX = parent.x + parent.width / 2;
+  const centerY = parent.y + parent.height / 2;
+  const minX = safeAreaLeft;
+  const maxX = width - safeAreaRight - childSize;
+
+  let best = null;
+  let bestDistance = Infinity;
+  for (let up = 0; up <= SPLIT_SEARCH_RADIUS; up++) {
+    // Bottom aligned with the parent so children don't jump toward the line
+    const y = parent.y + parent.height - childSize - up * childSize;
+
+    for (let side = -SPLIT_SEARCH_RADIUS; side < SPLIT_SEARCH_RADIUS; side++) {
+      // Slots one child wide, symmetric around the parent's center
+      const x = Math.max(minX, Math.min(maxX, centerX + side * childSize));
+      if (!isAreaFree(x, y, childSize, childSize, parent)) continue;
+
+      const distance = Math.hypot(x + childSize / 2 - centerX, y + childSize / 2 - centerY);
+      if (distance < bestDistance) {
+        best = { x, y };
+        bestDistance = distance;
+      }
+    }
+  }
+  return best;
+}
+
+// === SPAWNING ===
+
+// Place a new enemy of a registry type at a free position ({ x, y }) and return it
+function placeBlock(spot, typeId, props) {
+  const type = getEnemyType(typeId);
+
+  // Pooled object (released blocks come back empty)
+  const block = Object.assign(blockPool.acquire(), props);
+  block.type = typeId;
+  block.color = type.color;
+  block.x = spot.x;
+  block.y = spot.y;
+  block.prevX = block.x;
+  block.prevY = block.y;
+  block.vx = 0;
+  blocks.push(block);
+  runSpawnHooks(block);
+
+  // Keep the grid current for placements later in the same step
+  occupyBlockCells(block);
+  return block;
+}
+
+// Size/HP/speed of a freshly spawned enemy of a type at the current level
+function freshEnemyProps(type) {
+  const size = getEnemySize(type, level);
+  const hp = getEnemyHp(type, level); // HP scales with level
+  return {
+    width: size,
+    height: size,
+    hp: hp,
+    maxHp: hp,
+    speed: currentBlockSpeed * type.speed
+  };
+}
+
+// Spawn a block (cube) of a random type, once per currentSpawnInterval
+export function spawnBlock() {
+  if (simTime - lastBlockSpawn < currentSpawnInterval) return;
+
+  setLastBlockSpawn(simTime);
+
+  // Roll the type from the spawn table (more kinds unlock with level)
+  const typeId = pickSpawnType(level);
+  const props = freshEnemyProps(getEnemyType(typeId));
+
+  // Find available grid position
+  const gridPos = findAvailableGridCell(props.width);
+  if (!gridPos) {
+    console.log('⚠️ No grid space available for spawning');
+    return; // Grid is full, can't spawn
+  }
+  placeBlock(gridPos, typeId, props);
+
+  // At higher levels, sometimes spawn multiple blocks at once (the second one higher up)
+  if (level >= DOUBLE_SPAWN_MIN_LEVEL && random() < DOUBLE_SPAWN_CHANCE) {
+    const secondGridPos = findAvailableGridCell(props.width, DOUBLE_SPAWN_OFFSET);
+    if (secondGridPos) {
+      placeBlock(secondGridPos, typeId, props);
+    }
+  }
+}
+
+// Spawn one enemy of a type at the top (elites, bosses, boss minions)
+// Returns the block, or null if there's no room
+export function spawnEnemy(typeId) {
+  const props = freshEnemyProps(getEnemyType(typeId));
+  const gridPos = findAvailableGridCell(props.width);
+  return gridPos ? placeBlock(gridPos, typeId, props) : null;
+}
+
+// Place a scripted enemy (levels.js): spawn = { type, col, row, hp, speed }
+// col null = a random free column; row counts grid rows up from just above
+// the screen; hp/speed null = the type's values (speed is x BLOCK_SPEED)
+// Returns the block, or null if its spot isn't free yet
+export function spawnScriptedEnemy(spawn) {
+  const type = getEnemyType(spawn.type);
+  const props = freshEnemyProps(type);
+  if (spawn.hp !== null) props.hp = props.maxHp = spawn.hp;
+  if (spawn.speed !== null) props.speed = BLOCK_SPEED * spawn.speed;
+
+  const size = props.width;
+  if (spawn.col === null) {
+    const gridPos = findAvailableGridCell(size, spawn.row * GRID_CELL_SIZE);
+    return gridPos ? placeBlock(gridPos, spawn.type, props) : null;
+  }
+
+  // Big enemies in the last columns are pulled back inside the play area
+  const cell = gridToPixel(spawn.col, -spawn.row);
+  const x = Math.max(safeAreaLeft, Math.min(width - safeAreaRight - size, cell.x));
+  const y = cell.y - size;
+  if (!isAreaFree(x, y, size, size)) return null;
+  return placeBlock({ x, y }, spawn.type, props);
+}
+
+// Spawn an elite block with extra HP using grid system
+export function spawnEliteBlock() {
+  const elite = spawnEnemy('ELITE');
+  if (!elite) {
+    console.log('⚠️ No grid space available for elite spawn');
+    return; // Grid is full, can't spawn
+  }
+
+  console.log(`💀 Elite spawned! HP: ${elite.hp}, Level: ${level}`);
+}
+
+// Split block into smaller blocks (its type's split rule) placed next to it
+// Call while the parent is still in `blocks` (its area is reused)
+export function splitBlock(block) {
+  const rule = getEnemyType(block.type).split;
+  if (!rule) return;
+
+  const childType = getEnemyType(rule.into);
+  const childSize = getEnemySize(childType, level);
+  const splitHP = Math.ceil(block.maxHp * rule.hpRatio);
+
+  // Each child goes in the free spot closest to the parent
+  for (let i = 0; i < rule.count; i++) {
+    const spot = findSpotNearParent(block, childSize);
+    if (!spot) continue;
+
+    placeBlock(spot, rule.into, {
+      width: childSize,
+      height: childSize,
+      hp: splitHP,
+      maxHp: splitHP,
+      speed: block.speed
+    });
+  }
+}
+
+// === MOVEMENT & REMOVAL ===
+
+// Keep a block that just moved down from entering a block below it
+// (e.g. a block catching up with a slower elite): it rests on top instead
+function stopAtBlockBelow(block, previousBottom) {
+  for (const other of blocks) {
+    if (other === block || other.y < previousBottom - REST_EPSILON) continue; // Not below it
+    if (block.x < other.x + other.width && block.x + block.width > other.x &&
+        block.y + block.height > other.y) {
+      block.y = other.y - block.height;
+    }
+  }
+}
+
+// Drift a block with sideways velocity; it turns around instead of moving
+// into a wall or another block
+function moveSideways(block, dt) {
+  const x = block.x + block.vx * dt;
+  if (x < safeAreaLeft || x + block.width > width - safeAreaRight ||
+      findOverlappingBlock(x, block.y, block.width, block.height, block)) {
+    block.vx = -block.vx;
+    return;
+  }
+  block.x = x;
+}
+
+// Move blocks (dt in seconds), then run their behaviors and update the grid occupancy
+// Slow motion (power-up) slows the movement. Blocks crossing the game over
+// line hit the tower and are destroyed (no score, no split)
+// Returns true if the tower was destroyed
+export function updateBlocks(dt) {
+  let towerDestroyed = false;
+  const gameOverLineY = getGameOverLineY();
+  const moveDt = isPowerUpActive('slowMo') ? dt * SLOW_MO_SPEED_MULTIPLIER : dt;
+
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    const block = blocks[i];
+    const previousBottom = block.y + block.height;
+    block.y += (block.speed || currentBlockSpeed) * moveDt;
+    stopAtBlockBelow(block, previousBottom);
+    if (block.vx) moveSideways(block, moveDt);
+
+    // Check if block reached game over line (above tower)
+    if (block.y + block.height >= gameOverLineY) {
+      if (hitTower(block)) towerDestroyed = true;
+      runReachedLineHooks(block);
+      removeBlock(i); // Swap-remove: the block moved into slot i was already updated
+    }
+  }
+
+  // Behaviors run once every block has moved, so they all see the same positions
+  for (const block of blocks) {
+    runUpdateHooks(block, dt);
+  }
+
+  rebuildGridOccupancy();
+  return towerDestroyed;
+}
+
+// Remove a destroyed block and split it into smaller ones if it can
+// The block goes back to the pool: don't use it after this call
+export function destroyBlock(index) {
+  const block = blocks[index];
+
+  // Split before releasing, the children are placed around the parent
+  splitBlock(block);
+  removeBlock(index);
+
+  // The parent's cells are free now
+  rebuildGridOccupancy();
+}
+
+// Whether any part of the block has come down into view (blocks spawn
+// above the top edge and slide in)
+export function isBlockOnScreen(block) {
+  return block.y + block.height > 0;
+}
+
+// Whether destroying the block counts toward level progress (see ENEMY_TYPES)
+export function countsAsKill(block) {
+  return getEnemyType(block.type).countsAsKill;
+}
+
+// Points awarded for destroying a block
+export function getBlockScore(block) {
+  return getEnemyType(block.type).score;
+}
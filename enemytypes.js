@@ -0,0 +1,180 @@
+/**
+ * ENEMY TYPES
+ * Lookup, HP rolls and the spawn table for the registry (ENEMY_TYPES in
+ * config.js), plus the behavior hooks types opt into by name
+ *
+ * A behavior is a set of optional hooks, called for every type listing it:
+ *   spawn(block)                     - block was just placed; set up its state
+ *                                      on the block (JSON-safe: runs are saved)
+ *   update(block, dt)                - every step, once all blocks moved (and those
+ *                                      that reached the line are gone)
+ *   takesDamage(block, faceX, faceY) - false to shrug a hit off; faces hit are
+ *                                      'left' | 'right' | null and 'top' | 'bottom' | null
+ *   reachedLine(block)               - block crossed the game over line; it has
+ *                                      hit the tower and is removed right after
+ *   isValid(block)                   - the state spawn() set up checks out
+ *                                      (saved blocks are checked before resuming)
+ * The boss fight script (phases, minions) is in boss.js. Movement itself
+ * stays in enemies.js: a block with `vx` drifts sideways and turns around at
+ * walls and other blocks.
+ */
+
+import {
+  ENEMY_TYPES,
+  ZIGZAG_SPEED,
+  SHIELD_OPEN_FACES,
+  HEALER_INTERVAL,
+  HEALER_RADIUS,
+  HEALER_AMOUNT,
+  BOSS_PHASES
+} from './config.js';
+import { blocks, random, simTime } from './state.js';
+import { getEnemyHpScale } from './difficulty.js';
+
+const BEHAVIORS = {
+  // Drift sideways, starting in a random direction
+  zigzag: {
+    spawn(block) {
+      block.vx = random() < 0.5 ? -ZIGZAG_SPEED : ZIGZAG_SPEED;
+    }
+  },
+
+  // Only hits on the open face do damage
+  shield: {
+    spawn(block) {
+      block.openFace = SHIELD_OPEN_FACES[Math.floor(random() * SHIELD_OPEN_FACES.length)];
+    },
+    takesDamage(block, faceX, faceY) {
+      return faceX === block.openFace || faceY === block.openFace;
+    },
+    isValid(block) {
+      return SHIELD_OPEN_FACES.includes(block.openFace);
+    }
+  },
+
+  // Every HEALER_INTERVAL, restore HP of the blocks around it
+  heal: {
+    spawn(block) {
+      block.nextHealAt = simTime + HEALER_INTERVAL;
+    },
+    update(block) {
+      if (simTime < block.nextHealAt) return;
+      block.nextHealAt += HEALER_INTERVAL;
+
+      const centerX = block.x + block.width / 2;
+      const centerY = block.y + block.height / 2;
+      for (const other of blocks) {
+        if (other === block || other.hp >= other.maxHp) continue;
+        const dx = other.x + other.width / 2 - centerX;
+        const dy = other.y + other.height / 2 - centerY;
+        if (dx * dx + dy * dy <= HEALER_RADIUS * HEALER_RADIUS) {
+          other.hp = Math.min(other.maxHp, other.hp + HEALER_AMOUNT);
+        }
+      }
+    },
+    isValid(block) {
+      return Number.isFinite(block.nextHealAt);
+    }
+  },
+
+  // Phase bookkeeping; phase changes and minions are run by boss.js
+  boss: {
+    spawn(block) {
+      block.phase = 0;
+      block.invulnerableUntil = 0;
+      block.nextMinionAt = simTime + BOSS_PHASES[0].minionInterval;
+      block.speed *= BOSS_PHASES[0].speed;
+    },
+    takesDamage(block) {
+      return simTime >= block.invulnerableUntil;
+    },
+    // Broke through: the fight ends without a reward and normal spawns resume
+    reachedLine(block) {
+      console.log(`👹 The boss broke through in phase ${block.phase + 1}/${BOSS_PHASES.length}! Fight over, no reward`);
+    },
+    isValid(block) {
+      return Number.isInteger(block.phase) && block.phase >= 0 && block.phase < BOSS_PHASES.length &&
+        Number.isFinite(block.invulnerableUntil) && Number.isFinite(block.nextMinionAt);
+    }
+  }
+};
+
+// Registry entry of a type id (e.g. 'LARGE'), or undefined
+export function getEnemyType(id) {
+  return ENEMY_TYPES[id];
+}
+
+export function isEnemyType(id) {
+  return Object.prototype.hasOwnProperty.call(ENEMY_TYPES, id);
+}
+
+// Size of a type at a level (elites grow)
+export function getEnemySize(type, level) {
+  return type.size + (type.sizePerLevel || 0) * level;
+}
+
+// Starting HP of a freshly spawned (not split) enemy; the per-level part
+// follows the run's difficulty (enemyHp curve)
+export function getEnemyHp(type, level) {
+  return Math.max(1, type.hp.base + Math.round(type.hp.perLevel * level * getEnemyHpScale(level)));
+}
+
+// Weighted random pick among the types that can spawn at this level
+export function pickSpawnType(level) {
+  let total = 0;
+  for (const id in ENEMY_TYPES) {
+    const spawn = ENEMY_TYPES[id].spawn;
+    if (spawn && level >= spawn.minLevel) total += spawn.weight;
+  }
+
+  let roll = random() * total;
+  for (const id in ENEMY_TYPES) {
+    const spawn = ENEMY_TYPES[id].spawn;
+    if (!spawn || level < spawn.minLevel) continue;
+    roll -= spawn.weight;
+    if (roll < 0) return id;
+  }
+  return 'LARGE'; // Only reachable through rounding at the very end of the table
+}
+
+// === BEHAVIOR HOOKS ===
+
+export function runSpawnHooks(block) {
+  const behaviors = ENEMY_TYPES[block.type].behaviors;
+  if (!behaviors) return;
+  for (const name of behaviors) {
+    if (BEHAVIORS[name].spawn) BEHAVIORS[name].spawn(block);
+  }
+}
+
+export function runUpdateHooks(block, dt) {
+  const behaviors = ENEMY_TYPES[block.type].behaviors;
+  if (!behaviors) return;
+  for (const name of behaviors) {
+    if (BEHAVIORS[name].update) BEHAVIORS[name].update(block, dt);
+  }
+}
+
+export function runReachedLineHooks(block) {
+  const behaviors = ENEMY_TYPES[block.type].behaviors;
+  if (!behaviors) return;
+  for (const name of behaviors) {
+    if (BEHAVIORS[name].reachedLine) BEHAVIORS[name].reachedLine(block);
+  }
+}
+
+// Whether a hit on these faces damages the block
+export function takesDamage(block, faceX, faceY) {
+  const behaviors = ENEMY_TYPES[block.type].behaviors;
+  if (!behaviors) return true;
+  return behaviors.every(name =>
+    !BEHAVIORS[name].takesDamage || BEHAVIORS[name].takesDamage(block, faceX, faceY)
+  );
+}
+
+// Whether a (saved) block has valid state for every behavior of its type
+export function hasValidBehaviorState(block) {
+  const behaviors = ENEMY_TYPES[block.type].behaviors;
+  if (!behaviors) return true;
+  return behaviors.every(name => !BEHAVIORS[name].isValid || BEHAVIORS[name].isValid(block));
+}
@@ -0,0 +1,256 @@
+/**
+ * LEVEL SCRIPTS (CAMPAIGN)
+ * Hand-designed levels made of timed waves, played as "campaign" next to
+ * the endless mode. Headless: the browser fetches the JSON (CAMPAIGN_URL)
+ * and hands the parsed campaign to initSimulation()
+ *
+ * Campaign JSON (version 1):
+ * {
+ *   version: 1,
+ *   name: 'Campaign',
+ *   levels: [{
+ *     name: 'First Contact',
+ *     speed: 1,                 // optional: block speed of the level, x BLOCK_SPEED
+ *     waves: [
+ *       { at: 0, type: 'LARGE' },                                      // one enemy, random free column
+ *       { at: 3000, type: 'SMALL', formation: 'wall', column: 0, count: 8 },
+ *       { at: 9000, type: 'MEDIUM', formation: 'v', column: 3, count: 5, hp: 4, speed: 1.5 },
+ *       { at: 12000, type: 'LARGE', column: 6, row: 2 },                // 2 grid rows higher
+ *       ...
+ *     ]
+ *   }, ...]
+ * }
+ *
+ * Per wave: at (ms after the level started, never earlier than the wave
+ * before), type (ENEMY_TYPES id), and optionally formation (LEVEL_FORMATIONS,
+ * default 'single'), column (0..GRID_COLUMNS - 1), row (0..MAX_WAVE_ROW grid rows
+ * above the top edge, default 0), count (1..MAX_WAVE_COUNT), hp (instead of
+ * the type's HP for the level) and speed (x BLOCK_SPEED, instead of the
+ * level's speed x the type's multiplier).
+ *   single - count enemies in `column` (or random free columns), one after another
+ *   wall   - count enemies side by side from `column` (default 0) to the right
+ *   column - count enemies stacked in `column` (default the middle one)
+ *   v      - tip in `column` (default the middle one), arms widening upwards
+ * Formations are spaced by the enemy's size in grid columns/rows, so big
+ * enemies don't overlap; a spot that isn't free yet waits (pendingSpawns)
+ * and is retried every step, so scripted enemies are never dropped.
+ *
+ * A level is cleared once all its waves spawned and the board is empty; the
+ * upgrade menu opens and the next level starts. Clearing the last one wins.
+ * Kills don't level up in campaign mode, and there are no random spawns,
+ * elites or automatic boss fights (a wave can send a 'BOSS').
+ */
+
+import {
+  BLOCK_SPEED,
+  GRID_COLUMNS,
+  LEVEL_FORMATIONS,
+  MAX_WAVE_COUNT,
+  MAX_WAVE_ROW
+} from './config.js';
+import {
+  level,
+  blocks,
+  simTime,
+  campaign,
+  levelStartedAt,
+  setLevelStartedAt,
+  nextWave,
+  setNextWave,
+  pendingSpawns,
+  setCurrentBlockSpeed
+} from './state.js';
+import { isEnemyType, getEnemyType, getEnemySize } from './enemytypes.js';
+import { getGridSpan, spawnScriptedEnemy } from './enemies.js';
+
+export const LEVELS_VERSION = 1;
+
+const LEVEL_KEYS = ['name', 'speed', 'waves'];
+const WAVE_KEYS = ['at', 'type', 'formation', 'column', 'row', 'count', 'hp', 'speed'];
+
+// === LOADING & VALIDATION ===
+
+// Parse and validate campaign JSON; throws an Error with a readable message
+export function parseCampaign(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Campaign is not valid JSON (${err.message})`);
+  }
+
+  validateCampaign(data);
+  return data;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isPositiveNumber(value) {
+  return Number.isFinite(value) && value > 0;
+}
+
+function isIntegerIn(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// First key of obj that isn't in `allowed` (typos like "colum"), or undefined
+function findUnknownKey(obj, allowed) {
+  return Object.keys(obj).find(key => !allowed.includes(key));
+}
+
+// Check already parsed campaign data; throws an Error with a readable message
+// naming the level and wave at fault, e.g. 'Level 2 "Crossfire", wave 3: ...'
+export function validateCampaign(data) {
+  if (!isPlainObject(data)) {
+    throw new Error('Campaign must be a JSON object');
+  }
+  if (data.version !== LEVELS_VERSION) {
+    throw new Error(`Unsupported campaign version ${data.version} (expected ${LEVELS_VERSION})`);
+  }
+  if (typeof data.name !== 'string' || data.name === '') {
+    throw new Error('Campaign needs a name');
+  }
+  if (!Array.isArray(data.levels) || data.levels.length === 0) {
+    throw new Error('Campaign needs at least one level');
+  }
+  data.levels.forEach(validateLevel);
+}
+
+function validateLevel(script, index) {
+  const where = `Level ${index + 1}`;
+  if (!isPlainObject(script)) {
+    throw new Error(`${where} must be an object`);
+  }
+  if (typeof script.name !== 'string' || script.name === '') {
+    throw new Error(`${where} needs a name`);
+  }
+
+  const label = `${where} "${script.name}"`;
+  const unknown = findUnknownKey(script, LEVEL_KEYS);
+  if (unknown !== undefined) {
+    throw new Error(`${label}: unknown field "${unknown}"`);
+  }
+  if (script.speed !== undefined && !isPositiveNumber(script.speed)) {
+    throw new Error(`${label}: speed must be a positive number`);
+  }
+  if (!Array.isArray(script.waves) || script.waves.length === 0) {
+    throw new Error(`${label}: needs at least one wave`);
+  }
+
+  let previousAt = 0;
+  script.waves.forEach((wave, i) => {
+    const message = validateWave(wave, previousAt);
+    if (message) {
+      throw new Error(`${label}, wave ${i + 1}: ${message}`);
+    }
+    previousAt = wave.at;
+  });
+}
+
+// What's wrong with a wave, or null
+function validateWave(wave, previousAt) {
+  if (!isPlainObject(wave)) return 'must be an object';
+
+  const unknown = findUnknownKey(wave, WAVE_KEYS);
+  if (unknown !== undefined) return `unknown field "${unknown}"`;
+  if (!Number.isFinite(wave.at) || wave.at < 0) return '"at" must be a time in ms (0 or more)';
+  if (wave.at < previousAt) return `"at" ${wave.at} is before the previous wave (${previousAt})`;
+  if (!isEnemyType(wave.type)) return `unknown enemy type "${wave.type}"`;
+  if (wave.formation !== undefined && !LEVEL_FORMATIONS.includes(wave.formation)) {
+    return `unknown formation "${wave.formation}" (use ${LEVEL_FORMATIONS.join(', ')})`;
+  }
+  if (wave.column !== undefined && !isIntegerIn(wave.column, 0, GRID_COLUMNS - 1)) {
+    return `column must be a whole number from 0 to ${GRID_COLUMNS - 1}`;
+  }
+  if (wave.row !== undefined && !isIntegerIn(wave.row, 0, MAX_WAVE_ROW)) {
+    return `row must be a whole number from 0 to ${MAX_WAVE_ROW}`;
+  }
+  if (wave.count !== undefined && !isIntegerIn(wave.count, 1, MAX_WAVE_COUNT)) {
+    return `count must be a whole number from 1 to ${MAX_WAVE_COUNT}`;
+  }
+  if (wave.hp !== undefined && !isIntegerIn(wave.hp, 1, Infinity)) {
+    return 'hp must be a whole number above 0';
+  }
+  if (wave.speed !== undefined && !isPositiveNumber(wave.speed)) {
+    return 'speed must be a positive number';
+  }
+  return null;
+}
+
+// === PLAYING A CAMPAIGN ===
+
+// Script of the level being played, or null (endless mode)
+export function getLevelScript() {
+  return campaign ? campaign.levels[level - 1] : null;
+}
+
+// Whether the level being played is the campaign's last one
+export function isFinalLevel() {
+  return campaign !== null && level === campaign.levels.length;
+}
+
+// Start the script for the current level (run start and every level up)
+export function startScriptedLevel() {
+  const script = getLevelScript();
+  setLevelStartedAt(simTime);
+  setNextWave(0);
+  pendingSpawns.length = 0;
+  setCurrentBlockSpeed(BLOCK_SPEED * (script.speed ?? 1));
+  console.log(`🗺️ Level ${level}/${campaign.levels.length}: ${script.name}`);
+}
+
+// Enemies a wave places at a level: [{ type, col, row, hp, speed }]
+// (col null = any free column; hp/speed null = the type's/level's own)
+// Also used by the level editor to turn formations into single blocks
+export function getWaveSpawns(wave, levelNumber) {
+  const formation = wave.formation ?? 'single';
+  const count = wave.count ?? 1;
+  const middle = Math.floor(GRID_COLUMNS / 2);
+  const span = getGridSpan(getEnemySize(getEnemyType(wave.type), levelNumber));
+  const hp = wave.hp ?? null;
+  const speed = wave.speed ?? null;
+  const spawns = [];
+
+  for (let i = 0; i < count; i++) {
+    let col = wave.column ?? null;
+    let row = wave.row ?? 0;
+    if (formation === 'wall') {
+      col = Math.min(GRID_COLUMNS - 1, (wave.column ?? 0) + i * span.cols);
+    } else if (formation === 'column') {
+      col = wave.column ?? middle;
+      row += i * span.rows;
+    } else if (formation === 'v') {
+      // Tip first, then one enemy left and right per step up
+      const arm = Math.ceil(i / 2);
+      const side = i % 2 === 1 ? -1 : 1;
+      col = Math.max(0, Math.min(GRID_COLUMNS - 1, (wave.column ?? middle) + side * arm * span.cols));
+      row += arm * span.rows;
+    }
+    spawns.push({ type: wave.type, col, row, hp, speed });
+  }
+  return spawns;
+}
+
+// Run the current level's script for this step: queue the waves that are
+// due (pendingSpawns) and place waiting enemies that fit (oldest first)
+// Returns true once the level is cleared (every wave out, board empty)
+export function updateLevelScript() {
+  const script = getLevelScript();
+  const elapsed = simTime - levelStartedAt;
+  while (nextWave < script.waves.length && script.waves[nextWave].at <= elapsed) {
+    pendingSpawns.push(...getWaveSpawns(script.waves[nextWave], level));
+    setNextWave(nextWave + 1);
+  }
+
+  for (let i = 0; i < pendingSpawns.length;) {
+    if (spawnScriptedEnemy(pendingSpawns[i])) {
+      pendingSpawns.splice(i, 1);
+    } else {
+      i++;
+    }
+  }
+
+  return nextWave === script.waves.length && pendingSpawns.length === 0 && blocks.length === 0;
+}
@@ -1,38 +1,157 @@
 // Breakout Shooter Game
 // Mobile-optimized with touch controls
+//
+// Entry point: wires the modules together, owns the fixed-timestep game loop
+// and the browser-only glue (version check, canvas events).
+// Tunables come from config.js and all mutable game state lives in state.js.
 
 import * as debugConsole from './console.js';
 import {
-  EXTRA_LATERAL_SAFE_AREA,
-  GRID_COLUMNS,
-  GRID_CELL_SIZE,
-  TOWER_WIDTH,
-  TOWER_HEIGHT,
-  TOWER_COLOR,
-  TOWER_OFFSET_BOTTOM,
-  GAME_OVER_LINE_OFFSET,
-  GAME_OVER_LINE_WIDTH,
-  GAME_OVER_LINE_COLOR
+  SIMULATION_STEP,
+  MAX_FRAME_TIME,
+  MAX_STEPS_PER_FRAME,
+  UPGRADE_CHOICES,
+  CAMPAIGN_URL,
+  EDITOR_TIME_STEP,
+  DIFFICULTY_PRESETS
 } from './config.js';
-import { isGridCellOccupied, occupyGridCell, freeGridCell } from './state.js';
-
-// Version checking configuration
-const VERSION_CHECK_INTERVAL = 2000;
+import {
+  gameRunning,
+  gameOver,
+  showUpgradeMenu,
+  showPauseMenu,
+  seed,
+  platformMode,
+  difficulty,
+  adaptive,
+  campaign,
+  score,
+  level,
+  totalKills,
+  upgradesChosen,
+  simTime,
+  runStartedAt,
+  setGameRunning,
+  getPoolStats
+} from './state.js';
+import { parseSeed } from './rng.js';
+import { initPlayerInput, readPlayerInput, resetPlayerInput } from './player.js';
+import {
+  initSimulation,
+  resumeSimulation,
+  saveSimulation,
+  setPaused,
+  advance,
+  setWorld
+} from './simulation.js';
+import { render, resizeCanvas } from './render.js';
+import {
+  getUpgradeAt,
+  getGameOverActionAt,
+  getMenuActionAt,
+  getEditorActionAt,
+  isPauseButtonAt,
+  renderStartMenu,
+  renderRunHistory,
+  renderLevelEditor,
+  renderPauseMenu,
+  renderSettings,
+  renderDebugStats
+} from './ui.js';
+import { recordRun, getBestRuns, getRunHistory } from './scores.js';
+import { saveRun, loadSavedRun, clearSavedRun } from './savegame.js';
+import { getSettings, setSetting, nextSettingChoice } from './settings.js';
+import { parseBenchmarkSpec, runBenchmark } from './benchmark.js';
+import { parseCampaign } from './levels.js';
+import {
+  openEditor,
+  setEditorNotice,
+  tapCell,
+  selectType,
+  changeSelectedHp,
+  removeSelectedBlock,
+  shiftWaveTime,
+  selectWave,
+  addWave,
+  removeWave,
+  selectLevel,
+  addLevel,
+  removeLevel,
+  getLevelName,
+  renameLevel,
+  getDraftCampaign,
+  loadDraft,
+  startPreview,
+  isPreviewing,
+  endPreview,
+  getEditorView
+} from './editor.js';
+import {
+  quantizeInput,
+  startRecording,
+  recordInput,
+  stopRecording,
+  isRecording,
+  getRecording,
+  resumeRecording,
+  getLastReplay,
+  serializeReplay,
+  parseReplay
+} from './replay.js';
+import {
+  initPlaybackControls,
+  isReplaying,
+  getReplayWorld,
+  startPlayback,
+  stepPlayback
+} from './playback.js';
+
+// Version checking & offline support
+// sw.js precaches each build; a new build installs a new worker that waits
+// until the player taps the reload button
 let currentVersion = window.__BUILD || 'unknown';
-let checkCounter = 0;
+let registeredVersion = null; // Build the service worker was last registered for
+let waitingWorker = null;     // Installed worker of a newer build, if any
+
+// Register the service worker for a build (a new ?v= installs a new worker)
+async function registerServiceWorker(version) {
+  registeredVersion = version;
+  const registration = await navigator.serviceWorker.register(`./sw.js?v=${encodeURIComponent(version)}`);
+
+  // Already downloaded on a previous visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onUpdateWaiting(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      // No controller means first install: nothing to update from
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdateWaiting(worker);
+      }
+    });
+  });
+}
+
+function onUpdateWaiting(worker) {
+  waitingWorker = worker;
+  console.log('🔄 New version downloaded and ready');
+  showReloadButton();
+}
 
-// Check for version updates
+// Look for a newer build (at launch and whenever the app comes back to the foreground)
 async function checkForUpdates() {
   try {
-    checkCounter++;
     const res = await fetch('./version.txt', { cache: 'no-store' });
     if (!res.ok) return;
     const latestVersion = (await res.text()).trim();
-    if (checkCounter % 10 === 0) {
-      console.log(`✅ Version check #${checkCounter}: current=${currentVersion}, latest=${latestVersion}`);
-    }
-    if (latestVersion !== currentVersion) {
-      console.log('🔄 New version detected!', { current: currentVersion, latest: latestVersion });
+    if (latestVersion === registeredVersion) return;
+
+    console.log('🔄 New version detected!', { current: currentVersion, latest: latestVersion });
+    if ('serviceWorker' in navigator) {
+      await registerServiceWorker(latestVersion);
+    } else {
       showReloadButton();
     }
   } catch (err) {
@@ -47,14 +166,32 @@ function showReloadButton() {
 
 function forceReload() {
   console.log('🔄 Reloading application...');
-  window.location.reload(true);
+  if (waitingWorker) {
+    // Reload once the new worker has taken over, so the page gets the new build
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload());
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  } else {
+    window.location.reload();
+  }
 }
 
 function initVersionCheck() {
   const reloadBtn = document.getElementById('reload-button');
   if (reloadBtn) reloadBtn.addEventListener('click', forceReload);
-  setInterval(checkForUpdates, VERSION_CHECK_INTERVAL);
-  console.log(`👁️ Version monitoring started (checking every ${VERSION_CHECK_INTERVAL/1000}s)`);
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') checkForUpdates();
+  });
+
+  if (!('serviceWorker' in navigator)) {
+    registeredVersion = currentVersion;
+    console.log('⚠️ Service workers not supported, no offline mode');
+    return;
+  }
+
+  registerServiceWorker(currentVersion)
+    .then(() => console.log(`📴 Offline support ready (build ${currentVersion})`))
+    .catch(err => console.warn('⚠️ Service worker registration failed:', err.message));
 }
 
 // ============================================
@@ -64,1061 +201,683 @@ function initVersionCheck() {
 const canvas = document.getElementById('game-canvas');
 const ctx = canvas.getContext('2d');
 
-let width, height;
-let gameRunning = false;
-let gameOver = false;
-let gamePaused = false;
-let score = 0;
-
-// Safe area insets for iOS
-let safeAreaTop = 0;
-let safeAreaBottom = 0;
-let safeAreaLeft = 0;
-let safeAreaRight = 0;
-
-// Get safe area insets from CSS
-function updateSafeAreas() {
-  const computedStyle = getComputedStyle(document.documentElement);
-  safeAreaTop = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-top)') || '0', 10);
-  safeAreaBottom = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-bottom)') || '0', 10);
-  safeAreaLeft = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-left)') || '0', 10);
-  safeAreaRight = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-right)') || '0', 10);
-
-  // Fallback: try reading from body padding
-  if (safeAreaTop === 0 && safeAreaBottom === 0) {
-    const bodyStyle = getComputedStyle(document.body);
-    safeAreaTop = parseInt(bodyStyle.paddingTop, 10) || 0;
-    safeAreaBottom = parseInt(bodyStyle.paddingBottom, 10) || 0;
-    safeAreaLeft = parseInt(bodyStyle.paddingLeft, 10) || 0;
-    safeAreaRight = parseInt(bodyStyle.paddingRight, 10) || 0;
-  }
+// Fixed-timestep loop bookkeeping (the simulated clock itself is simTime in state.js)
+let accumulator = 0;      // s of real time not yet simulated
+let lastFrameTime = null; // rAF timestamp of the previous frame
 
-  // Add extra lateral safe area
-  safeAreaLeft += EXTRA_LATERAL_SAFE_AREA;
-  safeAreaRight += EXTRA_LATERAL_SAFE_AREA;
+// World size + safe areas from the last canvas resize
+let world = null;
 
-  console.log(`📱 Safe areas - Top: ${safeAreaTop}px, Bottom: ${safeAreaBottom}px, Left: ${safeAreaLeft}px, Right: ${safeAreaRight}px`);
-}
+// World the run in progress is simulated in, null on the menus
+// Fixed for the whole run (replays and saves depend on it): resizing the
+// canvas mid-run only rescales the picture
+let runWorld = null;
 
-// Progression system
-let kills = 0;
-let requiredKills = 10;
-let level = 1;
-let showUpgradeMenu = false;
-
-// Player upgrades
-let bulletDamage = 1;
-let bulletSpeedMultiplier = 1;
-let maxBounces = 0; // Starts at 0 - only gets bounces from upgrades
-
-// Game objects
-const player = {
-  x: 0,
-  y: 0,
-  width: 80,
-  height: 20,
-  speed: 6,
-  moveLeft: false,
-  moveRight: false
-};
-
-// Aiming system
-let aimStartX = 0;
-let aimStartY = 0;
-let aimCurrentX = 0;
-let aimCurrentY = 0;
-let isAiming = false;
-
-// Last known shooting direction (defaults to straight up)
-let lastDirX = 0;
-let lastDirY = -1;
-
-const bullets = [];
-const blocks = [];
-
-// Game config
-const BASE_BULLET_SPEED = 7;
-const BULLET_WIDTH = 6;
-const BULLET_HEIGHT = 6;
-const BULLET_COOLDOWN = 150; // ms between shots (reduced for continuous shooting)
-let lastShot = 0;
-
-// Block sizes and HP (now cubes with size)
-const BLOCK_SIZES = {
-  LARGE: { size: 80, hp: 3, color: '#e74c3c' },
-  MEDIUM: { size: 60, hp: 2, color: '#3498db' },
-  SMALL: { size: 40, hp: 1, color: '#2ecc71' }
-};
-
-const BLOCK_SPEED = 0.4;
-const BLOCK_SPAWN_INTERVAL = 4000; // ms between block spawns (doubled from 2000 for half the enemies)
-let lastBlockSpawn = 0;
-let currentBlockSpeed = BLOCK_SPEED;
-let currentSpawnInterval = BLOCK_SPAWN_INTERVAL;
-
-// Setup canvas size
-function resizeCanvas() {
-  // Update safe areas first
-  updateSafeAreas();
-
-  const dpr = window.devicePixelRatio || 1;
-  const rect = canvas.getBoundingClientRect();
+// Upgrade picked from the menu, handed to the simulation on the next step
+let pendingUpgrade = null;
+const stepInput = {};   // Reused every step (see collectInput)
 
-  canvas.width = rect.width * dpr;
-  canvas.height = rect.height * dpr;
+// Menu screen shown instead of the game: 'start' | 'history' | 'editor' | null while playing
+let menuScreen = 'start';
+let historyTab = 'best'; // 'best' | 'recent'
 
-  width = canvas.width;
-  height = canvas.height;
+// Saved run offered as "Continue" on the start menu (see savegame.js)
+let savedRun = null;
 
-  ctx.scale(dpr, dpr);
+// A run is being played and hasn't been recorded as finished yet
+let runInProgress = false;
 
-  // Position player at bottom center, above safe area
-  player.x = (rect.width - player.width) / 2;
-  player.y = rect.height - player.height - safeAreaBottom - 20;
+// Built-in campaign (campaign.json), null until loaded or if it failed to load
+let builtInCampaign = null;
 
-  console.log(`Canvas resized: ${rect.width}x${rect.height} (DPR: ${dpr})`);
-}
+// Campaign played by new runs (restart keeps it), null for endless mode
+let runCampaign = null;
 
-// Initialize game
-function initGame() {
-  resizeCanvas();
-  window.addEventListener('resize', resizeCanvas);
-
-  // Touch controls
-  canvas.addEventListener('touchstart', handleTouchStart, { passive: false });
-  canvas.addEventListener('touchmove', handleTouchMove, { passive: false });
-  canvas.addEventListener('touchend', handleTouchEnd, { passive: false });
-
-  // Mouse controls (for desktop testing)
-  canvas.addEventListener('mousedown', handleMouseDown);
-  canvas.addEventListener('mousemove', handleMouseMove);
-  canvas.addEventListener('mouseup', handleMouseUp);
-  canvas.addEventListener('mouseleave', handleMouseUp);
-
-  gameRunning = true;
-  gameOver = false;
-  gamePaused = false;
-  showUpgradeMenu = false;
-  score = 0;
-  kills = 0;
-  requiredKills = 10;
-  level = 1;
-  bulletDamage = 1;
-  bulletSpeedMultiplier = 1;
-  maxBounces = 0; // Start with 0 bounces - must upgrade to get bounces
-  bullets.length = 0;
-  blocks.length = 0;
-  currentBlockSpeed = BLOCK_SPEED;
-  currentSpawnInterval = BLOCK_SPAWN_INTERVAL;
-  isAiming = false;
-  aimStartX = 0;
-  aimStartY = 0;
-  aimCurrentX = 0;
-  aimCurrentY = 0;
-  lastDirX = 0;
-  lastDirY = -1; // Start shooting upward
-
-  console.log('🎮 Game initialized!');
-  console.log('📱 iOS safe areas respected - optimized for notch and home bar');
-  console.log('🎯 Auto-fire ALWAYS ON! Drag to change direction - arrow always visible!');
-  console.log('🔫 Bullets start with 0 bounces - disappear on first wall/enemy hit!');
-  console.log('⭐ Upgrade bounce to make bullets reflect on walls and enemies');
-  console.log('🧱 ALL bounces (walls + enemies) consume bullet life');
-  console.log('🟥 Enemies are cubes with HP scaling: 5, 10, 15, 20...');
-  console.log('📉 Fewer initial enemies - longer spawn interval (4s vs 2s)');
-  console.log('💥 Realistic bounce physics - angles reflect based on collision side!');
-  console.log('📊 Kill enemies to fill progress bar and level up!');
-  console.log('💪 Choose upgrades: Bounce, Speed (+2%), or Damage');
-  console.log('💀 Elite enemies spawn when you level up!');
+// Overlay shown while the pause menu is open: 'pause' | 'settings'
+let pauseScreen = 'pause';
 
-  requestAnimationFrame(gameLoop);
-}
-
-// Touch handling - drag to aim
-let isDragging = false;
+const urlParams = new URLSearchParams(window.location.search);
 
-function handleTouchStart(e) {
-  // Don't interfere with upgrade menu or game over
-  if (showUpgradeMenu || gameOver) return;
+// ?seed=<number or text> replays the same run every time (bug reports, challenges)
+const urlSeed = parseSeed(urlParams.get('seed'));
 
-  e.preventDefault();
-  const touch = e.touches[0];
-  const rect = canvas.getBoundingClientRect();
+// ?benchmark=<bullets>x<blocks> times the simulation step on startup (see benchmark.js)
+const benchmarkSpec = parseBenchmarkSpec(urlParams.get('benchmark'));
 
-  isAiming = true;
-  aimStartX = touch.clientX - rect.left;
-  aimStartY = touch.clientY - rect.top;
-  aimCurrentX = aimStartX;
-  aimCurrentY = aimStartY;
+// Resize the canvas; the menus follow the new size, while a run or replay
+// keeps its world and is scaled to fit instead (see getViewTransform)
+function handleResize() {
+  world = resizeCanvas(canvas, ctx);
+  if (!runWorld && !isReplaying()) setWorld(world.width, world.height, world.safeAreas);
 }
 
-function handleTouchMove(e) {
-  if (!isAiming) return;
-  e.preventDefault();
-
-  const touch = e.touches[0];
-  const rect = canvas.getBoundingClientRect();
-
-  aimCurrentX = touch.clientX - rect.left;
-  aimCurrentY = touch.clientY - rect.top;
+// World drawn in the canvas: the replay's, the run's or the canvas itself
+function getViewWorld() {
+  return getReplayWorld() ?? runWorld ?? world;
 }
 
-function handleTouchEnd(e) {
-  if (!isAiming) return;
-  e.preventDefault();
+// Scale and offset that fit the viewed world into the canvas (centered)
+function getViewTransform() {
+  const view = getViewWorld();
+  const scale = Math.min(world.width / view.width, world.height / view.height);
+  return {
+    scale,
+    x: (world.width - view.width * scale) / 2,
+    y: (world.height - view.height * scale) / 2
+  };
+}
 
-  // Stop aiming
-  isAiming = false;
+// Canvas point (CSS px) -> point in the viewed world
+function toWorldPoint(x, y) {
+  const view = getViewTransform();
+  return { x: (x - view.x) / view.scale, y: (y - view.y) / view.scale };
 }
 
-function handleMouseDown(e) {
-  // Don't interfere with upgrade menu or game over
-  if (showUpgradeMenu || gameOver) return;
+// Register canvas/window listeners and start the loop (once per page load)
+function setupGame() {
+  handleResize();
+  window.addEventListener('resize', handleResize);
 
-  e.preventDefault();
-  const rect = canvas.getBoundingClientRect();
+  // Drag to aim (touch + mouse)
+  initPlayerInput(canvas, toWorldPoint);
 
-  isAiming = true;
-  aimStartX = e.clientX - rect.left;
-  aimStartY = e.clientY - rect.top;
-  aimCurrentX = aimStartX;
-  aimCurrentY = aimStartY;
-}
+  // Replay bar; leaving a replay goes back to the start menu
+  initPlaybackControls(() => showMenu('start'));
+  document.getElementById('replay-file').addEventListener('change', handleReplayFile);
+  document.getElementById('level-file').addEventListener('change', handleLevelFile);
 
-function handleMouseMove(e) {
-  if (!isAiming) return;
-  e.preventDefault();
+  // Pause and save the run whenever the app may be closed (iOS kills backgrounded PWAs)
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState !== 'hidden') return;
+    if (getSettings().autoPause) pauseGame();
+    saveCurrentRun();
+  });
+  window.addEventListener('pagehide', saveCurrentRun);
+  window.addEventListener('blur', () => {
+    if (getSettings().autoPause) pauseGame();
+  });
 
-  const rect = canvas.getBoundingClientRect();
-  aimCurrentX = e.clientX - rect.left;
-  aimCurrentY = e.clientY - rect.top;
-}
+  // Escape/P toggles the pause menu (desktop)
+  window.addEventListener('keydown', (e) => {
+    if (e.key !== 'Escape' && e.key !== 'p' && e.key !== 'P') return;
+    if (showPauseMenu) {
+      resumePlay();
+    } else {
+      pauseGame();
+    }
+  });
 
-function handleMouseUp(e) {
-  if (!isAiming) return;
-  e.preventDefault();
+  if (benchmarkSpec) {
+    runBenchmark({ ...benchmarkSpec, width: world.width, height: world.height });
+  }
 
-  // Stop aiming
-  isAiming = false;
+  loadCampaign();
+  showMenu('start');
+  requestAnimationFrame(gameLoop);
 }
 
-// Shoot bullet in aimed direction
-function shootBulletInDirection() {
-  const now = Date.now();
-  if (now - lastShot < BULLET_COOLDOWN) return;
+// Fetch the built-in campaign; the start menu offers it once it's loaded
+async function loadCampaign() {
+  try {
+    const response = await fetch(CAMPAIGN_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    builtInCampaign = parseCampaign(await response.text());
+    console.log(`🗺️ Campaign loaded: ${builtInCampaign.levels.length} levels`);
+  } catch (err) {
+    console.error('❌ Could not load the campaign:', err.message);
+  }
+}
 
-  const rect = canvas.getBoundingClientRect();
+// Show the start menu, history screen or level editor (the current run, if
+// any, is abandoned; so is an editor preview)
+function showMenu(screen) {
+  menuScreen = screen;
+  runInProgress = false;
+  // Menus are laid out for the canvas as it is now
+  runWorld = null;
+  setWorld(world.width, world.height, world.safeAreas);
+  setGameRunning(false);
+  resetPlayerInput();
+  endPreview();
+  if (screen === 'start') savedRun = loadSavedRun();
+  if (screen === 'editor') openEditor();
+}
 
-  // Calculate tower position
-  const towerX = (rect.width - TOWER_WIDTH) / 2;
-  const towerY = rect.height - safeAreaBottom - TOWER_OFFSET_BOTTOM - TOWER_HEIGHT;
-  const towerCenterX = towerX + TOWER_WIDTH / 2;
-  const towerTopY = towerY;
-
-  let dirX = lastDirX;
-  let dirY = lastDirY;
-
-  // If currently aiming, update direction
-  if (isAiming) {
-    const dx = aimCurrentX - aimStartX;
-    const dy = aimCurrentY - aimStartY;
-    const distance = Math.sqrt(dx * dx + dy * dy);
-
-    // Only update direction if drag distance is significant
-    if (distance >= 10) {
-      dirX = dx / distance;
-      dirY = dy / distance;
-
-      // Remember this direction
-      lastDirX = dirX;
-      lastDirY = dirY;
-    }
-  }
+// Where leaving a run goes: editor previews return to the editor
+function showMenuAfterRun() {
+  showMenu(isPreviewing() ? 'editor' : 'start');
+}
 
-  lastShot = now;
-  const bulletSpeed = BASE_BULLET_SPEED * bulletSpeedMultiplier;
-
-  // Shoot single projectile from tower top
-  bullets.push({
-    x: towerCenterX - BULLET_WIDTH / 2,
-    y: towerTopY - BULLET_HEIGHT,
-    width: BULLET_WIDTH,
-    height: BULLET_HEIGHT,
-    vx: dirX * bulletSpeed,
-    vy: dirY * bulletSpeed,
-    bounces: 0,
-    damage: bulletDamage
-  });
+// Save the run in progress so it can be continued after the app is closed
+// (editor previews are never saved)
+function saveCurrentRun() {
+  if (!runInProgress || isReplaying() || isPreviewing() || gameOver) return;
+  saveRun(runWorld, saveSimulation(), getRecording());
 }
 
-// === GRID HELPER FUNCTIONS ===
+// Continue the run from the start menu's saved game, in the world it was
+// saved in (scaled to fit the canvas like any run)
+function resumeGame(save) {
+  menuScreen = null;
+  runCampaign = save.run.campaign;
+  runWorld = save.world;
+  resumeSimulation(save.run, {
+    width: runWorld.width,
+    height: runWorld.height,
+    safeAreas: runWorld.safeAreas
+  });
+  resetPlayerInput();
+  pendingUpgrade = null;
+  accumulator = 0;
+  runInProgress = true;
 
-// Convert grid coordinates to pixel position
-function gridToPixel(col, row) {
-  const rect = canvas.getBoundingClientRect();
-  const playAreaWidth = rect.width - safeAreaLeft - safeAreaRight;
-  const columnWidth = playAreaWidth / GRID_COLUMNS;
+  if (save.replay) resumeRecording(save.replay);
 
-  // Center the cell within its column
-  const x = safeAreaLeft + col * columnWidth + (columnWidth - GRID_CELL_SIZE) / 2;
-  const y = row * GRID_CELL_SIZE;
+  // The run lives in memory again; it's saved anew when the app is hidden
+  clearSavedRun();
+  savedRun = null;
 
-  return { x, y };
+  // Start paused so the player can get ready
+  pauseGame();
 }
 
-// Convert pixel position to grid coordinates
-function pixelToGrid(x, y) {
-  const rect = canvas.getBoundingClientRect();
-  const playAreaWidth = rect.width - safeAreaLeft - safeAreaRight;
-  const columnWidth = playAreaWidth / GRID_COLUMNS;
-
-  const col = Math.floor((x - safeAreaLeft) / columnWidth);
-  const row = Math.floor(y / GRID_CELL_SIZE);
+// Open the pause menu (only during a run that is actually being played)
+function pauseGame() {
+  if (!runInProgress || gameOver || isReplaying() || showPauseMenu) return;
 
-  return { col, row };
+  setPaused(true);
+  pauseScreen = 'pause';
+  resetPlayerInput();
+  console.log('⏸️ Game paused');
 }
 
-// Find an available grid cell for spawning
-function findAvailableGridCell(enemySize) {
-  const rect = canvas.getBoundingClientRect();
-  const cellsNeeded = Math.ceil(enemySize / GRID_CELL_SIZE);
+// Close the pause menu and continue the run
+function resumePlay() {
+  if (!showPauseMenu) return;
 
-  // Try top rows first (enemies spawn from top)
-  const maxRow = 5; // Only check top 5 rows for spawning
+  setPaused(false);
+  accumulator = 0;
+  lastFrameTime = null;
+  console.log('▶️ Game resumed');
+}
 
-  // Shuffle columns to randomize spawn position
-  const columns = Array.from({ length: GRID_COLUMNS }, (_, i) => i);
-  for (let i = columns.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [columns[i], columns[j]] = [columns[j], columns[i]];
+// Initialize game (also used to restart after game over)
+function initGame() {
+  menuScreen = null;
+  runInProgress = true;
+  // An editor preview leaves the saved run alone
+  if (!isPreviewing()) {
+    clearSavedRun();
+    savedRun = null;
   }
+  runWorld = world;
+  initSimulation({
+    width: runWorld.width,
+    height: runWorld.height,
+    safeAreas: runWorld.safeAreas,
+    seed: urlSeed ?? undefined,
+    platformMode: getSettings().platformMode,
+    difficulty: getSettings().difficulty,
+    adaptive: getSettings().adaptiveDifficulty,
+    campaign: runCampaign
+  });
+  resetPlayerInput();
+  pendingUpgrade = null;
+  accumulator = 0;
+
+  startRecording({
+    seed,
+    platformMode,
+    difficulty,
+    adaptive,
+    campaign: runCampaign,
+    width: runWorld.width,
+    height: runWorld.height,
+    safeAreas: runWorld.safeAreas
+  });
 
-  // Find first available position
-  for (let row = 0; row < maxRow; row++) {
-    for (const col of columns) {
-      // Check if this position and adjacent cells (if needed) are free
-      let allFree = true;
-      for (let dc = 0; dc < cellsNeeded && allFree; dc++) {
-        for (let dr = 0; dr < cellsNeeded && allFree; dr++) {
-          if (col + dc >= GRID_COLUMNS || isGridCellOccupied(row + dr, col + dc)) {
-            allFree = false;
-          }
-        }
-      }
-
-      if (allFree) {
-        return { col, row, cellsNeeded };
-      }
-    }
+  console.log(`🎮 Game initialized! Seed: ${seed}${urlSeed !== null ? ' (from URL)' : ''}`);
+  console.log(`🎚️ Difficulty: ${DIFFICULTY_PRESETS[difficulty].name}${adaptive ? ' (adaptive)' : ''}`);
+  if (campaign) {
+    console.log(`🗺️ ${campaign.name}: clear ${campaign.levels.length} scripted levels to win!`);
   }
-
-  return null; // No available position
+  if (platformMode !== 'fixed') {
+    console.log('🏓 Movable platform: drag the bottom strip or use ←/→ - bullets ricochet off its top!');
+  }
+  console.log('📱 iOS safe areas respected - optimized for notch and home bar');
+  console.log('🎯 Auto-fire ALWAYS ON! Drag to change direction - arrow always visible!');
+  console.log('⭐ Upgrade bounce to make bullets reflect on walls and enemies');
+  console.log('💥 Realistic bounce physics - angles reflect based on collision side!');
+  console.log('📊 Kill enemies to fill progress bar and level up!');
+  console.log(`💪 Pick 1 of ${UPGRADE_CHOICES} random upgrades per level - rarer ones are stronger!`);
+  console.log('💀 Elite enemies spawn when you level up!');
 }
 
-// Spawn a block (cube) using grid system
-function spawnBlock() {
-  const now = Date.now();
-  if (now - lastBlockSpawn < currentSpawnInterval) return;
-
-  lastBlockSpawn = now;
-
-  // Start with large blocks
-  const sizeConfig = BLOCK_SIZES.LARGE;
-  const hp = level * 5; // HP scales with level
-
-  // Find available grid position
-  const gridPos = findAvailableGridCell(sizeConfig.size);
-  if (!gridPos) {
-    console.log('⚠️ No grid space available for spawning');
-    return; // Grid is full, can't spawn
-  }
+// Input for the next simulation step (drag gesture + menu choice)
+function collectInput() {
+  const input = readPlayerInput(stepInput);
+  input.upgrade = pendingUpgrade;
+  pendingUpgrade = null;
+  return input;
+}
 
-  // Convert grid position to pixel coordinates
-  const pixelPos = gridToPixel(gridPos.col, gridPos.row);
+// One simulation step of normal play, recorded for the replay
+function stepGame() {
+  const input = quantizeInput(collectInput());
+  recordInput(input);
+  advance(SIMULATION_STEP, input);
 
-  // Mark grid cells as occupied
-  for (let dc = 0; dc < gridPos.cellsNeeded; dc++) {
-    for (let dr = 0; dr < gridPos.cellsNeeded; dr++) {
-      occupyGridCell(gridPos.row + dr, gridPos.col + dc);
-    }
+  if (gameOver && runInProgress) {
+    finishRun();
   }
+}
 
-  blocks.push({
-    x: pixelPos.x,
-    y: pixelPos.y - sizeConfig.size, // Spawn above visible area
-    width: sizeConfig.size,
-    height: sizeConfig.size,
-    color: sizeConfig.color,
-    hp: hp,
-    maxHp: hp,
-    size: 'LARGE',
-    isElite: false,
-    speed: currentBlockSpeed,
-    gridCol: gridPos.col,
-    gridRow: gridPos.row,
-    gridCells: gridPos.cellsNeeded
+// Save the replay and the leaderboard entry of a run that just ended
+function finishRun() {
+  const result = { score, level, kills: totalKills };
+  runInProgress = false;
+  if (isRecording()) stopRecording(result);
+  // Editor previews don't count
+  if (isPreviewing()) return;
+
+  clearSavedRun();
+  recordRun({
+    ...result,
+    upgrades: [...upgradesChosen],
+    duration: Math.round(simTime / 100) / 10,
+    seed,
+    date: runStartedAt,
+    mode: campaign ? 'campaign' : 'endless',
+    difficulty,
+    adaptive
   });
+}
 
-  // At higher levels, sometimes spawn multiple blocks at once
-  if (level >= 3 && Math.random() < 0.3) {
-    const secondGridPos = findAvailableGridCell(sizeConfig.size);
-    if (secondGridPos) {
-      const secondPixelPos = gridToPixel(secondGridPos.col, secondGridPos.row);
-
-      // Mark second block's grid cells as occupied
-      for (let dc = 0; dc < secondGridPos.cellsNeeded; dc++) {
-        for (let dr = 0; dr < secondGridPos.cellsNeeded; dr++) {
-          occupyGridCell(secondGridPos.row + dr, secondGridPos.col + dc);
-        }
-      }
-
-      blocks.push({
-        x: secondPixelPos.x,
-        y: secondPixelPos.y - sizeConfig.size - 100,
-        width: sizeConfig.size,
-        height: sizeConfig.size,
-        color: sizeConfig.color,
-        hp: hp,
-        maxHp: hp,
-        size: 'LARGE',
-        isElite: false,
-        speed: currentBlockSpeed,
-        gridCol: secondGridPos.col,
-        gridRow: secondGridPos.row,
-        gridCells: secondGridPos.cellsNeeded
-      });
-    }
+// Draw the start menu, history screen or level editor
+function renderMenu() {
+  ctx.clearRect(0, 0, world.width, world.height);
+  if (menuScreen === 'editor') {
+    renderLevelEditor(ctx, getEditorView());
+  } else if (menuScreen === 'history') {
+    const selected = getSettings().difficulty;
+    renderRunHistory(ctx, historyTab, historyTab === 'best' ? getBestRuns(selected) : getRunHistory(), selected);
+  } else {
+    const selected = getSettings().difficulty;
+    renderStartMenu(ctx, getBestRuns(selected)[0], savedRun, builtInCampaign !== null, selected);
   }
 }
 
-// Spawn an elite block with extra HP using grid system
-function spawnEliteBlock() {
-  const baseSize = BLOCK_SIZES.LARGE;
-  const eliteSize = baseSize.size + level * 10; // Grows with level
-  const eliteHP = level * 10; // Elite HP: 10x level
-
-  // Find available grid position
-  const gridPos = findAvailableGridCell(eliteSize);
-  if (!gridPos) {
-    console.log('⚠️ No grid space available for elite spawn');
-    return; // Grid is full, can't spawn
-  }
+// Draw the current frame and its overlays, scaled to fit the run's (or
+// replay's) world into the canvas
+function renderFrame(alpha) {
+  const view = getViewTransform();
+  ctx.clearRect(0, 0, world.width, world.height);
+  ctx.save();
+  ctx.translate(view.x, view.y);
+  ctx.scale(view.scale, view.scale);
 
-  // Convert grid position to pixel coordinates
-  const pixelPos = gridToPixel(gridPos.col, gridPos.row);
+  render(ctx, alpha);
 
-  // Mark grid cells as occupied
-  for (let dc = 0; dc < gridPos.cellsNeeded; dc++) {
-    for (let dr = 0; dr < gridPos.cellsNeeded; dr++) {
-      occupyGridCell(gridPos.row + dr, gridPos.col + dc);
-    }
+  if (getSettings().debugStats) {
+    renderDebugStats(ctx, getPoolStats());
   }
 
-  blocks.push({
-    x: pixelPos.x,
-    y: pixelPos.y - eliteSize,
-    width: eliteSize,
-    height: eliteSize,
-    color: '#9b59b6', // Purple for elite
-    hp: eliteHP,
-    maxHp: eliteHP,
-    size: 'ELITE',
-    isElite: true,
-    speed: currentBlockSpeed * 0.8, // Elites move slightly slower but tankier
-    gridCol: gridPos.col,
-    gridRow: gridPos.row,
-    gridCells: gridPos.cellsNeeded
-  });
+  if (showPauseMenu) {
+    if (pauseScreen === 'settings') {
+      renderSettings(ctx, getSettings());
+    } else {
+      renderPauseMenu(ctx);
+    }
+  }
 
-  console.log(`💀 Elite spawned! HP: ${eliteHP}, Level: ${level}`);
+  ctx.restore();
 }
 
-// Split block into smaller blocks using grid system
-function splitBlock(block) {
-  // Elite blocks don't split
-  if (block.isElite) return;
-
-  const newSize = block.size === 'LARGE' ? 'MEDIUM' : 'SMALL';
-  const sizeConfig = BLOCK_SIZES[newSize];
-  const splitHP = Math.ceil(block.maxHp / 2);
-
-  // Try to place split blocks near the parent's position
-  // First split block - try left/adjacent cells
-  const gridPos1 = findAvailableGridCell(sizeConfig.size);
-  if (gridPos1) {
-    const pixelPos1 = gridToPixel(gridPos1.col, gridPos1.row);
-
-    // Mark grid cells as occupied
-    for (let dc = 0; dc < gridPos1.cellsNeeded; dc++) {
-      for (let dr = 0; dr < gridPos1.cellsNeeded; dr++) {
-        occupyGridCell(gridPos1.row + dr, gridPos1.col + dc);
-      }
-    }
-
-    blocks.push({
-      x: pixelPos1.x,
-      y: block.y, // Keep same vertical position
-      width: sizeConfig.size,
-      height: sizeConfig.size,
-      color: sizeConfig.color,
-      hp: splitHP,
-      maxHp: splitHP,
-      size: newSize,
-      isElite: false,
-      speed: block.speed,
-      gridCol: gridPos1.col,
-      gridRow: gridPos1.row,
-      gridCells: gridPos1.cellsNeeded
-    });
+// Game loop
+// Runs the simulation in fixed SIMULATION_STEP increments, catching up on
+// however much real time passed since the last frame, then renders the
+// world interpolated between the last two steps.
+function gameLoop(timestamp) {
+  if (menuScreen) {
+    lastFrameTime = null;
+    renderMenu();
+    requestAnimationFrame(gameLoop);
+    return;
   }
 
-  // Second split block - try right/adjacent cells
-  const gridPos2 = findAvailableGridCell(sizeConfig.size);
-  if (gridPos2) {
-    const pixelPos2 = gridToPixel(gridPos2.col, gridPos2.row);
+  if (!gameRunning) return;
 
-    // Mark grid cells as occupied
-    for (let dc = 0; dc < gridPos2.cellsNeeded; dc++) {
-      for (let dr = 0; dr < gridPos2.cellsNeeded; dr++) {
-        occupyGridCell(gridPos2.row + dr, gridPos2.col + dc);
-      }
-    }
+  if (lastFrameTime === null) lastFrameTime = timestamp;
+  // Clamp huge gaps (tab in background, breakpoint) so we don't fast-forward
+  const frameTime = Math.min((timestamp - lastFrameTime) / 1000, MAX_FRAME_TIME);
+  lastFrameTime = timestamp;
+  accumulator += frameTime;
 
-    blocks.push({
-      x: pixelPos2.x,
-      y: block.y, // Keep same vertical position
-      width: sizeConfig.size,
-      height: sizeConfig.size,
-      color: sizeConfig.color,
-      hp: splitHP,
-      maxHp: splitHP,
-      size: newSize,
-      isElite: false,
-      speed: block.speed,
-      gridCol: gridPos2.col,
-      gridRow: gridPos2.row,
-      gridCells: gridPos2.cellsNeeded
-    });
+  // Nothing is simulated (or recorded) while the pause menu is open
+  if (showPauseMenu) accumulator = 0;
+
+  let steps = 0;
+  while (accumulator >= SIMULATION_STEP && steps < MAX_STEPS_PER_FRAME) {
+    if (isReplaying()) {
+      stepPlayback();
+    } else {
+      stepGame();
+    }
+    accumulator -= SIMULATION_STEP;
+    steps++;
   }
-}
 
-// Level up and show upgrade menu
-function levelUp() {
-  level++;
-  requiredKills += 5;
-  kills = 0;
-  gamePaused = true;
-  showUpgradeMenu = true;
+  // Device can't keep up: drop the backlog instead of spiralling
+  if (accumulator >= SIMULATION_STEP) {
+    console.debug(`⏱️ Simulation behind, dropping ${(accumulator * 1000).toFixed(0)}ms`);
+    accumulator %= SIMULATION_STEP;
+  }
 
-  // Increase difficulty with each level
-  // Block speed increases by 15% per level
-  currentBlockSpeed = BLOCK_SPEED * (1 + (level - 1) * 0.15);
+  renderFrame(accumulator / SIMULATION_STEP);
 
-  // Spawn interval decreases by 10% per level (blocks spawn faster)
-  currentSpawnInterval = Math.max(500, BLOCK_SPAWN_INTERVAL * Math.pow(0.9, level - 1));
+  requestAnimationFrame(gameLoop);
+}
 
-  // Spawn elite enemy
-  spawnEliteBlock();
+// Download text as a JSON file
+function downloadJson(text, filename) {
+  const blob = new Blob([text], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
 
-  console.log(`🎉 Level ${level}! Next goal: ${requiredKills} kills`);
-  console.log(`📈 Difficulty: Speed ${currentBlockSpeed.toFixed(2)}, Spawn interval ${currentSpawnInterval.toFixed(0)}ms`);
+// Save a replay as a JSON file
+function exportReplay(replay) {
+  downloadJson(serializeReplay(replay), `bounce-shooter-replay-${replay.seed}.json`);
+  console.log('💾 Replay exported');
 }
 
-// Apply upgrade
-function applyUpgrade(upgradeType) {
-  if (upgradeType === 'damage') {
-    bulletDamage++;
-    console.log(`⚔️ Damage upgraded to ${bulletDamage}`);
-  } else if (upgradeType === 'speed') {
-    bulletSpeedMultiplier += 0.02;
-    console.log(`⚡ Speed upgraded to ${(bulletSpeedMultiplier * 100).toFixed(0)}%`);
-  } else if (upgradeType === 'bounce') {
-    maxBounces++;
-    console.log(`🎾 Max bounces upgraded to ${maxBounces}`);
+// Save the editor's levels as a campaign file (see levels.js)
+function exportLevels() {
+  try {
+    const data = getDraftCampaign();
+    downloadJson(JSON.stringify(data, null, 2), 'bounce-shooter-levels.json');
+    setEditorNotice(`💾 Exported ${data.levels.length} level(s)`);
+    console.log('💾 Levels exported');
+  } catch (err) {
+    setEditorNotice(`❌ ${err.message}`);
+    console.error('❌ Could not export levels:', err.message);
   }
-
-  showUpgradeMenu = false;
-  gamePaused = false;
 }
 
-// Update game state
-function update() {
-  if (gameOver || gamePaused) return;
-
-  const rect = canvas.getBoundingClientRect();
-
-  // Always shoot continuously
-  shootBulletInDirection();
-
-  // Spawn blocks
-  spawnBlock();
-
-  // Update bullets
-  for (let i = bullets.length - 1; i >= 0; i--) {
-    const bullet = bullets[i];
-
-    bullet.x += bullet.vx;
-    bullet.y += bullet.vy;
-
-    // Wall bouncing (left, right, top, bottom) - COUNTS as bounce
-    let bounced = false;
-
-    // Left and right walls
-    if (bullet.x <= 0 || bullet.x + bullet.width >= rect.width) {
-      bullet.vx = -bullet.vx;
-      bullet.x = Math.max(0, Math.min(rect.width - bullet.width, bullet.x));
-      bullet.bounces++;
-      bounced = true;
-    }
-
-    // Top and bottom walls
-    if (bullet.y <= 0 || bullet.y + bullet.height >= rect.height) {
-      bullet.vy = -bullet.vy;
-      bullet.y = Math.max(0, Math.min(rect.height - bullet.height, bullet.y));
-      bullet.bounces++;
-      bounced = true;
-    }
+// Load a level file picked in the file input into the editor
+async function handleLevelFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
 
-    // Remove bullets that exceed max bounces or go off screen
-    if (bullet.bounces > maxBounces) {
-      bullets.splice(i, 1);
-    }
+  try {
+    const data = parseCampaign(await file.text());
+    loadDraft(data);
+    setEditorNotice(`📂 Loaded ${data.name} (${data.levels.length} level(s))`);
+    console.log(`📂 Levels loaded: ${data.name}`);
+  } catch (err) {
+    setEditorNotice(`❌ ${err.message}`);
+    console.error('❌ Could not load levels:', err.message);
   }
+}
 
-  // Update blocks (cubes)
-  for (let i = blocks.length - 1; i >= 0; i--) {
-    const block = blocks[i];
-    const oldY = block.y;
-    block.y += block.speed || currentBlockSpeed;
-
-    // Free grid cells when block moves past spawn zone
-    if (block.gridCells !== undefined && !block.gridFreed) {
-      const spawnZoneHeight = 10 * GRID_CELL_SIZE; // Top 10 rows
-      if (block.y > spawnZoneHeight) {
-        for (let dc = 0; dc < block.gridCells; dc++) {
-          for (let dr = 0; dr < block.gridCells; dr++) {
-            freeGridCell(block.gridRow + dr, block.gridCol + dc);
-          }
-        }
-        block.gridFreed = true; // Mark as freed to avoid freeing multiple times
-      }
-    }
+// Play the current wave or level of the editor draft (not scored or saved)
+function previewDraft(scope) {
+  try {
+    runCampaign = startPreview(scope);
+  } catch (err) {
+    setEditorNotice(`❌ ${err.message}`);
+    return;
+  }
+  initGame();
+}
 
-    // Check if block reached game over line (above tower)
-    const towerY = rect.height - safeAreaBottom - TOWER_OFFSET_BOTTOM - TOWER_HEIGHT;
-    const gameOverLineY = towerY - GAME_OVER_LINE_OFFSET;
+// Load a replay picked in the file input and play it
+async function handleReplayFile(e) {
+  const file = e.target.files[0];
+  e.target.value = '';
+  if (!file) return;
 
-    if (block.y + block.height >= gameOverLineY) {
-      gameOver = true;
-      console.log('💀 Game Over! Enemy crossed the line! Final score:', score);
-      console.log(`📊 Reached Level ${level}, Killed ${kills + (level - 1) * (requiredKills - 5) + 10} enemies total`);
-      return;
-    }
+  try {
+    startPlayback(parseReplay(await file.text()));
+  } catch (err) {
+    console.error('❌ Could not load replay:', err.message);
   }
+}
 
-  // Check collisions
-  for (let i = bullets.length - 1; i >= 0; i--) {
-    const bullet = bullets[i];
-    if (!bullet) continue;
-
-    for (let j = blocks.length - 1; j >= 0; j--) {
-      const block = blocks[j];
-
-      if (checkCubeCollision(bullet, block)) {
-        // Reduce block HP by bullet damage
-        block.hp -= bullet.damage;
-
-        // Calculate correct bounce physics based on collision side
-        const bulletCenterX = bullet.x + bullet.width / 2;
-        const bulletCenterY = bullet.y + bullet.height / 2;
-        const blockCenterX = block.x + block.width / 2;
-        const blockCenterY = block.y + block.height / 2;
-
-        // Calculate which side was hit
-        const dx = bulletCenterX - blockCenterX;
-        const dy = bulletCenterY - blockCenterY;
-        const width = (bullet.width + block.width) / 2;
-        const height = (bullet.height + block.height) / 2;
-        const crossWidth = width * dy;
-        const crossHeight = height * dx;
-
-        // Determine collision side and reflect accordingly
-        if (Math.abs(dx) <= width && Math.abs(dy) <= height) {
-          if (crossWidth > crossHeight) {
-            if (crossWidth > -crossHeight) {
-              // Bottom collision
-              bullet.vy = Math.abs(bullet.vy);
-            } else {
-              // Left collision
-              bullet.vx = -Math.abs(bullet.vx);
-            }
-          } else {
-            if (crossWidth > -crossHeight) {
-              // Right collision
-              bullet.vx = Math.abs(bullet.vx);
-            } else {
-              // Top collision
-              bullet.vy = -Math.abs(bullet.vy);
-            }
-          }
-        }
-
-        bullet.bounces++;
-
-        // If block HP is 0
-        if (block.hp <= 0) {
-          // Free grid cells occupied by this block
-          if (block.gridCells !== undefined) {
-            for (let dc = 0; dc < block.gridCells; dc++) {
-              for (let dr = 0; dr < block.gridCells; dr++) {
-                freeGridCell(block.gridRow + dr, block.gridCol + dc);
-              }
-            }
-          }
-
-          // Remove block
-          blocks.splice(j, 1);
-
-          // Only count kills for blocks that don't split
-          const countsAsKill = block.size === 'SMALL' || block.isElite;
-
-          if (countsAsKill) {
-            kills++;
-            console.log(`💥 Kill! ${kills}/${requiredKills}`);
-
-            // Check for level up
-            if (kills >= requiredKills) {
-              levelUp();
-            }
-          }
-
-          // Split into smaller blocks if not SMALL and not ELITE
-          if (block.size !== 'SMALL' && !block.isElite) {
-            splitBlock(block);
-          }
-
-          // Award points
-          if (block.isElite) {
-            score += 100;
-          } else {
-            score += block.size === 'LARGE' ? 30 : block.size === 'MEDIUM' ? 20 : 10;
-          }
-        }
-
-        // Remove bullet if max bounces exceeded
-        if (bullet.bounces > maxBounces) {
-          bullets.splice(i, 1);
-        }
-
-        break;
-      }
-    }
+// Replay buttons on the game over screen, anywhere else restarts
+function handleGameOverClick(x, y) {
+  switch (getGameOverActionAt(x, y)) {
+    case 'watchReplay':
+      startPlayback(getLastReplay());
+      break;
+    case 'exportReplay':
+      exportReplay(getLastReplay());
+      break;
+    case 'loadReplay':
+      document.getElementById('replay-file').click();
+      break;
+    case 'menu':
+      showMenuAfterRun();
+      break;
+    default:
+      initGame();
   }
 }
 
-// Cube (AABB) collision detection
-function checkCubeCollision(bullet, block) {
-  return bullet.x < block.x + block.width &&
-         bullet.x + bullet.width > block.x &&
-         bullet.y < block.y + block.height &&
-         bullet.y + bullet.height > block.y;
+// Start menu and history screen buttons
+function handleMenuClick(x, y) {
+  switch (getMenuActionAt(x, y)) {
+    case 'continue':
+      resumeGame(savedRun);
+      break;
+    case 'play':
+      runCampaign = null;
+      initGame();
+      break;
+    case 'campaign':
+      runCampaign = builtInCampaign;
+      initGame();
+      break;
+    case 'history':
+      historyTab = 'best';
+      menuScreen = 'history';
+      break;
+    case 'editor':
+      showMenu('editor');
+      break;
+    case 'cycleDifficulty':
+      // One setting for both screens: new runs are played on it and its leaderboard is shown
+      setSetting('difficulty', nextSettingChoice('difficulty'));
+      break;
+    case 'showBest':
+      historyTab = 'best';
+      break;
+    case 'showRecent':
+      historyTab = 'recent';
+      break;
+    case 'back':
+      menuScreen = 'start';
+      break;
+  }
 }
 
-// Render game
-function render() {
-  const rect = canvas.getBoundingClientRect();
-
-  // Clear canvas
-  ctx.clearRect(0, 0, rect.width, rect.height);
-
-  // Draw player (platform/cube)
-  ctx.fillStyle = '#3498db';
-  ctx.fillRect(player.x, player.y, player.width, player.height);
-
-  // Platform top highlight
-  ctx.fillStyle = '#5dade2';
-  ctx.fillRect(player.x, player.y, player.width, player.height / 3);
-
-  // Platform border
-  ctx.strokeStyle = '#2980b9';
-  ctx.lineWidth = 2;
-  ctx.strokeRect(player.x, player.y, player.width, player.height);
-
-  // Draw tower
-  const towerX = (rect.width - TOWER_WIDTH) / 2;
-  const towerY = rect.height - safeAreaBottom - TOWER_OFFSET_BOTTOM - TOWER_HEIGHT;
-  ctx.fillStyle = TOWER_COLOR;
-  ctx.fillRect(towerX, towerY, TOWER_WIDTH, TOWER_HEIGHT);
-
-  // Tower highlight
-  ctx.fillStyle = '#546e7a';
-  ctx.fillRect(towerX, towerY, TOWER_WIDTH, TOWER_HEIGHT / 3);
-
-  // Tower border
-  ctx.strokeStyle = '#263238';
-  ctx.lineWidth = 3;
-  ctx.strokeRect(towerX, towerY, TOWER_WIDTH, TOWER_HEIGHT);
-
-  // Draw game over line (above tower)
-  const gameOverLineY = towerY - GAME_OVER_LINE_OFFSET;
-  ctx.strokeStyle = GAME_OVER_LINE_COLOR;
-  ctx.lineWidth = GAME_OVER_LINE_WIDTH;
-  ctx.setLineDash([10, 5]);
-  ctx.beginPath();
-  ctx.moveTo(safeAreaLeft, gameOverLineY);
-  ctx.lineTo(rect.width - safeAreaRight, gameOverLineY);
-  ctx.stroke();
-  ctx.setLineDash([]);
-
-  // Draw bullets as circles
-  bullets.forEach(bullet => {
-    const radius = bullet.width / 2;
-    ctx.fillStyle = '#f39c12';
-    ctx.beginPath();
-    ctx.arc(bullet.x + radius, bullet.y + radius, radius, 0, Math.PI * 2);
-    ctx.fill();
-
-    // Bullet glow
-    ctx.strokeStyle = '#f1c40f';
-    ctx.lineWidth = 2;
-    ctx.stroke();
-  });
-
-  // Draw blocks (cubes)
-  blocks.forEach(block => {
-    // Draw cube (rectangle)
-    ctx.fillStyle = block.color;
-    ctx.fillRect(block.x, block.y, block.width, block.height);
-
-    // Elite glow effect
-    if (block.isElite) {
-      ctx.strokeStyle = '#fff';
-      ctx.lineWidth = 5;
-      ctx.strokeRect(block.x, block.y, block.width, block.height);
-      ctx.strokeStyle = block.color;
-      ctx.lineWidth = 3;
-      ctx.strokeRect(block.x, block.y, block.width, block.height);
-    } else {
-      // Cube border
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
-      ctx.lineWidth = 3;
-      ctx.strokeRect(block.x, block.y, block.width, block.height);
+// Level editor buttons, grid cells and palette
+function handleEditorClick(x, y) {
+  const button = getEditorActionAt(x, y);
+  if (!button) return;
+
+  switch (button.action) {
+    case 'cell':
+      tapCell(button.col, button.row);
+      break;
+    case 'pickType':
+      selectType(button.type);
+      break;
+    case 'hpDown':
+      changeSelectedHp(-1);
+      break;
+    case 'hpUp':
+      changeSelectedHp(1);
+      break;
+    case 'removeBlock':
+      removeSelectedBlock();
+      break;
+    case 'waveEarlier':
+      shiftWaveTime(-EDITOR_TIME_STEP);
+      break;
+    case 'waveLater':
+      shiftWaveTime(EDITOR_TIME_STEP);
+      break;
+    case 'prevWave':
+      selectWave(-1);
+      break;
+    case 'nextWave':
+      selectWave(1);
+      break;
+    case 'addWave':
+      addWave();
+      break;
+    case 'removeWave':
+      removeWave();
+      break;
+    case 'prevLevel':
+      selectLevel(-1);
+      break;
+    case 'nextLevel':
+      selectLevel(1);
+      break;
+    case 'addLevel':
+      addLevel();
+      break;
+    case 'removeLevel':
+      removeLevel();
+      break;
+    case 'renameLevel': {
+      const name = window.prompt('Level name', getLevelName());
+      if (name !== null) renameLevel(name);
+      break;
     }
-
-    // Draw HP number
-    const centerX = block.x + block.width / 2;
-    const centerY = block.y + block.height / 2;
-    ctx.fillStyle = '#ffffff';
-    ctx.font = `bold ${Math.min(block.width, block.height) * 0.4}px system-ui`;
-    ctx.textAlign = 'center';
-    ctx.textBaseline = 'middle';
-    ctx.fillText(block.hp, centerX, centerY);
-  });
-
-  // Draw aiming indicator (always visible) from tower top
-  if (!gameOver && !gamePaused) {
-    const towerCenterX = towerX + TOWER_WIDTH / 2;
-    const towerTopY = towerY;
-
-    // Use last known direction
-    const dirX = lastDirX;
-    const dirY = lastDirY;
-
-    // Smaller arrow size (30% of original)
-    const lineLength = 75;
-    const endX = towerCenterX + dirX * lineLength;
-    const endY = towerTopY + dirY * lineLength;
-
-    // Draw arrow line (thinner)
-    ctx.strokeStyle = '#f39c12';
-    ctx.lineWidth = 2;
-    ctx.setLineDash([5, 5]);
-    ctx.beginPath();
-    ctx.moveTo(towerCenterX, towerTopY);
-    ctx.lineTo(endX, endY);
-    ctx.stroke();
-    ctx.setLineDash([]);
-
-    // Draw smaller arrow head
-    const arrowSize = 8;
-    const angle = Math.atan2(dirY, dirX);
-    ctx.fillStyle = '#f39c12';
-    ctx.beginPath();
-    ctx.moveTo(endX, endY);
-    ctx.lineTo(
-      endX - arrowSize * Math.cos(angle - Math.PI / 6),
-      endY - arrowSize * Math.sin(angle - Math.PI / 6)
-    );
-    ctx.lineTo(
-      endX - arrowSize * Math.cos(angle + Math.PI / 6),
-      endY - arrowSize * Math.sin(angle + Math.PI / 6)
-    );
-    ctx.closePath();
-    ctx.fill();
+    case 'previewWave':
+      previewDraft('wave');
+      break;
+    case 'previewLevel':
+      previewDraft('level');
+      break;
+    case 'exportLevels':
+      exportLevels();
+      break;
+    case 'importLevels':
+      document.getElementById('level-file').click();
+      break;
+    case 'back':
+      showMenu('start');
+      break;
   }
+}
 
-  // Draw progress bar at top (below safe area)
-  const barHeight = 30;
-  const barPadding = 10;
-  const barWidth = rect.width - barPadding * 2;
-  const barY = safeAreaTop + 10;
-
-  // Background
-  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
-  ctx.fillRect(barPadding, barY, barWidth, barHeight);
-
-  // Progress fill
-  const progress = kills / requiredKills;
-  ctx.fillStyle = '#2ecc71';
-  ctx.fillRect(barPadding, barY, barWidth * progress, barHeight);
-
-  // Border
-  ctx.strokeStyle = '#ecf0f1';
-  ctx.lineWidth = 2;
-  ctx.strokeRect(barPadding, barY, barWidth, barHeight);
-
-  // Text
-  ctx.fillStyle = '#fff';
-  ctx.font = 'bold 16px system-ui';
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.fillText(`${kills}/${requiredKills} - Level ${level}`, rect.width / 2, barY + barHeight / 2);
-
-  // Draw score (below progress bar)
-  ctx.fillStyle = '#ecf0f1';
-  ctx.font = 'bold 20px system-ui';
-  ctx.textAlign = 'left';
-  ctx.fillText(`Score: ${score}`, 20, barY + barHeight + 30);
-
-  // Draw upgrade menu
-  if (showUpgradeMenu) {
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
-    ctx.fillRect(0, 0, rect.width, rect.height);
-
-    // Center menu content vertically considering safe areas
-    const menuTopMargin = safeAreaTop + 80;
-
-    ctx.fillStyle = '#f39c12';
-    ctx.font = 'bold 36px system-ui';
-    ctx.textAlign = 'center';
-    ctx.fillText(`LEVEL ${level}!`, rect.width / 2, menuTopMargin);
-
-    ctx.fillStyle = '#ecf0f1';
-    ctx.font = '20px system-ui';
-    ctx.fillText('Choose an upgrade:', rect.width / 2, menuTopMargin + 50);
-
-    // Draw upgrade buttons
-    const buttonWidth = Math.min(250, rect.width - 40);
-    const buttonHeight = 70;
-    const buttonX = rect.width / 2 - buttonWidth / 2;
-    const startY = menuTopMargin + 100;
-    const spacing = 90;
-
-    const upgrades = [
-      { type: 'bounce', label: '🎾 +1 Bounce', desc: `Current: ${maxBounces} bounces` },
-      { type: 'speed', label: '⚡ +2% Speed', desc: `Current: ${(bulletSpeedMultiplier * 100).toFixed(0)}%` },
-      { type: 'damage', label: '⚔️ +1 Damage', desc: `Current: ${bulletDamage}` }
-    ];
-
-    upgrades.forEach((upgrade, i) => {
-      const y = startY + i * spacing;
-
-      // Button background
-      ctx.fillStyle = '#2c3e50';
-      ctx.fillRect(buttonX, y, buttonWidth, buttonHeight);
-
-      // Button border
-      ctx.strokeStyle = '#3498db';
-      ctx.lineWidth = 3;
-      ctx.strokeRect(buttonX, y, buttonWidth, buttonHeight);
-
-      // Button text
-      ctx.fillStyle = '#fff';
-      ctx.font = 'bold 20px system-ui';
-      ctx.textAlign = 'center';
-      ctx.fillText(upgrade.label, rect.width / 2, y + 25);
-
-      ctx.fillStyle = '#bdc3c7';
-      ctx.font = '16px system-ui';
-      ctx.fillText(upgrade.desc, rect.width / 2, y + 50);
-
-      // Store button position for click detection
-      upgrade.bounds = { x: buttonX, y, width: buttonWidth, height: buttonHeight };
-    });
-
-    // Store upgrades for click handler
-    canvas.upgradeButtons = upgrades;
+// Pause menu and settings screen buttons
+function handlePauseMenuClick(x, y) {
+  switch (getMenuActionAt(x, y)) {
+    case 'resume':
+      resumePlay();
+      break;
+    case 'restart':
+      initGame();
+      break;
+    case 'settings':
+      pauseScreen = 'settings';
+      break;
+    case 'quit':
+      saveCurrentRun();
+      showMenuAfterRun();
+      break;
+    case 'toggleAutoPause':
+      setSetting('autoPause', !getSettings().autoPause);
+      break;
+    case 'toggleDebugConsole':
+      setSetting('debugConsole', !getSettings().debugConsole);
+      debugConsole.setVisible(getSettings().debugConsole);
+      break;
+    case 'toggleDebugStats':
+      setSetting('debugStats', !getSettings().debugStats);
+      break;
+    case 'toggleAdaptive':
+      // Like the platform mode, the run in progress keeps its setting
+      setSetting('adaptiveDifficulty', !getSettings().adaptiveDifficulty);
+      break;
+    case 'cyclePlatformMode':
+      // The run in progress keeps its mode (replays/saves record it)
+      setSetting('platformMode', nextSettingChoice('platformMode'));
+      break;
+    case 'back':
+      pauseScreen = 'pause';
+      break;
   }
+}
 
-  // Draw game over
-  if (gameOver) {
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillRect(0, 0, rect.width, rect.height);
-
-    // Center vertically considering safe areas
-    const centerY = (rect.height + safeAreaTop - safeAreaBottom) / 2;
-
-    ctx.fillStyle = '#e74c3c';
-    ctx.font = 'bold 48px system-ui';
-    ctx.textAlign = 'center';
-    ctx.fillText('GAME OVER', rect.width / 2, centerY - 40);
+// Handle clicks for menus, game over restart and upgrade menu
+canvas.addEventListener('click', (e) => {
+  // Replays are controlled from the replay bar only
+  if (isReplaying()) return;
 
-    ctx.fillStyle = '#ecf0f1';
-    ctx.font = 'bold 32px system-ui';
-    ctx.fillText(`Final Score: ${score}`, rect.width / 2, centerY + 20);
+  const rect = canvas.getBoundingClientRect();
 
-    ctx.font = '20px system-ui';
-    ctx.fillText('Tap to restart', rect.width / 2, centerY + 80);
+  if (menuScreen === 'editor') {
+    handleEditorClick(e.clientX - rect.left, e.clientY - rect.top);
+    return;
   }
-}
 
-// Game loop
-function gameLoop() {
-  if (!gameRunning) return;
+  if (menuScreen) {
+    handleMenuClick(e.clientX - rect.left, e.clientY - rect.top);
+    return;
+  }
 
-  update();
-  render();
+  // Everything else is drawn in the run's world (see renderFrame)
+  const { x, y } = toWorldPoint(e.clientX - rect.left, e.clientY - rect.top);
 
-  requestAnimationFrame(gameLoop);
-}
+  if (showPauseMenu) {
+    handlePauseMenuClick(x, y);
+    return;
+  }
 
-// Handle clicks for game over restart and upgrade menu
-canvas.addEventListener('click', (e) => {
   if (gameOver) {
-    initGame();
+    handleGameOverClick(x, y);
     return;
   }
 
   // Handle upgrade menu clicks
-  if (showUpgradeMenu && canvas.upgradeButtons) {
-    const rect = canvas.getBoundingClientRect();
-    const x = e.clientX - rect.left;
-    const y = e.clientY - rect.top;
-
-    canvas.upgradeButtons.forEach(upgrade => {
-      const b = upgrade.bounds;
-      if (x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height) {
-        applyUpgrade(upgrade.type);
-      }
-    });
+  if (showUpgradeMenu) {
+    const upgradeType = getUpgradeAt(x, y);
+    if (upgradeType) pendingUpgrade = upgradeType;
+    return;
   }
+
+  if (isPauseButtonAt(x, y)) pauseGame();
 });
 
-// Handle touch for upgrade menu (mobile)
+// Handle touch for upgrade menu and pause button (mobile)
+// Registered before the aiming handlers, so the tap doesn't start a drag
 canvas.addEventListener('touchstart', (e) => {
-  if (showUpgradeMenu && canvas.upgradeButtons) {
-    const rect = canvas.getBoundingClientRect();
-    const touch = e.touches[0];
-    const x = touch.clientX - rect.left;
-    const y = touch.clientY - rect.top;
-
-    canvas.upgradeButtons.forEach(upgrade => {
-      const b = upgrade.bounds;
-      if (x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height) {
-        applyUpgrade(upgrade.type);
-        e.preventDefault();
-      }
-    });
+  if (isReplaying() || menuScreen || showPauseMenu || gameOver) return;
+
+  const rect = canvas.getBoundingClientRect();
+  const touch = e.touches[0];
+  const { x, y } = toWorldPoint(touch.clientX - rect.left, touch.clientY - rect.top);
+
+  if (showUpgradeMenu) {
+    const upgradeType = getUpgradeAt(x, y);
+    if (upgradeType) {
+      pendingUpgrade = upgradeType;
+      e.preventDefault();
+    }
+  } else if (isPauseButtonAt(x, y)) {
+    pauseGame();
+    e.preventDefault();
   }
 }, { passive: false });
 
@@ -1128,12 +887,13 @@ canvas.addEventListener('touchstart', (e) => {
 
 function init() {
   debugConsole.init();
+  debugConsole.setVisible(getSettings().debugConsole);
 
   console.log('🚀 Breakout Shooter loaded!');
   console.log('📦 Build version:', currentVersion);
 
   initVersionCheck();
-  initGame();
+  setupGame();
 }
 
 // Run initialization when DOM is ready
@@ -0,0 +1,386 @@
+/**
+ * PHYSICS
+ * Swept (continuous) bullet movement against walls and cube (AABB) blocks
+ *
+ * Each step a bullet travels along its velocity until the earliest time of
+ * impact, bounces off the face it hit, and continues with the time left, so
+ * fast bullets can't tunnel through blocks and can bounce several times per step.
+ * Only blocks near the swept path are tested (broad phase in spatial.js).
+ * Piercing bullets go straight through instead of bouncing, and hits apply
+ * the upgrade effects: crits, explosions and chain lightning on kills.
+ * A movable platform is a paddle: bullets landing on top ricochet off at an
+ * angle set by where they hit it, without using up a bounce.
+ */
+
+import {
+  MAX_COLLISIONS_PER_STEP,
+  CRIT_DAMAGE_MULTIPLIER,
+  EXPLOSION_DAMAGE_RATIO,
+  CHAIN_RANGE,
+  CHAIN_DAMAGE_RATIO,
+  UPGRADE_EFFECT_DURATION,
+  PADDLE_MAX_ANGLE,
+  PADDLE_DAMAGE_BONUS
+} from './config.js';
+import { width, height, blocks, player, maxBounces, random, simTime, addEffect } from './state.js';
+import { isPlatformMovable } from './player.js';
+import { destroyBlock } from './enemies.js';
+import { takesDamage } from './enemytypes.js';
+import { registerKill } from './progression.js';
+import { queryBlocks, rebuildBlockGrid } from './spatial.js';
+import { getCritChance, getExplosionRadius, getChainTargets, hasSynergy } from './upgrades.js';
+import { dropPickup } from './powerups.js';
+import { recordHit } from './difficulty.js';
+
+// Entry times closer than this count as hitting both faces (exact corner hit)
+const CORNER_EPSILON = 1e-9;
+
+// Scratch objects reused for every sweep (this runs per bullet per nearby block
+// per step, so it must not allocate)
+const axisX = { entry: 0, exit: 0 };
+const axisY = { entry: 0, exit: 0 };
+const wallHit = { time: 0, exit: 0, hitX: false, hitY: false };
+const blockHit = { time: 0, exit: 0, hitX: false, hitY: false };
+const nearestHit = { time: 0, exit: 0, hitX: false, hitY: false };
+const hitFaces = { x: null, y: null }; // Faces of the block hit last (see findHitFaces)
+const splashTargets = [];              // Blocks caught by an explosion/lightning (reused)
+const splashDistances = [];            // Their squared distances, same order
+let scoringBullet = null;              // Bullet whose hit is being resolved (kills score for it)
+let scoringBounces = 0;                // Its bounces before that hit
+
+// Entry/exit times of a moving interval [pos, pos + size] against [min, max]
+// on one axis, written to `out`; false if it never overlaps
+function axisTimes(pos, size, velocity, min, max, out) {
+  if (velocity > 0) {
+    out.entry = (min - (pos + size)) / velocity;
+    out.exit = (max - pos) / velocity;
+    return true;
+  }
+  if (velocity < 0) {
+    out.entry = (max - pos) / velocity;
+    out.exit = (min - (pos + size)) / velocity;
+    return true;
+  }
+  // Not moving on this axis: overlapping the whole time or never
+  if (pos + size <= min || pos >= max) return false;
+  out.entry = -Infinity;
+  out.exit = Infinity;
+  return true;
+}
+
+function setHit(out, time, exit, hitX, hitY) {
+  out.time = time;
+  out.exit = exit;
+  out.hitX = hitX;
+  out.hitY = hitY;
+  return out;
+}
+
+// Earliest time in [0, maxTime] the bullet touches the block
+// Returns `out` filled with { time, exit, hitX, hitY } (which faces were hit,
+// exit = when it would come out the other side) or null
+// A bullet already overlapping the block hits it at time 0
+export function sweepBulletVsBlock(bullet, block, maxTime, out = {}) {
+  const x = axisX;
+  const y = axisY;
+  if (!axisTimes(bullet.x, bullet.width, bullet.vx, block.x, block.x + block.width, x)) return null;
+  if (!axisTimes(bullet.y, bullet.height, bullet.vy, block.y, block.y + block.height, y)) return null;
+
+  const entry = Math.max(x.entry, y.entry);
+  const exit = Math.min(x.exit, y.exit);
+  if (entry > exit || entry > maxTime || exit <= 0) return null;
+
+  // The axis that started overlapping last is the face that was hit
+  const corner = Math.abs(x.entry - y.entry) <= CORNER_EPSILON;
+  return setHit(out, Math.max(0, entry), exit, corner || x.entry > y.entry, corner || y.entry > x.entry);
+}
+
+// Earliest time in [0, maxTime] the bullet reaches a play area edge
+// Returns `out` filled with { time, exit (= time), hitX, hitY } or null
+export function sweepBulletVsWalls(bullet, maxTime, out = {}) {
+  let timeX = Infinity;
+  if (bullet.vx > 0) timeX = (width - (bullet.x + bullet.width)) / bullet.vx;
+  else if (bullet.vx < 0) timeX = -bullet.x / bullet.vx;
+
+  let timeY = Infinity;
+  if (bullet.vy > 0) timeY = (height - (bullet.y + bullet.height)) / bullet.vy;
+  else if (bullet.vy < 0) timeY = -bullet.y / bullet.vy;
+
+  const time = Math.max(0, Math.min(timeX, timeY));
+  if (time > maxTime) return null;
+
+  return setHit(out, time, time, timeX - time <= CORNER_EPSILON, timeY - time <= CORNER_EPSILON);
+}
+
+// Bounce off a wall: reverse the velocity and sit flush against it
+function bounceOffWalls(bullet, hit) {
+  if (hit.hitX) {
+    bullet.vx = -bullet.vx;
+    bullet.x = Math.max(0, Math.min(width - bullet.width, bullet.x));
+  }
+  if (hit.hitY) {
+    bullet.vy = -bullet.vy;
+    bullet.y = Math.max(0, Math.min(height - bullet.height, bullet.y));
+  }
+}
+
+// Which face(s) of the block were hit, into hitFaces (shielded blocks care)
+// Uses which side of the block the bullet is on, so a bullet the block moved
+// into counts as hitting the face it came through
+function findHitFaces(bullet, block, hit) {
+  hitFaces.x = null;
+  hitFaces.y = null;
+  if (hit.hitX) {
+    hitFaces.x = bullet.x + bullet.width / 2 < block.x + block.width / 2 ? 'left' : 'right';
+  }
+  if (hit.hitY) {
+    hitFaces.y = bullet.y + bullet.height / 2 < block.y + block.height / 2 ? 'top' : 'bottom';
+  }
+}
+
+// Bounce off the face(s) in hitFaces and sit flush against them, so a bullet
+// the block moved into is pushed back out instead of through
+function bounceOffBlock(bullet, block) {
+  if (hitFaces.x === 'left') {
+    bullet.vx = -Math.abs(bullet.vx);
+    bullet.x = block.x - bullet.width;
+  } else if (hitFaces.x === 'right') {
+    bullet.vx = Math.abs(bullet.vx);
+    bullet.x = block.x + block.width;
+  }
+  if (hitFaces.y === 'top') {
+    bullet.vy = -Math.abs(bullet.vy);
+    bullet.y = block.y - bullet.height;
+  } else if (hitFaces.y === 'bottom') {
+    bullet.vy = Math.abs(bullet.vy);
+    bullet.y = block.y + block.height;
+  }
+}
+
+// Ricochet off the platform's top like a paddle: the further from its center
+// the bullet lands, the flatter it leaves (up to PADDLE_MAX_ANGLE), at the
+// same speed. Bullets that already bounced get PADDLE_DAMAGE_BONUS (a shot
+// aimed straight down at the platform gets nothing)
+function bounceOffPaddle(bullet) {
+  const halfWidth = player.width / 2;
+  const offset = (bullet.x + bullet.width / 2 - (player.x + halfWidth)) / halfWidth;
+  const angle = Math.max(-1, Math.min(1, offset)) * PADDLE_MAX_ANGLE;
+  const speed = Math.hypot(bullet.vx, bullet.vy);
+
+  bullet.vx = Math.sin(angle) * speed;
+  bullet.vy = -Math.cos(angle) * speed;
+  bullet.y = player.y - bullet.height;
+  if (bullet.bounces > 0) bullet.damage += PADDLE_DAMAGE_BONUS;
+}
+
+// Piercing: carry on to where the bullet comes out of the block, without
+// bouncing; returns the time that took (may be more than the step has left)
+function passThroughBlock(bullet, hit) {
+  const time = hit.exit - hit.time;
+  bullet.x += bullet.vx * time;
+  bullet.y += bullet.vy * time;
+  return time;
+}
+
+// === DAMAGE ===
+
+// Take HP off a block; at 0 score it, maybe drop a pickup and remove it
+// (splitting if needed)
+// Returns true if the block was destroyed (its object is back in the pool)
+export function damageBlock(block, amount) {
+  block.hp -= amount;
+  if (block.hp > 0) return false;
+
+  // Both before destroyBlock() hands the object back to the pool
+  dropPickup(block);
+  registerKill(block, scoringBullet, scoringBounces);
+  destroyBlock(blocks.indexOf(block));
+  rebuildBlockGrid(); // Block gone, split children or elite added
+  return true;
+}
+
+// Blocks (other than `except`) within `radius` of a point into splashTargets,
+// nearest first, at most `limit`
+// Distance is to the block's closest point, or to its center with `centers`
+function collectBlocksNear(x, y, radius, except, limit, centers) {
+  splashTargets.length = 0;
+  splashDistances.length = 0;
+  for (const block of queryBlocks(x - radius, y - radius, x + radius, y + radius)) {
+    if (block === except) continue;
+    const dx = centers ? block.x + block.width / 2 - x : x - Math.max(block.x, Math.min(x, block.x + block.width));
+    const dy = centers ? block.y + block.height / 2 - y : y - Math.max(block.y, Math.min(y, block.y + block.height));
+    const distance = dx * dx + dy * dy;
+    if (distance > radius * radius) continue;
+
+    // Insertion sort: only a handful of blocks are ever this close
+    let i = splashTargets.length;
+    while (i > 0 && splashDistances[i - 1] > distance) {
+      splashTargets[i] = splashTargets[i - 1];
+      splashDistances[i] = splashDistances[i - 1];
+      i--;
+    }
+    splashTargets[i] = block;
+    splashDistances[i] = distance;
+  }
+  if (splashTargets.length > limit) splashTargets.length = limit;
+}
+
+// Damage every block within `radius` of the impact point (except the one hit)
+// Area damage counts as hitting no face: shields and invulnerability hold
+// (damageBlock() never touches splashTargets, so kills can't disturb the loop)
+function explode(x, y, radius, damage, except) {
+  collectBlocksNear(x, y, radius, except, Infinity, false);
+  addEffect({ kind: 'explosion', x, y, radius, until: simTime + UPGRADE_EFFECT_DURATION });
+
+  for (const block of splashTargets) {
+    if (takesDamage(block, null, null)) damageBlock(block, damage);
+  }
+}
+
+// Zap the nearest blocks around (x, y) = center of the block just hit
+function chainLightning(x, y, damage, except) {
+  collectBlocksNear(x, y, CHAIN_RANGE, except, getChainTargets(), true);
+
+  for (const block of splashTargets) {
+    const targetX = block.x + block.width / 2;
+    const targetY = block.y + block.height / 2;
+    addEffect({ kind: 'lightning', x, y, x2: targetX, y2: targetY, until: simTime + UPGRADE_EFFECT_DURATION });
+    if (takesDamage(block, null, null)) damageBlock(block, damage);
+  }
+}
+
+// A bullet hit a block (faces in hitFaces): roll a crit, deal the damage and
+// set off the explosive/chain lightning upgrades
+function hitBlockWithBullet(bullet, block, pierced) {
+  // Kills from this hit, splash and lightning included, score for this bullet
+  // (a bounce off this block was already counted)
+  scoringBullet = bullet;
+  scoringBounces = pierced ? bullet.bounces : bullet.bounces - 1;
+
+  const critChance = getCritChance();
+  const crit = critChance > 0 && random() < critChance;
+  const damage = crit ? bullet.damage * CRIT_DAMAGE_MULTIPLIER : bullet.damage;
+
+  // Read before the block can go back to the pool
+  const impactX = bullet.x + bullet.width / 2;
+  const impactY = bullet.y + bullet.height / 2;
+  const centerX = block.x + block.width / 2;
+  const centerY = block.y + block.height / 2;
+
+  const killed = takesDamage(block, hitFaces.x, hitFaces.y) && damageBlock(block, damage);
+  const survivor = killed ? null : block; // Splash/lightning skip the block that was hit
+
+  let radius = getExplosionRadius();
+  if (crit && hasSynergy('critBlast')) radius *= 2;
+  if (radius > 0) {
+    explode(impactX, impactY, radius, Math.max(1, Math.floor(damage * EXPLOSION_DAMAGE_RATIO)), survivor);
+  }
+
+  if ((killed || (pierced && hasSynergy('storm'))) && getChainTargets() > 0) {
+    chainLightning(centerX, centerY, Math.max(1, Math.floor(damage * CHAIN_DAMAGE_RATIO)), survivor);
+  }
+
+  scoringBullet = null;
+  scoringBounces = 0;
+  return killed;
+}
+
+// Move a bullet for dt seconds, bouncing off walls, blocks and a movable
+// platform on the way
+// Block hits deal damage, destroy/split blocks and score kills
+// ALL bounces (walls + blocks + platform sides) count, pierced blocks and
+// paddle ricochets off the platform top don't; returns false once the bullet
+// is used up
+export function moveBullet(bullet, dt) {
+  let remaining = dt;
+  let lastBlock = null; // Block (or platform) bounced off last, skipped once so rounding can't re-hit it at t = 0
+  const paddle = isPlatformMovable();
+
+  // Walls need no such guard: after a bounce the bullet moves away from them
+  for (let i = 0; i < MAX_COLLISIONS_PER_STEP; i++) {
+    // Find the earliest impact in the time left: walls first, then the blocks
+    // around the path up to that point and the platform
+    let hit = sweepBulletVsWalls(bullet, remaining, wallHit);
+    const time = hit ? hit.time : remaining;
+    const endX = bullet.x + bullet.vx * time;
+    const endY = bullet.y + bullet.vy * time;
+    const nearby = queryBlocks(
+      Math.min(bullet.x, endX),
+      Math.min(bullet.y, endY),
+      Math.max(bullet.x, endX) + bullet.width,
+      Math.max(bullet.y, endY) + bullet.height
+    );
+
+    let hitBlock = null;
+    for (const block of nearby) {
+      if (block === lastBlock) continue;
+      const candidate = sweepBulletVsBlock(bullet, block, hit ? hit.time : remaining, blockHit);
+      if (candidate && (!hit || candidate.time < hit.time)) {
+        hit = setHit(nearestHit, candidate.time, candidate.exit, candidate.hitX, candidate.hitY);
+        hitBlock = block;
+      }
+    }
+    if (paddle && lastBlock !== player) {
+      const candidate = sweepBulletVsBlock(bullet, player, hit ? hit.time : remaining, blockHit);
+      if (candidate && (!hit || candidate.time < hit.time)) {
+        hit = setHit(nearestHit, candidate.time, candidate.exit, candidate.hitX, candidate.hitY);
+        hitBlock = player;
+      }
+    }
+
+    // No (more) impacts: fly the rest of the step
+    if (!hit) {
+      bullet.x += bullet.vx * remaining;
+      bullet.y += bullet.vy * remaining;
+      return true;
+    }
+
+    // Travel to the point of impact
+    bullet.x += bullet.vx * hit.time;
+    bullet.y += bullet.vy * hit.time;
+    remaining -= hit.time;
+
+    if (hitBlock === player) {
+      findHitFaces(bullet, player, hit);
+      if (hitFaces.y === 'top') {
+        bounceOffPaddle(bullet);
+      } else {
+        bullet.bounces++;
+        bounceOffBlock(bullet, player);
+      }
+      lastBlock = player;
+    } else if (hitBlock) {
+      findHitFaces(bullet, hitBlock, hit);
+      const pierced = bullet.pierce > 0;
+      if (pierced) {
+        bullet.pierce--;
+        remaining = Math.max(0, remaining - passThroughBlock(bullet, hit));
+      } else {
+        bullet.bounces++;
+        bounceOffBlock(bullet, hitBlock);
+      }
+      lastBlock = hitBlock;
+
+      // First block this bullet hit: it counts toward accuracy (adaptive difficulty)
+      if (!bullet.hasHit) {
+        bullet.hasHit = true;
+        recordHit();
+      }
+
+      // Damage (unless that face is shielded) and upgrade effects
+      if (hitBlockWithBullet(bullet, hitBlock, pierced)) {
+        lastBlock = null;
+      }
+    } else {
+      bullet.bounces++;
+      bounceOffWalls(bullet, hit);
+      lastBlock = null;
+    }
+
+    if (bullet.bounces > maxBounces) return false;
+  }
+
+  // Too many impacts in one step (bullet wedged in a tight gap): drop the
+  // remaining time rather than risk moving through something
+  return true;
+}
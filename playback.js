@@ -0,0 +1,159 @@
+/**
+ * REPLAY PLAYBACK (browser layer)
+ * Replay mode: drives the simulation from a recorded replay instead of the
+ * player's input, with pause, fast-forward and scrubbing via the replay bar
+ */
+
+import { SIMULATION_STEP, REPLAY_SPEEDS } from './config.js';
+import { score, level, totalKills } from './state.js';
+import { initSimulation, advance } from './simulation.js';
+import { getReplayInput } from './replay.js';
+
+let replay = null;      // Replay being played (null when not in replay mode)
+let tick = 0;           // Next tick to simulate
+let paused = false;
+let speedIndex = 0;     // Index into REPLAY_SPEEDS
+let exitHandler = null;
+
+// Replay bar elements
+let bar;
+let playButton;
+let speedButton;
+let seekInput;
+const tickInput = {};   // Reused input object fed to advance()
+let timeLabel;
+
+function formatTicks(ticks) {
+  const seconds = Math.floor(ticks * SIMULATION_STEP);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+function updateBar() {
+  playButton.textContent = paused ? '▶️' : '⏸';
+  speedButton.textContent = `${REPLAY_SPEEDS[speedIndex]}x`;
+  seekInput.value = tick;
+  timeLabel.textContent = `${formatTicks(tick)} / ${formatTicks(replay.ticks)}`;
+}
+
+// Start the replay's run from scratch
+function restartSimulation() {
+  initSimulation({
+    width: replay.world.width,
+    height: replay.world.height,
+    safeAreas: replay.world.safeAreas,
+    seed: replay.seed,
+    platformMode: replay.platformMode,
+    difficulty: replay.difficulty,
+    adaptive: replay.adaptive,
+    campaign: replay.campaign
+  });
+  tick = 0;
+}
+
+// Advance one recorded tick
+function playTick() {
+  advance(SIMULATION_STEP, getReplayInput(replay, tick, tickInput));
+  tick++;
+
+  if (tick === replay.ticks) {
+    paused = true;
+    const expected = replay.result;
+    if (expected && (expected.score !== score || expected.level !== level)) {
+      console.warn('⚠️ Replay desynced!', { expected, actual: { score, level, kills: totalKills } });
+    } else {
+      console.log(`🎬 Replay finished. Score: ${score}, Level: ${level}`);
+    }
+  }
+}
+
+// Hook up the replay bar; onExit is called when the user leaves replay mode
+export function initPlaybackControls(onExit) {
+  exitHandler = onExit;
+  bar = document.getElementById('replay-bar');
+  playButton = document.getElementById('replay-play');
+  speedButton = document.getElementById('replay-speed');
+  seekInput = document.getElementById('replay-seek');
+  timeLabel = document.getElementById('replay-time');
+
+  playButton.addEventListener('click', () => {
+    // Restart from the beginning when pressing play at the end
+    if (tick >= replay.ticks) seekPlayback(0);
+    paused = !paused;
+    updateBar();
+  });
+
+  speedButton.addEventListener('click', () => {
+    speedIndex = (speedIndex + 1) % REPLAY_SPEEDS.length;
+    updateBar();
+  });
+
+  seekInput.addEventListener('input', () => {
+    seekPlayback(Number(seekInput.value));
+  });
+
+  document.getElementById('replay-exit').addEventListener('click', stopPlayback);
+}
+
+export function isReplaying() {
+  return replay !== null;
+}
+
+// World the replay was recorded in ({ width, height, safeAreas })
+export function getReplayWorld() {
+  return replay ? replay.world : null;
+}
+
+// Enter replay mode with a parsed replay (see parseReplay)
+export function startPlayback(data) {
+  replay = data;
+  paused = false;
+  speedIndex = 0;
+  restartSimulation();
+
+  seekInput.max = replay.ticks;
+  bar.classList.add('show');
+  updateBar();
+
+  console.log(`🎬 Playing replay: seed ${replay.seed}, ${formatTicks(replay.ticks)}`);
+}
+
+// Leave replay mode
+export function stopPlayback() {
+  if (!replay) return;
+
+  replay = null;
+  bar.classList.remove('show');
+  if (exitHandler) exitHandler();
+}
+
+// Called once per simulation step by the game loop
+export function stepPlayback() {
+  if (!replay || paused) return;
+
+  const ticksThisStep = REPLAY_SPEEDS[speedIndex];
+  for (let i = 0; i < ticksThisStep && tick < replay.ticks; i++) {
+    playTick();
+  }
+  updateBar();
+}
+
+// Jump to any tick by re-simulating from the start (the run is deterministic)
+export function seekPlayback(targetTick) {
+  if (!replay) return;
+
+  const target = Math.max(0, Math.min(replay.ticks, targetTick));
+  if (target < tick) restartSimulation();
+
+  // Skip the per-kill logging while fast-forwarding
+  const log = console.log;
+  console.log = () => {};
+  try {
+    while (tick < target) {
+      playTick();
+    }
+  } finally {
+    console.log = log;
+  }
+
+  updateBar();
+}
@@ -0,0 +1,293 @@
+/**
+ * PLAYER & CONTROLS
+ * Touch/mouse aiming, auto-fire direction tracking, tower geometry and the
+ * movable platform (paddle)
+ * Input handlers are browser-only; everything else runs headless
+ */
+
+import {
+  AIM_MIN_DRAG_DISTANCE,
+  PLAYER_OFFSET_BOTTOM,
+  TOWER_WIDTH,
+  TOWER_HEIGHT,
+  TOWER_OFFSET_BOTTOM,
+  GAME_OVER_LINE_OFFSET,
+  PLATFORM_TOUCH_MARGIN
+} from './config.js';
+import {
+  width,
+  height,
+  safeAreaBottom,
+  safeAreaLeft,
+  safeAreaRight,
+  gameRunning,
+  gameOver,
+  showUpgradeMenu,
+  showPauseMenu,
+  player,
+  platformMode,
+  aimStartX,
+  aimStartY,
+  aimCurrentX,
+  aimCurrentY,
+  isAiming,
+  lastDirX,
+  lastDirY,
+  setLastDirection
+} from './state.js';
+
+// === TOWER GEOMETRY ===
+
+const towerRect = { x: 0, y: 0, width: TOWER_WIDTH, height: TOWER_HEIGHT };
+
+// Tower rectangle (bullets fire from the top center)
+// Returns a shared object (called every shot): read it, don't keep it
+export function getTowerRect() {
+  towerRect.x = (width - TOWER_WIDTH) / 2;
+  towerRect.y = getTowerTopY();
+  return towerRect;
+}
+
+function getTowerTopY() {
+  return height - safeAreaBottom - TOWER_OFFSET_BOTTOM - TOWER_HEIGHT;
+}
+
+// Y coordinate of the line blocks must not cross (just above the tower)
+export function getGameOverLineY() {
+  return getTowerTopY() - GAME_OVER_LINE_OFFSET;
+}
+
+// === PLATFORM ===
+
+const firingOrigin = { x: 0, y: 0 };
+
+// Place the player platform above the safe area: a fixed one at bottom center,
+// a movable one keeps its x (pulled back inside if the world got narrower)
+export function positionPlayer() {
+  player.y = height - player.height - safeAreaBottom - PLAYER_OFFSET_BOTTOM;
+  if (platformMode === 'fixed') {
+    centerPlayer();
+  } else {
+    player.x = player.prevX = clampPlatformX(player.x);
+  }
+}
+
+// Put the platform back at bottom center (new run)
+export function centerPlayer() {
+  player.x = player.prevX = (width - player.width) / 2;
+}
+
+// Keep the platform's left edge inside the safe area
+function clampPlatformX(x) {
+  const maxX = width - safeAreaRight - player.width;
+  return Math.max(safeAreaLeft, Math.min(maxX, x));
+}
+
+// Whether the platform moves and bullets ricochet off it this run
+export function isPlatformMovable() {
+  return platformMode !== 'fixed';
+}
+
+// Move the platform for dt seconds (movable modes only): toward the drag
+// target if there is one, otherwise with the held arrow keys, at player.speed
+export function movePlayer(dt) {
+  if (!isPlatformMovable()) return;
+
+  const maxStep = player.speed * dt;
+  let dx;
+  if (player.targetX !== null) {
+    const offset = player.targetX - (player.x + player.width / 2);
+    dx = Math.max(-maxStep, Math.min(maxStep, offset));
+  } else {
+    dx = ((player.moveRight ? 1 : 0) - (player.moveLeft ? 1 : 0)) * maxStep;
+  }
+  player.x = clampPlatformX(player.x + dx);
+}
+
+// Where shots start: the platform's top center in 'moveAndFire' mode,
+// otherwise the tower's
+// Returns a shared object (called every shot): read it, don't keep it
+export function getFiringOrigin() {
+  if (platformMode === 'moveAndFire') {
+    firingOrigin.x = player.x + player.width / 2;
+    firingOrigin.y = player.y;
+  } else {
+    const tower = getTowerRect();
+    firingOrigin.x = tower.x + tower.width / 2;
+    firingOrigin.y = tower.y;
+  }
+  return firingOrigin;
+}
+
+// === AIMING ===
+
+// Update the shooting direction (lastDirX/lastDirY in state.js) from the drag gesture
+export function updateAimDirection() {
+  if (isAiming) {
+    const dx = aimCurrentX - aimStartX;
+    const dy = aimCurrentY - aimStartY;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+
+    // Only update direction if drag distance is significant
+    if (distance >= AIM_MIN_DRAG_DISTANCE) {
+      // Remember this direction
+      setLastDirection(dx / distance, dy / distance);
+    }
+  }
+}
+
+// === INPUT HANDLERS (browser layer) ===
+// Handlers only record the pointer gesture and held keys here; the simulation
+// picks them up through readPlayerInput() on each step, so the core never
+// sees DOM events.
+
+const pointer = {
+  aiming: false,
+  aimStartX: 0,
+  aimStartY: 0,
+  aimCurrentX: 0,
+  aimCurrentY: 0,
+  moveDir: 0,       // -1 left, 1 right (arrow keys), 0 still
+  platformX: null   // Drag target for the platform center, null when not dragging it
+};
+
+const keys = { left: false, right: false };
+
+// Maps a canvas point into the world (see initPlayerInput)
+let toWorldPoint = (x, y) => ({ x, y });
+
+// Pointer position in world coordinates
+function worldPointer(canvas, clientX, clientY) {
+  const rect = canvas.getBoundingClientRect();
+  return toWorldPoint(clientX - rect.left, clientY - rect.top);
+}
+
+// Current drag gesture and platform controls in the shape step() expects
+// Fills `out` (reused by the game loop every step) or a new object
+export function readPlayerInput(out = {}) {
+  return Object.assign(out, pointer);
+}
+
+// Forget any gesture or held key in progress (e.g. on restart)
+export function resetPlayerInput() {
+  pointer.aiming = false;
+  pointer.platformX = null;
+  keys.left = false;
+  keys.right = false;
+  pointer.moveDir = 0;
+}
+
+// A touch/click on the lower strip around the platform drags it instead of aiming
+function isOnPlatformStrip(y) {
+  if (!isPlatformMovable()) return false;
+  return y >= player.y - PLATFORM_TOUCH_MARGIN;
+}
+
+function startPress(canvas, clientX, clientY) {
+  const { x, y } = worldPointer(canvas, clientX, clientY);
+  if (isOnPlatformStrip(y)) {
+    pointer.platformX = x;
+  } else {
+    startAim(x, y);
+  }
+}
+
+function movePress(canvas, clientX, clientY) {
+  const { x, y } = worldPointer(canvas, clientX, clientY);
+  if (pointer.platformX !== null) {
+    pointer.platformX = x;
+  } else {
+    pointer.aimCurrentX = x;
+    pointer.aimCurrentY = y;
+  }
+}
+
+// Whether a touch/click started by startPress() is still held
+function isPressing() {
+  return pointer.aiming || pointer.platformX !== null;
+}
+
+function endPress() {
+  pointer.aiming = false;
+  pointer.platformX = null;
+}
+
+// Arrow keys (or A/D) hold the platform moving
+function setKey(e, pressed) {
+  if (e.key === 'ArrowLeft' || e.key === 'a' || e.key === 'A') {
+    keys.left = pressed;
+  } else if (e.key === 'ArrowRight' || e.key === 'd' || e.key === 'D') {
+    keys.right = pressed;
+  } else {
+    return;
+  }
+  pointer.moveDir = (keys.right ? 1 : 0) - (keys.left ? 1 : 0);
+}
+
+function startAim(x, y) {
+  pointer.aiming = true;
+  pointer.aimStartX = pointer.aimCurrentX = x;
+  pointer.aimStartY = pointer.aimCurrentY = y;
+}
+
+// Register drag-to-aim (or drag the platform) handlers on the game canvas
+// and the arrow keys for the platform
+// mapPoint(x, y): canvas point -> world point, for a world scaled to fit the canvas
+export function initPlayerInput(canvas, mapPoint = toWorldPoint) {
+  toWorldPoint = mapPoint;
+  // Touch controls
+  canvas.addEventListener('touchstart', (e) => {
+    // Don't interfere with menus, upgrade/pause menu or game over
+    if (!gameRunning || showUpgradeMenu || showPauseMenu || gameOver) return;
+
+    e.preventDefault();
+    const touch = e.touches[0];
+    startPress(canvas, touch.clientX, touch.clientY);
+  }, { passive: false });
+
+  canvas.addEventListener('touchmove', (e) => {
+    if (!isPressing()) return;
+    e.preventDefault();
+
+    const touch = e.touches[0];
+    movePress(canvas, touch.clientX, touch.clientY);
+  }, { passive: false });
+
+  canvas.addEventListener('touchend', (e) => {
+    if (!isPressing()) return;
+    e.preventDefault();
+
+    // Stop aiming/dragging
+    endPress();
+  }, { passive: false });
+
+  // Mouse controls (for desktop testing)
+  canvas.addEventListener('mousedown', (e) => {
+    if (!gameRunning || showUpgradeMenu || showPauseMenu || gameOver) return;
+
+    e.preventDefault();
+    startPress(canvas, e.clientX, e.clientY);
+  });
+
+  canvas.addEventListener('mousemove', (e) => {
+    if (!isPressing()) return;
+    e.preventDefault();
+
+    movePress(canvas, e.clientX, e.clientY);
+  });
+
+  const stopMousePress = (e) => {
+    if (!isPressing()) return;
+    e.preventDefault();
+
+    // Stop aiming/dragging
+    endPress();
+  };
+  canvas.addEventListener('mouseup', stopMousePress);
+  canvas.addEventListener('mouseleave', stopMousePress);
+
+  // Keyboard platform controls (desktop)
+  window.addEventListener('keydown', (e) => setKey(e, true));
+  window.addEventListener('keyup', (e) => setKey(e, false));
+  window.addEventListener('blur', resetPlayerInput);
+}
@@ -0,0 +1,36 @@
+/**
+ * OBJECT POOLS
+ * Reuse bullet/block objects instead of allocating a new one per shot/spawn,
+ * so sustained fire doesn't cause garbage collection stalls
+ */
+
+// Pool of plain objects
+// create: () => new object, reset: (obj) => void, called when an object is released
+export function createPool(create, reset = null) {
+  const free = [];
+  let created = 0;
+  let inUse = 0;
+  let peak = 0;
+
+  return {
+    // Object to fill in (fields from a previous use are left as they were, see reset)
+    acquire() {
+      inUse++;
+      peak = Math.max(peak, inUse);
+      if (free.length > 0) return free.pop();
+      created++;
+      return create();
+    },
+
+    release(obj) {
+      inUse--;
+      if (reset) reset(obj);
+      free.push(obj);
+    },
+
+    // { created, inUse, free, peak } for the debug readout
+    getStats() {
+      return { created, inUse, free: free.length, peak };
+    }
+  };
+}
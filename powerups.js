@@ -0,0 +1,131 @@
+/**
+ * PICKUPS & POWER-UPS
+ * Destroyed blocks sometimes drop a pickup (POWER_UPS in config.js). It falls
+ * toward the bottom and is collected by a bullet or by the platform/tower;
+ * missed ones fall off the screen.
+ *
+ * Timed power-ups only store an end time (powerUpTimers in state.js); the
+ * code they affect checks isPowerUpActive(): rapid fire and triple shot in
+ * bullets.js, slow motion in enemies.js; held shields are used up in tower.js.
+ */
+
+import {
+  POWER_UPS,
+  PICKUP_DROP_CHANCE,
+  PICKUP_SIZE,
+  PICKUP_FALL_SPEED,
+  SHIELD_MAX_CHARGES,
+  TOWER_REPAIR_PICKUP,
+  UPGRADE_EFFECT_DURATION
+} from './config.js';
+import {
+  width,
+  height,
+  player,
+  bullets,
+  blocks,
+  pickups,
+  powerUpTimers,
+  shieldCharges,
+  setShieldCharges,
+  removeBlock,
+  simTime,
+  random,
+  addEffect
+} from './state.js';
+import { getTowerRect } from './player.js';
+import { rebuildGridOccupancy, isBlockOnScreen } from './enemies.js';
+import { rebuildBlockGrid } from './spatial.js';
+import { repairTower } from './tower.js';
+
+// Weighted random power-up id
+function pickPowerUp() {
+  let total = 0;
+  for (const id in POWER_UPS) total += POWER_UPS[id].weight;
+
+  let roll = random() * total;
+  for (const id in POWER_UPS) {
+    roll -= POWER_UPS[id].weight;
+    if (roll < 0) return id;
+  }
+  return 'rapidFire'; // Only reachable through rounding at the very end of the table
+}
+
+// Maybe drop a pickup from the center of a block that was just destroyed
+export function dropPickup(block) {
+  if (random() >= PICKUP_DROP_CHANCE) return;
+
+  const x = block.x + (block.width - PICKUP_SIZE) / 2;
+  const y = block.y + (block.height - PICKUP_SIZE) / 2;
+  const type = pickPowerUp();
+  pickups.push({ type, x, y, prevX: x, prevY: y, width: PICKUP_SIZE, height: PICKUP_SIZE });
+  console.log(`🎁 ${POWER_UPS[type].name} dropped!`);
+}
+
+// Rectangle overlap test (physics.js imports this module, so no import from there)
+function overlaps(a, b) {
+  return a.x < b.x + b.width && a.x + a.width > b.x &&
+         a.y < b.y + b.height && a.y + a.height > b.y;
+}
+
+// Whether a bullet, the platform or the tower touches the pickup
+function isCollected(pickup) {
+  if (overlaps(pickup, player) || overlaps(pickup, getTowerRect())) return true;
+  for (const bullet of bullets) {
+    if (overlaps(bullet, pickup)) return true;
+  }
+  return false;
+}
+
+// Let pickups fall (dt in seconds), collect the ones that were hit or caught
+export function updatePickups(dt) {
+  for (let i = pickups.length - 1; i >= 0; i--) {
+    const pickup = pickups[i];
+    pickup.prevX = pickup.x;
+    pickup.prevY = pickup.y;
+    pickup.y += PICKUP_FALL_SPEED * dt;
+
+    if (isCollected(pickup)) {
+      pickups.splice(i, 1);
+      activatePowerUp(pickup.type);
+    } else if (pickup.y > height) {
+      pickups.splice(i, 1);
+    }
+  }
+}
+
+// Start a power-up: timed ones (re)start their timer, the others act now
+export function activatePowerUp(id) {
+  const powerUp = POWER_UPS[id];
+  if (id === 'bomb') {
+    detonateBomb();
+  } else if (id === 'repair') {
+    repairTower(TOWER_REPAIR_PICKUP);
+  } else if (id === 'shield') {
+    setShieldCharges(Math.min(SHIELD_MAX_CHARGES, shieldCharges + 1));
+  } else {
+    powerUpTimers[id] = simTime + powerUp.duration;
+  }
+  console.log(`${powerUp.icon} ${powerUp.name}!`);
+}
+
+// Clear every block on screen except a boss (no score, like the boss reward)
+function detonateBomb() {
+  for (let i = blocks.length - 1; i >= 0; i--) {
+    if (blocks[i].type !== 'BOSS' && isBlockOnScreen(blocks[i])) removeBlock(i);
+  }
+  rebuildGridOccupancy();
+  rebuildBlockGrid();
+  addEffect({
+    kind: 'explosion',
+    x: width / 2,
+    y: height / 2,
+    radius: Math.max(width, height),
+    until: simTime + UPGRADE_EFFECT_DURATION
+  });
+}
+
+// ms left on a timed power-up (0 when it's off)
+export function getPowerUpTimeLeft(id) {
+  return Math.max(0, (powerUpTimers[id] || 0) - simTime);
+}
@@ -0,0 +1,271 @@
+/**
+ * PROGRESSION
+ * Kills, scoring (combos, bounce and multi-kill bonuses), level ups,
+ * difficulty scaling and upgrades
+ */
+
+import {
+  KILLS_INCREMENT_PER_LEVEL,
+  SPEED_UPGRADE_INCREMENT,
+  DAMAGE_UPGRADE_INCREMENT,
+  BOUNCE_UPGRADE_INCREMENT,
+  UPGRADE_REROLLS_PER_LEVEL,
+  UPGRADE_SKIP_SCORE,
+  TOWER_REINFORCE_HP,
+  BOSS_REWARD_DAMAGE,
+  BOSS_REWARD_BOUNCES,
+  COMBO_WINDOW,
+  COMBO_STEP_KILLS,
+  COMBO_STEP_MULTIPLIER,
+  COMBO_MAX_MULTIPLIER,
+  BOUNCE_BONUS_PER_BOUNCE,
+  BOUNCE_BONUS_MAX_BOUNCES,
+  MULTI_KILL_BONUS,
+  SCORE_TEXT_DURATION
+} from './config.js';
+import {
+  addScore,
+  combo,
+  comboExpiresAt,
+  setCombo,
+  simTime,
+  addEffect,
+  kills,
+  incrementKills,
+  setKills,
+  requiredKills,
+  setRequiredKills,
+  level,
+  setLevel,
+  setGamePaused,
+  showUpgradeMenu,
+  setShowUpgradeMenu,
+  setUpgradeMenuKind,
+  blocks,
+  removeBlock,
+  bulletDamage,
+  setBulletDamage,
+  bulletSpeedMultiplier,
+  addSpeedMultiplier,
+  maxBounces,
+  setMaxBounces,
+  addChosenUpgrade,
+  addUpgradeLevel,
+  upgradeMenuKind,
+  upgradeChoices,
+  setUpgradeChoices,
+  rerollsLeft,
+  setRerollsLeft,
+  towerHp,
+  towerMaxHp,
+  pendingRewardMenus,
+  currentBlockSpeed,
+  currentSpawnInterval,
+  campaign
+} from './state.js';
+import { spawnEliteBlock, countsAsKill, getBlockScore, rebuildGridOccupancy, isBlockOnScreen } from './enemies.js';
+import { isBossLevel, isBossFight, spawnBoss } from './boss.js';
+import { getUpgrade, drawUpgradeChoices } from './upgrades.js';
+import { reinforceTower } from './tower.js';
+import { startScriptedLevel } from './levels.js';
+import { applyLevelDifficulty } from './difficulty.js';
+
+const BOSS_REWARDS = ['bossDamage', 'bossBounce', 'bossClear'];
+
+// Award score for a destroyed block and count it toward the next level
+// (campaign levels end when their script is cleared instead, see levels.js)
+// bullet: the bullet whose hit (or splash/lightning) killed the block and
+// bounces: how often it bounced before that hit; null/0 for any other kill
+export function registerKill(block, bullet = null, bounces = 0) {
+  if (countsAsKill(block)) {
+    incrementKills();
+
+    // Check for level up
+    if (campaign) {
+      console.log(`💥 Kill! ${kills} this level`);
+    } else {
+      console.log(`💥 Kill! ${kills}/${requiredKills}`);
+      if (kills >= requiredKills) levelUp();
+    }
+  }
+
+  // Award points
+  addScore(scoreKill(block, bullet, bounces));
+
+  if (block.type === 'BOSS') {
+    bossDefeated();
+  }
+}
+
+// Score multiplier of a combo of `count` kills in a row
+export function getComboMultiplier(count) {
+  return Math.min(COMBO_MAX_MULTIPLIER, 1 + Math.floor(count / COMBO_STEP_KILLS) * COMBO_STEP_MULTIPLIER);
+}
+
+// Floating text tag for a kill's bonus, or null
+function getBonusLabel(bulletKills, bounces) {
+  if (bulletKills === 2) return 'DOUBLE!';
+  if (bulletKills === 3) return 'TRIPLE!';
+  if (bulletKills > 3) return `MULTI ×${bulletKills}`;
+  if (bounces > 0) return `BOUNCE ×${bounces}`;
+  return null;
+}
+
+// Points for a kill: the type's score plus bounce and multi-kill bonuses,
+// times the combo multiplier; shown as floating text where the block was
+function scoreKill(block, bullet, bounces) {
+  setCombo(simTime <= comboExpiresAt ? combo + 1 : 1, simTime + COMBO_WINDOW);
+  const multiplier = getComboMultiplier(combo);
+
+  const base = getBlockScore(block);
+  const bounceBonus = Math.round(base * BOUNCE_BONUS_PER_BOUNCE * Math.min(bounces, BOUNCE_BONUS_MAX_BOUNCES));
+  let multiKillBonus = 0;
+  if (bullet) {
+    bullet.kills++;
+    multiKillBonus = MULTI_KILL_BONUS * (bullet.kills - 1);
+  }
+  const points = Math.round((base + bounceBonus + multiKillBonus) * multiplier);
+
+  addEffect({
+    kind: 'scoreText',
+    x: block.x + block.width / 2,
+    y: block.y + block.height / 2,
+    text: `+${points}`,
+    label: getBonusLabel(bullet ? bullet.kills : 0, bounces),
+    highlight: points > base,
+    until: simTime + SCORE_TEXT_DURATION
+  });
+
+  if (multiplier > getComboMultiplier(combo - 1)) {
+    console.log(`🔥 Combo ${combo}! Points x${multiplier}`);
+  }
+  return points;
+}
+
+// Show the upgrade menu of a kind ('level' draws its choices now, 'boss'
+// offers BOSS_REWARDS); with a menu already open (e.g. a splash killed the
+// boss and the level's last enemy in one step) it waits its turn
+function openRewardMenu(kind) {
+  if (showUpgradeMenu) {
+    pendingRewardMenus.push(kind);
+    return;
+  }
+
+  setUpgradeMenuKind(kind);
+  if (kind === 'level') {
+    setUpgradeChoices(drawUpgradeChoices());
+    setRerollsLeft(UPGRADE_REROLLS_PER_LEVEL);
+  }
+  setGamePaused(true);
+  setShowUpgradeMenu(true);
+}
+
+// Boss down: offer the boss rewards (normal spawns resume on their own)
+function bossDefeated() {
+  openRewardMenu('boss');
+  console.log('🏆 Boss defeated! Choose a reward');
+}
+
+// Level up and show upgrade menu
+export function levelUp() {
+  setLevel(level + 1);
+  setRequiredKills(requiredKills + KILLS_INCREMENT_PER_LEVEL);
+  setKills(0);
+  openRewardMenu('level');
+
+  // Campaign: the next level's script sets its own pace and enemies
+  if (campaign) {
+    startScriptedLevel();
+    return;
+  }
+
+  // Increase difficulty with each level (the run's curves, see difficulty.js)
+  applyLevelDifficulty(level);
+
+  // Boss fight every BOSS_EVERY_LEVELS levels, otherwise an elite enemy;
+  // neither while a boss fight (minion kills level up too) has spawns paused
+  if (isBossFight()) {
+    console.log('👹 Boss fight on, no elite this level');
+  } else if (isBossLevel(level)) {
+    spawnBoss();
+  } else {
+    spawnEliteBlock();
+  }
+
+  console.log(`🎉 Level ${level}! Next goal: ${requiredKills} kills`);
+  console.log(`📈 Difficulty: Speed ${currentBlockSpeed.toFixed(2)}, Spawn interval ${currentSpawnInterval.toFixed(0)}ms`);
+}
+
+// Handle a choice from the upgrade menu: a boss reward, an offered catalog
+// upgrade, 'reroll' (new draw, menu stays open) or 'skip' (points instead)
+// Anything not currently on offer is ignored
+export function applyUpgrade(upgradeType) {
+  if (upgradeMenuKind === 'boss') {
+    if (!BOSS_REWARDS.includes(upgradeType)) return;
+    applyBossReward(upgradeType);
+    addChosenUpgrade(upgradeType);
+  } else if (upgradeType === 'reroll') {
+    if (rerollsLeft <= 0) return;
+    setRerollsLeft(rerollsLeft - 1);
+    setUpgradeChoices(drawUpgradeChoices());
+    console.log(`🎲 Rerolled upgrades: ${upgradeChoices.join(', ')}`);
+    return;
+  } else if (upgradeType === 'skip') {
+    addScore(UPGRADE_SKIP_SCORE);
+    console.log(`⏭️ Upgrade skipped (+${UPGRADE_SKIP_SCORE} points)`);
+  } else {
+    if (!upgradeChoices.includes(upgradeType)) return;
+    applyCatalogUpgrade(upgradeType);
+    addChosenUpgrade(upgradeType);
+  }
+
+  setUpgradeChoices([]);
+  setRerollsLeft(0);
+  setUpgradeMenuKind('level');
+  setShowUpgradeMenu(false);
+  setGamePaused(false);
+
+  // A reward earned while this menu was open comes up next
+  if (pendingRewardMenus.length > 0) {
+    openRewardMenu(pendingRewardMenus.shift());
+  }
+}
+
+// One more stack of a catalog upgrade; most effects are read from the stacks
+// (upgrades.js), damage/speed/bounce are also added to the bullet stats and
+// reinforce raises the tower's max HP
+function applyCatalogUpgrade(upgradeType) {
+  addUpgradeLevel(upgradeType);
+  if (upgradeType === 'damage') {
+    setBulletDamage(bulletDamage + DAMAGE_UPGRADE_INCREMENT);
+    console.log(`⚔️ Damage upgraded to ${bulletDamage}`);
+  } else if (upgradeType === 'speed') {
+    addSpeedMultiplier(SPEED_UPGRADE_INCREMENT);
+    console.log(`⚡ Speed upgraded to ${(bulletSpeedMultiplier * 100).toFixed(0)}%`);
+  } else if (upgradeType === 'bounce') {
+    setMaxBounces(maxBounces + BOUNCE_UPGRADE_INCREMENT);
+    console.log(`🎾 Max bounces upgraded to ${maxBounces}`);
+  } else if (upgradeType === 'reinforce') {
+    reinforceTower(TOWER_REINFORCE_HP);
+    console.log(`🏰 Tower reinforced to ${towerHp}/${towerMaxHp} HP`);
+  } else {
+    const upgrade = getUpgrade(upgradeType);
+    console.log(`${upgrade.icon} ${upgrade.name} upgraded`);
+  }
+}
+
+function applyBossReward(reward) {
+  if (reward === 'bossDamage') {
+    setBulletDamage(bulletDamage + BOSS_REWARD_DAMAGE);
+    console.log(`🔥 Boss reward: damage ${bulletDamage}`);
+  } else if (reward === 'bossBounce') {
+    setMaxBounces(maxBounces + BOSS_REWARD_BOUNCES);
+    console.log(`🌀 Boss reward: ${maxBounces} bounces`);
+  } else if (reward === 'bossClear') {
+    for (let i = blocks.length - 1; i >= 0; i--) {
+      if (isBlockOnScreen(blocks[i])) removeBlock(i);
+    }
+    rebuildGridOccupancy();
+    console.log('🧹 Boss reward: board cleared');
+  }
+}
@@ -0,0 +1,376 @@
+/**
+ * RENDERING
+ * Canvas setup/resizing, safe area handling and drawing of the game world
+ * render() takes the 2D context explicitly so it can run against any canvas
+ */
+
+import {
+  EXTRA_LATERAL_SAFE_AREA,
+  AIM_ARROW_LENGTH,
+  AIM_ARROW_SIZE,
+  AIM_ARROW_LINE_WIDTH,
+  AIM_ARROW_DASH,
+  AIM_ARROW_COLOR,
+  TOWER_WIDTH,
+  TOWER_HEIGHT,
+  TOWER_COLOR,
+  GAME_OVER_LINE_WIDTH,
+  GAME_OVER_LINE_COLOR,
+  UPGRADE_EFFECT_DURATION,
+  SCORE_TEXT_DURATION,
+  SCORE_TEXT_RISE,
+  COMBO_COLOR,
+  POWER_UPS,
+  TOWER_HIT_FLASH
+} from './config.js';
+import {
+  width,
+  height,
+  gameOver,
+  gamePaused,
+  showUpgradeMenu,
+  safeAreaLeft,
+  safeAreaRight,
+  player,
+  lastDirX,
+  lastDirY,
+  bullets,
+  blocks,
+  effects,
+  pickups,
+  shieldCharges,
+  towerHitAt,
+  simTime
+} from './state.js';
+import { getTowerRect, getGameOverLineY, getFiringOrigin, isPlatformMovable } from './player.js';
+import { getEnemyType } from './enemytypes.js';
+import { renderHUD, renderUpgradeMenu, renderGameOver } from './ui.js';
+
+// === CANVAS SETUP ===
+
+// Get safe area insets from CSS (plus the extra lateral padding)
+export function readSafeAreas() {
+  const computedStyle = getComputedStyle(document.documentElement);
+  let top = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-top)') || '0', 10);
+  let bottom = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-bottom)') || '0', 10);
+  let left = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-left)') || '0', 10);
+  let right = parseInt(computedStyle.getPropertyValue('env(safe-area-inset-right)') || '0', 10);
+
+  // Fallback: try reading from body padding
+  if (top === 0 && bottom === 0) {
+    const bodyStyle = getComputedStyle(document.body);
+    top = parseInt(bodyStyle.paddingTop, 10) || 0;
+    bottom = parseInt(bodyStyle.paddingBottom, 10) || 0;
+    left = parseInt(bodyStyle.paddingLeft, 10) || 0;
+    right = parseInt(bodyStyle.paddingRight, 10) || 0;
+  }
+
+  // Add extra lateral safe area
+  left += EXTRA_LATERAL_SAFE_AREA;
+  right += EXTRA_LATERAL_SAFE_AREA;
+
+  console.log(`📱 Safe areas - Top: ${top}px, Bottom: ${bottom}px, Left: ${left}px, Right: ${right}px`);
+
+  return { top, bottom, left, right };
+}
+
+// Setup canvas size
+// Returns the world size in CSS px and the safe areas for setWorld()
+export function resizeCanvas(canvas, ctx) {
+  const safeAreas = readSafeAreas();
+
+  const dpr = window.devicePixelRatio || 1;
+  const rect = canvas.getBoundingClientRect();
+
+  canvas.width = rect.width * dpr;
+  canvas.height = rect.height * dpr;
+
+  // Draw in CSS pixels, which is also what the game logic works in
+  ctx.scale(dpr, dpr);
+
+  console.log(`Canvas resized: ${rect.width}x${rect.height} (DPR: ${dpr})`);
+
+  return { width: rect.width, height: rect.height, safeAreas };
+}
+
+// === DRAWING ===
+
+const lerped = { x: 0, y: 0 }; // Reused by interpolatedPosition (runs per object per frame)
+
+// Position of an object between the previous and current step
+// alpha = 0 is the previous step, alpha = 1 the current one
+// Returns a shared object, only valid until the next call
+function interpolatedPosition(obj, alpha) {
+  const prevX = obj.prevX ?? obj.x;
+  const prevY = obj.prevY ?? obj.y;
+  lerped.x = prevX + (obj.x - prevX) * alpha;
+  lerped.y = prevY + (obj.y - prevY) * alpha;
+  return lerped;
+}
+
+// Shielded block: thick grey plating on every face except the open one
+function drawShield(ctx, x, y, w, h, openFace) {
+  ctx.lineWidth = 6;
+  drawFace(ctx, x, y, x + w, y, openFace === 'top');
+  drawFace(ctx, x, y + h, x + w, y + h, openFace === 'bottom');
+  drawFace(ctx, x, y, x, y + h, openFace === 'left');
+  drawFace(ctx, x + w, y, x + w, y + h, openFace === 'right');
+}
+
+function drawFace(ctx, x1, y1, x2, y2, open) {
+  ctx.strokeStyle = open ? '#f1c40f' : '#bdc3c7';
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.stroke();
+}
+
+// Player platform (cube), interpolated while it moves
+function drawPlatform(ctx, alpha) {
+  const { x, y } = interpolatedPosition(player, alpha);
+  ctx.fillStyle = '#3498db';
+  ctx.fillRect(x, y, player.width, player.height);
+
+  // Platform top highlight
+  ctx.fillStyle = '#5dade2';
+  ctx.fillRect(x, y, player.width, player.height / 3);
+
+  // Platform border
+  ctx.strokeStyle = '#2980b9';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, player.width, player.height);
+}
+
+// Points of a kill floating up from where the block was, fading out
+// (gold when a bonus or the combo added to them, plus the bonus tag)
+function drawScoreText(ctx, effect) {
+  const life = Math.max(0, (effect.until - simTime) / SCORE_TEXT_DURATION);
+  const y = effect.y - (1 - life) * SCORE_TEXT_RISE;
+  ctx.globalAlpha = life;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.lineWidth = 3;
+  ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillStyle = effect.highlight ? COMBO_COLOR : '#ffffff';
+  ctx.font = 'bold 16px system-ui';
+  ctx.strokeText(effect.text, effect.x, y);
+  ctx.fillText(effect.text, effect.x, y);
+  if (effect.label) {
+    ctx.font = 'bold 11px system-ui';
+    ctx.strokeText(effect.label, effect.x, y + 15);
+    ctx.fillText(effect.label, effect.x, y + 15);
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Explosion rings and lightning arcs from upgrade effects, fading out, and
+// floating score text
+function drawEffects(ctx) {
+  for (const effect of effects) {
+    if (effect.kind === 'scoreText') {
+      drawScoreText(ctx, effect);
+      continue;
+    }
+    const life = Math.max(0, (effect.until - simTime) / UPGRADE_EFFECT_DURATION);
+    if (effect.kind === 'explosion') {
+      ctx.fillStyle = `rgba(230, 126, 34, ${0.4 * life})`;
+      ctx.beginPath();
+      ctx.arc(effect.x, effect.y, effect.radius, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (effect.kind === 'lightning') {
+      ctx.strokeStyle = `rgba(174, 214, 241, ${life})`;
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(effect.x, effect.y);
+      // One kink halfway so it reads as a bolt, not a laser
+      ctx.lineTo((effect.x + effect.x2) / 2 + 8, (effect.y + effect.y2) / 2 - 8);
+      ctx.lineTo(effect.x2, effect.y2);
+      ctx.stroke();
+    }
+  }
+}
+
+// Render game
+// ctx: 2D context in CSS pixel space
+// alpha: fraction of a simulation step elapsed since the last update (0..1)
+export function render(ctx, alpha = 1) {
+  // Clear canvas
+  ctx.clearRect(0, 0, width, height);
+
+  // Fixed platform sits behind the tower base, a movable one passes in front
+  const movable = isPlatformMovable();
+  if (!movable) drawPlatform(ctx, alpha);
+
+  // Draw tower (flashes red right after a block hit it)
+  const { x: towerX, y: towerY } = getTowerRect();
+  ctx.fillStyle = simTime - towerHitAt < TOWER_HIT_FLASH ? '#c0392b' : TOWER_COLOR;
+  ctx.fillRect(towerX, towerY, TOWER_WIDTH, TOWER_HEIGHT);
+
+  // Tower highlight
+  ctx.fillStyle = '#546e7a';
+  ctx.fillRect(towerX, towerY, TOWER_WIDTH, TOWER_HEIGHT / 3);
+
+  // Tower border
+  ctx.strokeStyle = '#263238';
+  ctx.lineWidth = 3;
+  ctx.strokeRect(towerX, towerY, TOWER_WIDTH, TOWER_HEIGHT);
+
+  if (movable) drawPlatform(ctx, alpha);
+
+  // Draw game over line (above tower)
+  const gameOverLineY = getGameOverLineY();
+  // Gold while a shield is held (the next crossing is absorbed)
+  ctx.strokeStyle = shieldCharges > 0 ? POWER_UPS.shield.color : GAME_OVER_LINE_COLOR;
+  ctx.lineWidth = GAME_OVER_LINE_WIDTH;
+  ctx.setLineDash([10, 5]);
+  ctx.beginPath();
+  ctx.moveTo(safeAreaLeft, gameOverLineY);
+  ctx.lineTo(width - safeAreaRight, gameOverLineY);
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  // Draw bullets as circles
+  bullets.forEach(bullet => {
+    const pos = interpolatedPosition(bullet, alpha);
+    const radius = bullet.width / 2;
+    ctx.fillStyle = '#f39c12';
+    ctx.beginPath();
+    ctx.arc(pos.x + radius, pos.y + radius, radius, 0, Math.PI * 2);
+    ctx.fill();
+
+    // Bullet glow
+    ctx.strokeStyle = '#f1c40f';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  });
+
+  // Draw blocks (cubes)
+  blocks.forEach(block => {
+    const { x, y } = interpolatedPosition(block, alpha);
+
+    // Draw cube (rectangle)
+    ctx.fillStyle = block.color;
+    ctx.fillRect(x, y, block.width, block.height);
+
+    // Elite glow effect
+    const type = getEnemyType(block.type);
+    if (type.glow) {
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 5;
+      ctx.strokeRect(x, y, block.width, block.height);
+      ctx.strokeStyle = block.color;
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x, y, block.width, block.height);
+    } else {
+      // Cube border
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x, y, block.width, block.height);
+    }
+
+    // Invulnerable boss: white shell around it
+    if (block.invulnerableUntil > simTime) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+      ctx.lineWidth = 4;
+      ctx.strokeRect(x - 6, y - 6, block.width + 12, block.height + 12);
+    }
+
+    // Behavior markers: shield with its open face, healer cross, zig-zag arrows
+    if (block.openFace) {
+      drawShield(ctx, x, y, block.width, block.height, block.openFace);
+    }
+    if (type.behaviors && type.behaviors.includes('heal')) {
+      ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+      ctx.fillRect(x + block.width / 2 - 2, y + 4, 4, 12);
+      ctx.fillRect(x + block.width / 2 - 6, y + 8, 12, 4);
+    }
+    if (block.vx) {
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+      ctx.font = 'bold 12px system-ui';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(block.vx < 0 ? '◀' : '▶', x + block.width / 2, y + block.height - 2);
+    }
+
+    // Draw HP number
+    const centerX = x + block.width / 2;
+    const centerY = y + block.height / 2;
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `bold ${Math.min(block.width, block.height) * 0.4}px system-ui`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(block.hp, centerX, centerY);
+  });
+
+  drawEffects(ctx);
+
+  // Draw pickups: power-up colored circle with its icon
+  pickups.forEach(pickup => {
+    const pos = interpolatedPosition(pickup, alpha);
+    const radius = pickup.width / 2;
+    ctx.fillStyle = POWER_UPS[pickup.type].color;
+    ctx.beginPath();
+    ctx.arc(pos.x + radius, pos.y + radius, radius, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.stroke();
+
+    ctx.font = `${Math.round(radius * 1.1)}px system-ui`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(POWER_UPS[pickup.type].icon, pos.x + radius, pos.y + radius);
+  });
+
+  // Draw aiming indicator (always visible) from where shots start
+  if (!gameOver && !gamePaused) {
+    const { x: originX, y: originY } = getFiringOrigin();
+
+    // Use last known direction
+    const dirX = lastDirX;
+    const dirY = lastDirY;
+
+    // Smaller arrow size (30% of original)
+    const lineLength = AIM_ARROW_LENGTH;
+    const endX = originX + dirX * lineLength;
+    const endY = originY + dirY * lineLength;
+
+    // Draw arrow line (thinner)
+    ctx.strokeStyle = AIM_ARROW_COLOR;
+    ctx.lineWidth = AIM_ARROW_LINE_WIDTH;
+    ctx.setLineDash(AIM_ARROW_DASH);
+    ctx.beginPath();
+    ctx.moveTo(originX, originY);
+    ctx.lineTo(endX, endY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+
+    // Draw smaller arrow head
+    const arrowSize = AIM_ARROW_SIZE;
+    const angle = Math.atan2(dirY, dirX);
+    ctx.fillStyle = AIM_ARROW_COLOR;
+    ctx.beginPath();
+    ctx.moveTo(endX, endY);
+    ctx.lineTo(
+      endX - arrowSize * Math.cos(angle - Math.PI / 6),
+      endY - arrowSize * Math.sin(angle - Math.PI / 6)
+    );
+    ctx.lineTo(
+      endX - arrowSize * Math.cos(angle + Math.PI / 6),
+      endY - arrowSize * Math.sin(angle + Math.PI / 6)
+    );
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  // HUD and overlays on top
+  renderHUD(ctx);
+
+  if (showUpgradeMenu) {
+    renderUpgradeMenu(ctx);
+  }
+
+  if (gameOver) {
+    renderGameOver(ctx);
+  }
+}
@@ -0,0 +1,277 @@
+/**
+ * REPLAYS
+ * Records the per-tick input of a run and looks it up again for playback
+ * Headless: no DOM, works with the simulation core under Node
+ *
+ * Replay JSON (version 1):
+ * {
+ *   version: 1,
+ *   seed: 123456,                     // PRNG seed of the run
+ *   platformMode: 'fixed',            // PLATFORM_MODES id the run was played with
+ *   difficulty: 'normal',             // DIFFICULTY_PRESETS id the run was played on
+ *   adaptive: false,                  // difficulty nudged by performance (endless runs)
+ *   campaign: { ... } or null,        // level scripts of a campaign run (see levels.js)
+ *   step: 0.0166...,                  // SIMULATION_STEP the run was recorded with
+ *   world: { width, height, safeAreas: { top, bottom, left, right } },
+ *   ticks: 5400,                      // number of simulation steps recorded
+ *   inputs: [[tick, 1, sx, sy, cx, cy], [tick, 0], ...], // aim gesture, only when it changes
+ *   moves: [[tick, moveDir, platformX or null], ...],    // platform controls, only when they change
+ *   upgrades: [[tick, 'bounce'], ...],                   // upgrade menu choices (incl. 'reroll'/'skip')
+ *   result: { score, level, kills }   // used to detect desyncs
+ * }
+ *
+ * A tick is one call to advance()/step(), including ticks spent in menus,
+ * so feeding the same input on the same tick reproduces the run exactly.
+ *
+ * Bump REPLAY_VERSION when the format changes or the simulation plays the
+ * same input differently; older replays are refused rather than desyncing.
+ */
+
+import { SIMULATION_STEP, PLATFORM_MODES } from './config.js';
+import { validateCampaign } from './levels.js';
+import { isDifficulty } from './difficulty.js';
+
+export const REPLAY_VERSION = 1;
+
+// Round gesture coordinates to whole px so recorded input is exactly what the
+// simulation saw (and stays small in JSON)
+export function quantizeInput(input) {
+  input.aimStartX = Math.round(input.aimStartX);
+  input.aimStartY = Math.round(input.aimStartY);
+  input.aimCurrentX = Math.round(input.aimCurrentX);
+  input.aimCurrentY = Math.round(input.aimCurrentY);
+  input.platformX = Number.isFinite(input.platformX) ? Math.round(input.platformX) : null;
+  return input;
+}
+
+// === RECORDING ===
+
+let recording = null;   // Replay being recorded for the current run
+let lastReplay = null;  // Finished replay of the previous run
+let lastAim = null;     // Last recorded aim entry [tick, ...aim] (to skip unchanged ticks)
+let lastMove = null;    // Last recorded platform entry [tick, moveDir, platformX]
+
+// Start recording a new run
+// meta: { seed, platformMode, difficulty, adaptive, campaign (or null), width, height, safeAreas }
+export function startRecording(meta) {
+  recording = {
+    version: REPLAY_VERSION,
+    seed: meta.seed,
+    platformMode: meta.platformMode,
+    difficulty: meta.difficulty,
+    adaptive: meta.adaptive,
+    campaign: meta.campaign,
+    step: SIMULATION_STEP,
+    world: {
+      width: meta.width,
+      height: meta.height,
+      safeAreas: { ...meta.safeAreas }
+    },
+    ticks: 0,
+    inputs: [],
+    moves: [],
+    upgrades: [],
+    result: null
+  };
+  lastAim = null;
+  lastMove = null;
+}
+
+export function isRecording() {
+  return recording !== null;
+}
+
+// Record the input fed to the simulation for the next tick
+export function recordInput(input) {
+  if (!recording) return;
+
+  const tick = recording.ticks++;
+
+  // Only allocate an entry when the aim changed (this runs every step)
+  if (aimChanged(input)) {
+    lastAim = input.aiming
+      ? [tick, 1, input.aimStartX, input.aimStartY, input.aimCurrentX, input.aimCurrentY]
+      : [tick, 0];
+    recording.inputs.push(lastAim);
+  }
+
+  const moveDir = input.moveDir || 0;
+  const platformX = input.platformX ?? null;
+  if (!lastMove || lastMove[1] !== moveDir || lastMove[2] !== platformX) {
+    lastMove = [tick, moveDir, platformX];
+    recording.moves.push(lastMove);
+  }
+
+  if (input.upgrade) {
+    recording.upgrades.push([tick, input.upgrade]);
+  }
+}
+
+// Whether the input's aim differs from the last recorded entry
+function aimChanged(input) {
+  if (!lastAim) return true;
+  if (!input.aiming) return lastAim[1] !== 0;
+  return lastAim[1] !== 1 ||
+    lastAim[2] !== input.aimStartX ||
+    lastAim[3] !== input.aimStartY ||
+    lastAim[4] !== input.aimCurrentX ||
+    lastAim[5] !== input.aimCurrentY;
+}
+
+// Finish the recording with the final result of the run and return the replay
+export function stopRecording(result) {
+  if (!recording) return lastReplay;
+
+  recording.result = { ...result };
+  lastReplay = recording;
+  recording = null;
+
+  console.log(`🎬 Replay recorded: ${lastReplay.ticks} ticks, ${lastReplay.inputs.length} input changes`);
+  return lastReplay;
+}
+
+// Replay recorded so far for the run in progress (or null), e.g. to save it
+export function getRecording() {
+  return recording;
+}
+
+// Continue recording a run restored from a save (recording from getRecording())
+export function resumeRecording(saved) {
+  recording = saved;
+  lastAim = saved.inputs[saved.inputs.length - 1] || null;
+  lastMove = saved.moves[saved.moves.length - 1] || null;
+}
+
+// Replay of the most recently finished run (or null)
+export function getLastReplay() {
+  return lastReplay;
+}
+
+// === SERIALIZATION ===
+
+export function serializeReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+// Parse and validate replay JSON; throws an Error with a readable message
+export function parseReplay(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Replay is not valid JSON (${err.message})`);
+  }
+
+  validateReplay(data);
+  return data;
+}
+
+// Check already parsed replay data; throws an Error with a readable message
+export function validateReplay(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Replay must be a JSON object');
+  }
+  if (data.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${data.version} (expected ${REPLAY_VERSION})`);
+  }
+  if (!Number.isInteger(data.seed) || data.seed < 0) {
+    throw new Error('Replay seed must be a non-negative integer');
+  }
+  if (!Object.prototype.hasOwnProperty.call(PLATFORM_MODES, data.platformMode)) {
+    throw new Error(`Unknown replay platform mode ${data.platformMode}`);
+  }
+  if (!isDifficulty(data.difficulty)) {
+    throw new Error(`Unknown replay difficulty ${data.difficulty}`);
+  }
+  if (typeof data.adaptive !== 'boolean') {
+    throw new Error('Replay adaptive flag must be true or false');
+  }
+  if (data.campaign !== null) {
+    validateCampaign(data.campaign);
+  }
+  if (data.step !== SIMULATION_STEP) {
+    throw new Error(`Replay was recorded at a different simulation step (${data.step})`);
+  }
+
+  const world = data.world;
+  if (!world || !(world.width > 0) || !(world.height > 0) || !world.safeAreas) {
+    throw new Error('Replay world size is missing or invalid');
+  }
+  if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+    throw new Error('Replay tick count must be a non-negative integer');
+  }
+
+  if (!Array.isArray(data.inputs) || !Array.isArray(data.moves) || !Array.isArray(data.upgrades)) {
+    throw new Error('Replay inputs/moves/upgrades must be arrays');
+  }
+  let previousTick = -1;
+  for (const entry of data.inputs) {
+    const valid = Array.isArray(entry) &&
+      Number.isInteger(entry[0]) && entry[0] > previousTick && entry[0] < data.ticks &&
+      ((entry[1] === 0 && entry.length === 2) ||
+       (entry[1] === 1 && entry.length === 6 && entry.slice(2).every(Number.isFinite)));
+    if (!valid) {
+      throw new Error(`Invalid replay input entry: ${JSON.stringify(entry)}`);
+    }
+    previousTick = entry[0];
+  }
+  previousTick = -1;
+  for (const entry of data.moves) {
+    const valid = Array.isArray(entry) && entry.length === 3 &&
+      Number.isInteger(entry[0]) && entry[0] > previousTick && entry[0] < data.ticks &&
+      (entry[1] === -1 || entry[1] === 0 || entry[1] === 1) &&
+      (entry[2] === null || Number.isFinite(entry[2]));
+    if (!valid) {
+      throw new Error(`Invalid replay move entry: ${JSON.stringify(entry)}`);
+    }
+    previousTick = entry[0];
+  }
+  previousTick = -1;
+  for (const entry of data.upgrades) {
+    const valid = Array.isArray(entry) && entry.length === 2 &&
+      Number.isInteger(entry[0]) && entry[0] > previousTick && entry[0] < data.ticks &&
+      typeof entry[1] === 'string';
+    if (!valid) {
+      throw new Error(`Invalid replay upgrade entry: ${JSON.stringify(entry)}`);
+    }
+    previousTick = entry[0];
+  }
+}
+
+// === PLAYBACK LOOKUP ===
+
+// Last entry at or before a tick, or null (binary search, entries are sorted)
+function entryAt(entries, tick) {
+  let lo = 0;
+  let hi = entries.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (entries[mid][0] <= tick) {
+      found = entries[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// Input the run saw on a given tick, in the shape step() expects
+// Fills `out` (reused by playback every tick) or a new object
+export function getReplayInput(replay, tick, out = {}) {
+  const aim = entryAt(replay.inputs, tick);
+  const move = entryAt(replay.moves, tick);
+  const upgrade = entryAt(replay.upgrades, tick);
+  const aiming = aim !== null && aim[1] === 1;
+
+  out.aiming = aiming;
+  out.aimStartX = aiming ? aim[2] : 0;
+  out.aimStartY = aiming ? aim[3] : 0;
+  out.aimCurrentX = aiming ? aim[4] : 0;
+  out.aimCurrentY = aiming ? aim[5] : 0;
+  out.moveDir = move ? move[1] : 0;
+  out.platformX = move ? move[2] : null;
+  out.upgrade = upgrade !== null && upgrade[0] === tick ? upgrade[1] : null;
+  return out;
+}
@@ -0,0 +1,46 @@
+/**
+ * SEEDED RANDOM NUMBERS
+ * Deterministic PRNG so a run can be reproduced from its seed
+ */
+
+// mulberry32: small, fast, good enough for gameplay; state is one uint32
+// random.getState()/random.setState(s) let a saved run continue the same sequence
+export function createRng(seed) {
+  let a = seed >>> 0;
+  const random = function random() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.getState = () => a;
+  random.setState = (state) => { a = state >>> 0; };
+  return random;
+}
+
+// Fresh seed for a new run (uint32)
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Turn user input (URL parameter, text field) into a uint32 seed
+// Numbers are used as-is, any other text is hashed (FNV-1a) so "daily-42" works too
+// Returns null for empty input
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+
+  const text = String(value).trim();
+  if (text === '') return null;
+
+  if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+    return Number(text);
+  }
+
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
@@ -0,0 +1,236 @@
+/**
+ * SAVED RUN
+ * Keeps the run in progress in localStorage so it survives the app being
+ * closed, and hands it back (validated) for "Continue" on the next launch
+ *
+ * Stored JSON (version 1):
+ * {
+ *   version: 1,
+ *   step: 0.0166...,     // SIMULATION_STEP the run was simulated with
+ *   savedAt: 1700000000000,
+ *   world: { width, height, safeAreas },  // the run resumes in this world, scaled to fit the canvas
+ *   run: { ... },        // saveSimulation(): score, level and kill counters, combo,
+ *                        // upgrades and the open/waiting menus, power-ups, tower HP,
+ *                        // platform, difficulty (+ adaptive window), campaign progress,
+ *                        // blocks (with per-type state), bullets, pickups, rngState
+ *   replay: { ... }      // replay recorded so far (see replay.js), or null
+ * }
+ *
+ * Anything that doesn't match exactly is thrown away: a bad save must never
+ * crash the game or resume into a broken run.
+ *
+ * Bump SAVE_VERSION when the run state saved by saveSimulation() changes shape.
+ */
+
+import { SIMULATION_STEP, SAVE_STORAGE_KEY, POWER_UPS, PLATFORM_MODES } from './config.js';
+import { validateReplay } from './replay.js';
+import { isEnemyType, hasValidBehaviorState } from './enemytypes.js';
+import { isCatalogUpgrade } from './upgrades.js';
+import { validateCampaign } from './levels.js';
+import { isDifficulty } from './difficulty.js';
+
+export const SAVE_VERSION = 1;
+
+// Numeric run fields that must be finite numbers
+const RUN_NUMBERS = [
+  'score', 'combo', 'comboExpiresAt', 'kills', 'totalKills', 'requiredKills', 'level',
+  'bulletDamage', 'bulletSpeedMultiplier', 'maxBounces',
+  'lastDirX', 'lastDirY', 'simTime', 'currentBlockSpeed', 'currentSpawnInterval',
+  'runStartedAt', 'rerollsLeft', 'shieldCharges', 'towerHp', 'towerMaxHp', 'playerX',
+  'levelStartedAt', 'nextWave', 'adaptiveSkill'
+];
+const BLOCK_NUMBERS = ['x', 'y', 'width', 'height', 'hp', 'maxHp', 'speed', 'vx'];
+const PICKUP_NUMBERS = ['x', 'y', 'width', 'height'];
+const SPAWN_NUMBERS = ['row'];
+const ADAPTIVE_WINDOW_NUMBERS = ['startedAt', 'startKills', 'shots', 'hits', 'proximitySum', 'steps'];
+const BULLET_NUMBERS = ['x', 'y', 'width', 'height', 'vx', 'vy', 'bounces', 'pierce', 'damage', 'kills'];
+const SAFE_AREA_SIDES = ['top', 'bottom', 'left', 'right'];
+
+function hasFiniteNumbers(obj, keys) {
+  return obj !== null && typeof obj === 'object' && keys.every(key => Number.isFinite(obj[key]));
+}
+
+function isPowerUp(id) {
+  return Object.prototype.hasOwnProperty.call(POWER_UPS, id);
+}
+
+function isNumberOrNull(value) {
+  return value === null || Number.isFinite(value);
+}
+
+// A scripted enemy waiting for room (see levels.js)
+function isPendingSpawn(spawn) {
+  return hasFiniteNumbers(spawn, SPAWN_NUMBERS) && isEnemyType(spawn.type) &&
+    isNumberOrNull(spawn.col) && isNumberOrNull(spawn.hp) && isNumberOrNull(spawn.speed);
+}
+
+// World size with safe area insets that leave room to play
+function isWorld(world) {
+  if (!hasFiniteNumbers(world, ['width', 'height']) || !(world.width > 0) || !(world.height > 0)) return false;
+  const insets = world.safeAreas;
+  return hasFiniteNumbers(insets, SAFE_AREA_SIDES) && SAFE_AREA_SIDES.every(side => insets[side] >= 0) &&
+    insets.left + insets.right < world.width && insets.top + insets.bottom < world.height;
+}
+
+function isSameWorld(a, b) {
+  return a.width === b.width && a.height === b.height &&
+    SAFE_AREA_SIDES.every(side => a.safeAreas[side] === b.safeAreas[side]);
+}
+
+function isUint32OrNull(value) {
+  return value === null || (Number.isInteger(value) && value >= 0 && value <= 0xFFFFFFFF);
+}
+
+// Throws an Error with a readable message if the save can't be resumed
+function validateSave(save) {
+  if (!save || typeof save !== 'object') {
+    throw new Error('save is not an object');
+  }
+  if (save.version !== SAVE_VERSION) {
+    throw new Error(`outdated save version ${save.version} (expected ${SAVE_VERSION})`);
+  }
+  if (save.step !== SIMULATION_STEP) {
+    throw new Error('save was made with a different simulation step');
+  }
+
+  if (!isWorld(save.world)) {
+    throw new Error('world size is missing or invalid');
+  }
+
+  const run = save.run;
+  if (!hasFiniteNumbers(run, RUN_NUMBERS)) {
+    throw new Error('run state is incomplete');
+  }
+  if (typeof run.gamePaused !== 'boolean' || typeof run.showUpgradeMenu !== 'boolean' ||
+      typeof run.bossPending !== 'boolean' || typeof run.adaptive !== 'boolean') {
+    throw new Error('run status flags are invalid');
+  }
+  const isMenuKind = kind => kind === 'level' || kind === 'boss';
+  if (!isMenuKind(run.upgradeMenuKind)) {
+    throw new Error('upgrade menu kind is invalid');
+  }
+  if (!Array.isArray(run.pendingRewardMenus) || !run.pendingRewardMenus.every(isMenuKind)) {
+    throw new Error('waiting upgrade menus are invalid');
+  }
+  if (!Object.prototype.hasOwnProperty.call(PLATFORM_MODES, run.platformMode)) {
+    throw new Error(`unknown platform mode ${run.platformMode}`);
+  }
+  if (!isDifficulty(run.difficulty)) {
+    throw new Error(`unknown difficulty ${run.difficulty}`);
+  }
+  if (!hasFiniteNumbers(run.adaptiveWindow, ADAPTIVE_WINDOW_NUMBERS)) {
+    throw new Error('adaptive difficulty window is invalid');
+  }
+  if ((run.lastShot !== null && !Number.isFinite(run.lastShot)) ||
+      (run.lastBlockSpawn !== null && !Number.isFinite(run.lastBlockSpawn))) {
+    throw new Error('run timers are invalid');
+  }
+  if (!isUint32OrNull(run.seed) || !isUint32OrNull(run.rngState)) {
+    throw new Error('random number state is invalid');
+  }
+  if (!Array.isArray(run.upgradesChosen) || !run.upgradesChosen.every(type => typeof type === 'string')) {
+    throw new Error('chosen upgrades are invalid');
+  }
+  const levels = run.upgradeLevels;
+  if (!levels || typeof levels !== 'object' ||
+      !Object.keys(levels).every(id => isCatalogUpgrade(id) && Number.isInteger(levels[id]) && levels[id] >= 0)) {
+    throw new Error('upgrade levels are invalid');
+  }
+  if (!Array.isArray(run.upgradeChoices) || !run.upgradeChoices.every(isCatalogUpgrade)) {
+    throw new Error('offered upgrades are invalid');
+  }
+  if (!Array.isArray(run.blocks) || !run.blocks.every(block => hasFiniteNumbers(block, BLOCK_NUMBERS))) {
+    throw new Error('blocks are invalid');
+  }
+  const unknown = run.blocks.find(block => !isEnemyType(block.type));
+  if (unknown) {
+    throw new Error(`unknown enemy type ${unknown.type}`);
+  }
+  // Per-type state (boss phase, shield face, healer timer) is used as is every step
+  const broken = run.blocks.find(block => !hasValidBehaviorState(block));
+  if (broken) {
+    throw new Error(`${broken.type} block state is invalid`);
+  }
+  if (!Array.isArray(run.bullets) ||
+      !run.bullets.every(bullet => hasFiniteNumbers(bullet, BULLET_NUMBERS) && typeof bullet.hasHit === 'boolean')) {
+    throw new Error('bullets are invalid');
+  }
+  if (!Array.isArray(run.pickups) ||
+      !run.pickups.every(pickup => hasFiniteNumbers(pickup, PICKUP_NUMBERS) && isPowerUp(pickup.type))) {
+    throw new Error('pickups are invalid');
+  }
+  const timers = run.powerUpTimers;
+  if (!timers || typeof timers !== 'object' ||
+      !Object.keys(timers).every(id => isPowerUp(id) && Number.isFinite(timers[id]))) {
+    throw new Error('power-up timers are invalid');
+  }
+
+  if (run.campaign !== null) {
+    try {
+      validateCampaign(run.campaign);
+    } catch (err) {
+      throw new Error(`campaign is invalid: ${err.message}`);
+    }
+  }
+  if (!Array.isArray(run.pendingSpawns) || !run.pendingSpawns.every(isPendingSpawn)) {
+    throw new Error('waiting scripted enemies are invalid');
+  }
+
+  if (save.replay !== null) {
+    validateReplay(save.replay);
+    // The recording carries on in the save's world
+    if (!isSameWorld(save.replay.world, save.world)) {
+      throw new Error('replay was recorded in a different world');
+    }
+  }
+}
+
+// Store the run in progress
+// run: saveSimulation() result, replay: recording so far (or null)
+export function saveRun(world, run, replay) {
+  const save = {
+    version: SAVE_VERSION,
+    step: SIMULATION_STEP,
+    savedAt: Date.now(),
+    world: { width: world.width, height: world.height, safeAreas: { ...world.safeAreas } },
+    run,
+    replay
+  };
+
+  try {
+    localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(save));
+    console.log(`💾 Run saved (Level ${run.level}, Score ${run.score})`);
+  } catch (err) {
+    console.warn('⚠️ Could not save the run:', err.message);
+  }
+}
+
+// Saved run if there is a valid one, otherwise null (invalid saves are deleted)
+export function loadSavedRun() {
+  let raw = null;
+  try {
+    raw = localStorage.getItem(SAVE_STORAGE_KEY);
+  } catch (err) {
+    return null;
+  }
+  if (!raw) return null;
+
+  try {
+    const save = JSON.parse(raw);
+    validateSave(save);
+    return save;
+  } catch (err) {
+    console.warn('⚠️ Discarding saved run:', err.message);
+    clearSavedRun();
+    return null;
+  }
+}
+
+// Forget the saved run (finished, abandoned or resumed)
+export function clearSavedRun() {
+  try {
+    localStorage.removeItem(SAVE_STORAGE_KEY);
+  } catch (err) {
+    // Storage blocked: nothing was saved either
+  }
+}
@@ -0,0 +1,174 @@
+/**
+ * HIGH SCORES
+ * Local leaderboard (best runs) and run history, persisted in localStorage
+ *
+ * Stored JSON (version 3):
+ * {
+ *   version: 3,
+ *   best: { normal: [run, ...], ... }, // Per difficulty: HIGH_SCORE_LIMIT best runs, highest score first
+ *   history: [run, ...]                // RUN_HISTORY_LIMIT most recent runs (any difficulty), newest first
+ * }
+ * run: { score, level, kills, upgrades: ['bounce', ...], duration (s), seed, date (ms), mode, difficulty, adaptive }
+ * mode: 'endless' | 'campaign' (runs recorded before campaigns existed have none: endless)
+ * difficulty: DIFFICULTY_PRESETS id
+ * adaptive: whether the difficulty was nudged by performance (shown next to the run)
+ *
+ * Version 2: leaderboards per difficulty; older runs were all played on 'normal'.
+ * Version 3: adaptive flag; older runs weren't adaptive.
+ *
+ * Bump SCORES_VERSION when the format changes and add a migration below so
+ * players keep their scores across updates.
+ */
+
+import {
+  SCORES_STORAGE_KEY,
+  HIGH_SCORE_LIMIT,
+  RUN_HISTORY_LIMIT,
+  DIFFICULTY_PRESETS,
+  DEFAULT_DIFFICULTY
+} from './config.js';
+import { isDifficulty } from './difficulty.js';
+
+export const SCORES_VERSION = 3;
+
+// MIGRATIONS[n] turns version n data into version n + 1
+const MIGRATIONS = {
+  1: stored => {
+    const withDifficulty = runs => (runs || []).map(run => ({ ...run, difficulty: DEFAULT_DIFFICULTY }));
+    return {
+      version: 2,
+      best: { [DEFAULT_DIFFICULTY]: withDifficulty(stored.best) },
+      history: withDifficulty(stored.history)
+    };
+  },
+  2: stored => {
+    const notAdaptive = runs => (runs || []).map(run => ({ ...run, adaptive: false }));
+    const best = {};
+    for (const id of Object.keys(stored.best || {})) best[id] = notAdaptive(stored.best[id]);
+    return { version: 3, best, history: notAdaptive(stored.history) };
+  }
+};
+
+let data = null;        // Loaded scores (lazy, see load())
+let readOnly = false;   // Stored data is from a newer build: don't overwrite it
+let lastResult = null;  // { rank, isNewBest, best } of the last recorded run
+
+function emptyScores() {
+  const best = {};
+  for (const id of Object.keys(DIFFICULTY_PRESETS)) best[id] = [];
+  return { version: SCORES_VERSION, best, history: [] };
+}
+
+// Drop anything that doesn't look like a run (hand-edited or corrupted storage)
+function isValidRun(run) {
+  return run !== null && typeof run === 'object' &&
+    Number.isFinite(run.score) &&
+    Number.isFinite(run.level) &&
+    Number.isFinite(run.kills) &&
+    Number.isFinite(run.duration) &&
+    Number.isFinite(run.date) &&
+    Array.isArray(run.upgrades) &&
+    isDifficulty(run.difficulty) &&
+    typeof run.adaptive === 'boolean';
+}
+
+// Bring stored data up to SCORES_VERSION
+function migrate(stored) {
+  let migrated = stored;
+  while (migrated.version < SCORES_VERSION) {
+    const upgrade = MIGRATIONS[migrated.version];
+    if (!upgrade) throw new Error(`No migration from scores version ${migrated.version}`);
+    migrated = upgrade(migrated);
+  }
+  return migrated;
+}
+
+function load() {
+  if (data) return data;
+  data = emptyScores();
+
+  let raw = null;
+  try {
+    raw = localStorage.getItem(SCORES_STORAGE_KEY);
+  } catch (err) {
+    console.warn('⚠️ High scores unavailable (storage blocked):', err.message);
+    return data;
+  }
+  if (!raw) return data;
+
+  try {
+    const stored = JSON.parse(raw);
+    if (!Number.isInteger(stored.version)) throw new Error('missing version');
+
+    if (stored.version > SCORES_VERSION) {
+      console.warn(`⚠️ High scores saved by a newer version (${stored.version}), not overwriting them`);
+      readOnly = true;
+      return data;
+    }
+
+    const migrated = migrate(stored);
+    // Difficulties this build doesn't know about are dropped
+    for (const id of Object.keys(data.best)) {
+      const runs = (migrated.best && migrated.best[id]) || [];
+      data.best[id] = runs.filter(run => isValidRun(run) && run.difficulty === id).slice(0, HIGH_SCORE_LIMIT);
+    }
+    data.history = (migrated.history || []).filter(isValidRun).slice(0, RUN_HISTORY_LIMIT);
+  } catch (err) {
+    console.warn('⚠️ Stored high scores are unreadable, starting fresh:', err.message);
+  }
+  return data;
+}
+
+function save() {
+  if (readOnly) return;
+  try {
+    localStorage.setItem(SCORES_STORAGE_KEY, JSON.stringify(data));
+  } catch (err) {
+    console.warn('⚠️ Could not save high scores:', err.message);
+  }
+}
+
+// Add a finished run to its difficulty's leaderboard and the history
+// Returns { rank (1-based, null if it didn't make the leaderboard), isNewBest, best }
+export function recordRun(run) {
+  load();
+  const best = data.best[run.difficulty];
+  const previousBest = best.length > 0 ? best[0].score : 0;
+
+  data.history.unshift(run);
+  data.history.length = Math.min(data.history.length, RUN_HISTORY_LIMIT);
+
+  // Ties keep the older run ahead
+  let index = best.findIndex(entry => run.score > entry.score);
+  if (index === -1) index = best.length;
+  best.splice(index, 0, run);
+  best.length = Math.min(best.length, HIGH_SCORE_LIMIT);
+
+  save();
+
+  const isNewBest = run.score > previousBest;
+  lastResult = {
+    rank: index < HIGH_SCORE_LIMIT ? index + 1 : null,
+    isNewBest,
+    best: Math.max(previousBest, run.score)
+  };
+
+  if (isNewBest) {
+    console.log(`🏆 New best score on ${DIFFICULTY_PRESETS[run.difficulty].name}: ${run.score} (previous ${previousBest})`);
+  }
+  return lastResult;
+}
+
+// Result of the most recently recorded run (for the game over screen)
+export function getLastRunResult() {
+  return lastResult;
+}
+
+// Leaderboard of one difficulty
+export function getBestRuns(difficulty) {
+  return load().best[difficulty];
+}
+
+export function getRunHistory() {
+  return load().history;
+}
@@ -0,0 +1,65 @@
+/**
+ * SETTINGS
+ * Player preferences (settings screen in the pause menu), persisted in localStorage
+ */
+
+import {
+  SETTINGS_STORAGE_KEY,
+  PLATFORM_MODES,
+  DIFFICULTY_PRESETS,
+  DEFAULT_DIFFICULTY
+} from './config.js';
+
+const DEFAULT_SETTINGS = {
+  autoPause: true,       // Pause when the app is hidden or loses focus
+  debugConsole: true,    // Show the 🐛 debug console button
+  debugStats: false,     // Show object pool sizes over the game
+  platformMode: 'fixed', // PLATFORM_MODES id, used from the next run on
+  difficulty: DEFAULT_DIFFICULTY, // DIFFICULTY_PRESETS id, picked on the start menu
+  adaptiveDifficulty: false       // Nudge endless runs by performance, used from the next run on
+};
+
+// Allowed values of the settings that are a pick from a list
+const SETTING_CHOICES = {
+  platformMode: Object.keys(PLATFORM_MODES),
+  difficulty: Object.keys(DIFFICULTY_PRESETS)
+};
+
+let settings = null;
+
+function load() {
+  if (settings) return settings;
+  settings = { ...DEFAULT_SETTINGS };
+
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+    // Only take known keys with the right type, so old/new builds can share storage
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (typeof stored[key] !== typeof DEFAULT_SETTINGS[key]) continue;
+      if (SETTING_CHOICES[key] && !SETTING_CHOICES[key].includes(stored[key])) continue;
+      settings[key] = stored[key];
+    }
+  } catch (err) {
+    console.warn('⚠️ Stored settings are unreadable, using defaults:', err.message);
+  }
+  return settings;
+}
+
+export function getSettings() {
+  return load();
+}
+
+// Next value of a pick-from-a-list setting (wraps around)
+export function nextSettingChoice(key) {
+  const choices = SETTING_CHOICES[key];
+  return choices[(choices.indexOf(load()[key]) + 1) % choices.length];
+}
+
+export function setSetting(key, value) {
+  load()[key] = value;
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('⚠️ Could not save settings:', err.message);
+  }
+}
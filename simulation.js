@@ -0,0 +1,285 @@
+/**
+ * SIMULATION CORE
+ * Headless game logic: no canvas, no DOM, no Math.random()/Date.now()
+ *
+ * Usage (browser or Node):
+ *   initSimulation({ width: 390, height: 844, seed: 1234 });
+ *   const snapshot = step(SIMULATION_STEP, { aiming: true, aimStartX: 0, ... });
+ *   // or advance(dt, input) to skip building the snapshot
+ *
+ * The world size, safe areas, RNG and wall clock are passed in explicitly.
+ * Gameplay timers (cooldowns, spawns) run on simulated time advanced by step().
+ */
+
+import { SIMULATION_STEP, PLATFORM_MODES, DEFAULT_DIFFICULTY } from './config.js';
+import {
+  setDimensions,
+  gameRunning,
+  gameOver,
+  gamePaused,
+  setGameOver,
+  setGamePaused,
+  setShowPauseMenu,
+  showUpgradeMenu,
+  setSafeAreas,
+  score,
+  totalKills,
+  level,
+  player,
+  setPlatformMode,
+  setDifficulty,
+  setAdaptive,
+  campaign,
+  setCampaign,
+  setCampaignWon,
+  isAiming,
+  setIsAiming,
+  setAimStart,
+  setAimCurrent,
+  lastDirX,
+  lastDirY,
+  bullets,
+  blocks,
+  advanceSimTime,
+  pruneEffects,
+  now,
+  setRandomSource,
+  setTimeSource,
+  setRunStartedAt,
+  random,
+  seed,
+  getState,
+  getRunState,
+  restoreRunState,
+  resetGameState
+} from './state.js';
+import { createRng, randomSeed } from './rng.js';
+import { positionPlayer, centerPlayer, movePlayer } from './player.js';
+import { shootBulletInDirection, updateBullets } from './bullets.js';
+import { spawnBlock, updateBlocks, rebuildGridOccupancy } from './enemies.js';
+import { applyUpgrade, levelUp } from './progression.js';
+import { rebuildBlockGrid } from './spatial.js';
+import { isBossFight, updateBoss } from './boss.js';
+import { isDifficulty, applyLevelDifficulty, updateAdaptiveDifficulty } from './difficulty.js';
+import { updatePickups } from './powerups.js';
+import { validateCampaign, startScriptedLevel, updateLevelScript, isFinalLevel } from './levels.js';
+
+const NO_SAFE_AREAS = { top: 0, bottom: 0, left: 0, right: 0 };
+
+// Set the world size (CSS px) and safe area insets; can be called mid-run
+export function setWorld(worldWidth, worldHeight, safeAreas = NO_SAFE_AREAS) {
+  setDimensions(worldWidth, worldHeight);
+  setSafeAreas(safeAreas.top, safeAreas.bottom, safeAreas.left, safeAreas.right);
+  positionPlayer();
+}
+
+// Start a new run
+// options.width/height: world size in CSS px (required)
+// options.safeAreas: { top, bottom, left, right } insets in px
+// options.seed: uint32 seed for the gameplay PRNG (a fresh one is picked if omitted)
+// options.random: () => number in [0, 1), overrides the seeded PRNG entirely
+// options.now: () => wall-clock ms, only used to timestamp the run
+// options.platformMode: PLATFORM_MODES id, 'fixed' if omitted
+// options.difficulty: DIFFICULTY_PRESETS id, DEFAULT_DIFFICULTY if omitted
+// options.adaptive: nudge the difficulty by the player's performance
+//   (endless mode only, ignored for a campaign), false if omitted
+// options.campaign: campaign data (see levels.js) to play its scripted
+//   levels, omitted/null for endless mode
+export function initSimulation(options) {
+  const {
+    width: worldWidth,
+    height: worldHeight,
+    safeAreas = NO_SAFE_AREAS,
+    seed = randomSeed(),
+    random,
+    now: timeSource = Date.now,
+    platformMode = 'fixed',
+    difficulty = DEFAULT_DIFFICULTY,
+    adaptive = false,
+    campaign: levels = null
+  } = options;
+
+  if (!Object.prototype.hasOwnProperty.call(PLATFORM_MODES, platformMode)) {
+    throw new Error(`Unknown platform mode ${platformMode}`);
+  }
+  if (!isDifficulty(difficulty)) {
+    throw new Error(`Unknown difficulty ${difficulty}`);
+  }
+  if (levels) validateCampaign(levels);
+
+  if (random) {
+    setRandomSource(random);
+  } else {
+    setRandomSource(createRng(seed), seed);
+  }
+  setTimeSource(timeSource);
+  resetGameState();
+  setPlatformMode(platformMode);
+  setDifficulty(difficulty);
+  setWorld(worldWidth, worldHeight, safeAreas);
+  centerPlayer();
+  setRunStartedAt(now());
+
+  if (levels) {
+    setCampaign(levels);
+    startScriptedLevel();
+  } else {
+    setAdaptive(adaptive);
+    applyLevelDifficulty(1);
+  }
+
+  return getSnapshot();
+}
+
+// Everything needed to continue the current run later (JSON-safe plain data)
+// rngState is null when the random source was injected and can't be saved
+export function saveSimulation() {
+  return {
+    ...getRunState(),
+    rngState: typeof random.getState === 'function' ? random.getState() : null
+  };
+}
+
+// Continue a run saved with saveSimulation()
+// options: same world/clock options as initSimulation()
+export function resumeSimulation(saved, options) {
+  const {
+    width: worldWidth,
+    height: worldHeight,
+    safeAreas = NO_SAFE_AREAS,
+    now: timeSource = Date.now
+  } = options;
+
+  // Pick the PRNG sequence up where it was left
+  const rng = createRng(saved.seed ?? randomSeed());
+  if (saved.rngState !== null) rng.setState(saved.rngState);
+  setRandomSource(rng, saved.seed);
+  setTimeSource(timeSource);
+
+  restoreRunState(saved);
+  setWorld(worldWidth, worldHeight, safeAreas);
+  rebuildGridOccupancy();
+
+  console.log(`📂 Run resumed: Level ${saved.level}, Score ${saved.score}, Seed ${seed}`);
+  return getSnapshot();
+}
+
+// Open/close the pause menu; the run stays frozen while the upgrade menu is up
+// Not part of the step input: callers simply don't step while paused, so
+// paused time never shows up in replays
+export function setPaused(paused) {
+  setShowPauseMenu(paused);
+  setGamePaused(paused || showUpgradeMenu);
+}
+
+// Copy the pointer gesture, platform controls and menu choices into the game state
+// input.aiming/aimStartX/aimStartY/aimCurrentX/aimCurrentY: drag gesture
+// input.moveDir: -1/0/1 held arrow keys, input.platformX: platform drag target
+//   (center x) or null; both only matter when the platform is movable
+// input.upgrade: choice from the upgrade menu, if any (catalog id, boss reward,
+//   'reroll' or 'skip'; see applyUpgrade())
+function applyInput(input) {
+  if (input.upgrade && showUpgradeMenu) {
+    applyUpgrade(input.upgrade);
+  }
+
+  if (input.aiming) {
+    setAimStart(input.aimStartX, input.aimStartY);
+    setAimCurrent(input.aimCurrentX, input.aimCurrentY);
+  }
+  setIsAiming(Boolean(input.aiming));
+
+  player.moveLeft = input.moveDir < 0;
+  player.moveRight = input.moveDir > 0;
+  player.targetX = input.platformX ?? null;
+}
+
+// Remember positions from the previous step so render() can interpolate
+function storePreviousPositions() {
+  player.prevX = player.x;
+  for (const bullet of bullets) {
+    bullet.prevX = bullet.x;
+    bullet.prevY = bullet.y;
+  }
+  for (const block of blocks) {
+    block.prevX = block.x;
+    block.prevY = block.y;
+  }
+}
+
+// Advance the simulation by one step (dt in seconds, normally SIMULATION_STEP)
+// Same as step() without building a snapshot; the browser loop uses this
+export function advance(dt = SIMULATION_STEP, input = {}) {
+  applyInput(input);
+
+  if (!gameRunning || gameOver || gamePaused) return;
+
+  advanceSimTime(dt * 1000);
+  storePreviousPositions();
+  pruneEffects();
+
+  // Platform moves first so shots and ricochets use where it is now
+  movePlayer(dt);
+
+  // Always shoot continuously
+  shootBulletInDirection();
+
+  // Spawn blocks: a campaign level follows its script and ends once it's
+  // cleared; endless mode spawns on a timer (paused during a boss fight,
+  // the boss summons its own)
+  if (campaign) {
+    if (updateLevelScript()) {
+      if (isFinalLevel()) {
+        setCampaignWon(true);
+        setGameOver(true);
+        console.log('🏆 Campaign complete! Final score:', score);
+        return;
+      }
+      levelUp();
+    }
+  } else if (!isBossFight()) {
+    spawnBlock();
+  }
+
+  // Move blocks; blocks crossing the line damage the tower, the run ends when it falls
+  if (updateBlocks(dt)) {
+    setGameOver(true);
+    console.log('💀 Game Over! The tower fell! Final score:', score);
+    console.log(`📊 Reached Level ${level}, Killed ${totalKills} enemies total`);
+    return;
+  }
+
+  // Boss phases and minion waves
+  updateBoss();
+
+  // Broad phase for the bullet pass below
+  rebuildBlockGrid();
+
+  // Move bullets with swept collisions: wall/block bounces, hits, splits and scoring
+  updateBullets(dt);
+
+  // Falling pickups: collected by bullets (after they moved) or the platform/tower
+  updatePickups(dt);
+
+  // Adaptive runs rate the player now and then and nudge the difficulty
+  updateAdaptiveDifficulty();
+}
+
+// Advance the simulation by one step and return a snapshot of the result
+export function step(dt = SIMULATION_STEP, input = {}) {
+  advance(dt, input);
+  return getSnapshot();
+}
+
+// Plain-data copy of everything needed to inspect or draw the current state
+export function getSnapshot() {
+  return {
+    ...getState(),
+    isAiming,
+    lastDirX,
+    lastDirY,
+    player: { ...player },
+    bullets: bullets.map(bullet => ({ ...bullet })),
+    blocks: blocks.map(block => ({ ...block }))
+  };
+}
@@ -0,0 +1,88 @@
+/**
+ * SPATIAL GRID (collision broad phase)
+ * Uniform grid of GRID_CELL_SIZE cells holding the blocks that overlap each
+ * cell, so a bullet only tests the blocks near its path instead of all of them
+ *
+ * Rebuilt from block positions every step after the blocks move (and again
+ * whenever blocks are destroyed or split mid-step). Not to be confused with the
+ * spawn grid in state.js (gridOccupied).
+ */
+
+import { GRID_CELL_SIZE } from './config.js';
+import { blocks } from './state.js';
+
+// Cell key = row * KEY_ROW_STRIDE + col (cols are clamped to [0, KEY_ROW_STRIDE))
+const KEY_ROW_STRIDE = 4096;
+
+const cells = new Map();      // key -> blocks overlapping that cell (arrays are reused)
+const seen = new Set();       // Dedupe for blocks spanning several cells
+const queryResult = [];       // Reused result array (see queryBlocks)
+let enabled = true;           // false = brute force (for benchmarking)
+
+function cellCol(x) {
+  return Math.max(0, Math.min(KEY_ROW_STRIDE - 1, Math.floor(x / GRID_CELL_SIZE)));
+}
+
+function cellRow(y) {
+  return Math.floor(y / GRID_CELL_SIZE);
+}
+
+// Put every block into the cells it overlaps
+export function rebuildBlockGrid() {
+  for (const cell of cells.values()) cell.length = 0;
+  if (!enabled) return;
+
+  for (const block of blocks) {
+    const minCol = cellCol(block.x);
+    const maxCol = cellCol(block.x + block.width);
+    const minRow = cellRow(block.y);
+    const maxRow = cellRow(block.y + block.height);
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const key = row * KEY_ROW_STRIDE + col;
+        let cell = cells.get(key);
+        if (!cell) {
+          cell = [];
+          cells.set(key, cell);
+        }
+        cell.push(block);
+      }
+    }
+  }
+}
+
+// Blocks that may overlap the rectangle [minX, maxX] x [minY, maxY]
+// Returns a shared array, only valid until the next call
+export function queryBlocks(minX, minY, maxX, maxY) {
+  queryResult.length = 0;
+  if (!enabled) {
+    queryResult.push(...blocks);
+    return queryResult;
+  }
+
+  seen.clear();
+  const minCol = cellCol(minX);
+  const maxCol = cellCol(maxX);
+  const minRow = cellRow(minY);
+  const maxRow = cellRow(maxY);
+
+  for (let row = minRow; row <= maxRow; row++) {
+    for (let col = minCol; col <= maxCol; col++) {
+      const cell = cells.get(row * KEY_ROW_STRIDE + col);
+      if (!cell) continue;
+      for (const block of cell) {
+        if (seen.has(block)) continue;
+        seen.add(block);
+        queryResult.push(block);
+      }
+    }
+  }
+  return queryResult;
+}
+
+// Turn the broad phase off to compare against testing every block (benchmark)
+export function setBroadPhaseEnabled(value) {
+  enabled = value;
+  rebuildBlockGrid();
+}
@@ -4,9 +4,21 @@
  * Import these when you need to read/modify game state
  */
 
-import { BLOCK_SPEED, BLOCK_SPAWN_INTERVAL, INITIAL_REQUIRED_KILLS } from './config.js';
+import {
+  BLOCK_SPEED,
+  BLOCK_SPAWN_INTERVAL,
+  DEFAULT_DIFFICULTY,
+  INITIAL_REQUIRED_KILLS,
+  PLAYER_WIDTH,
+  PLAYER_HEIGHT,
+  PLAYER_SPEED,
+  GRID_COLUMNS,
+  TOWER_MAX_HP
+} from './config.js';
+import { createPool } from './pool.js';
 
 // === CANVAS & DIMENSIONS ===
+// Play area size in CSS pixels (not device pixels)
 export let width = 0;
 export let height = 0;
 
@@ -15,6 +27,21 @@ export function setDimensions(w, h) {
   height = h;
 }
 
+// === RANDOMNESS & CLOCK SOURCES ===
+// Provided by the simulation (see simulation.js) so gameplay code never calls
+// Math.random() or Date.now() directly
+export let random = Math.random;   // () => number in [0, 1)
+export let seed = null;            // Seed random was created from (null if injected directly)
+export let now = Date.now;         // () => wall-clock ms, only used for run metadata
+export let runStartedAt = 0;       // now() when the current run started
+
+export function setRandomSource(fn, seedValue = null) {
+  random = fn;
+  seed = seedValue;
+}
+export function setTimeSource(fn) { now = fn; }
+export function setRunStartedAt(value) { runStartedAt = value; }
+
 // === GAME STATUS ===
 export let gameRunning = false;
 export let gameOver = false;
@@ -24,6 +51,10 @@ export function setGameRunning(value) { gameRunning = value; }
 export function setGameOver(value) { gameOver = value; }
 export function setGamePaused(value) { gamePaused = value; }
 
+// Pause menu open (gamePaused is also set; it stays set for the upgrade menu)
+export let showPauseMenu = false;
+export function setShowPauseMenu(value) { showPauseMenu = value; }
+
 // === SAFE AREAS (iOS notch/bar) ===
 export let safeAreaTop = 0;
 export let safeAreaBottom = 0;
@@ -40,41 +71,125 @@ export function setSafeAreas(top, bottom, left, right) {
 // === PROGRESSION ===
 export let score = 0;
 export let kills = 0;
+export let totalKills = 0; // Kills across all levels this run
 export let requiredKills = INITIAL_REQUIRED_KILLS;
 export let level = 1;
 export let showUpgradeMenu = false;
+export let upgradeMenuKind = 'level'; // 'level' (normal upgrades) | 'boss' (boss reward)
+export let bossPending = false;       // Boss level started but no room to spawn the boss yet
+export const pendingRewardMenus = []; // Menu kinds waiting for the open one to close, oldest first
 
-export function setScore(value) { score = value; }
 export function addScore(value) { score += value; }
 export function setKills(value) { kills = value; }
-export function incrementKills() { kills++; }
+export function incrementKills() {
+  kills++;
+  totalKills++;
+}
 export function setRequiredKills(value) { requiredKills = value; }
 export function setLevel(value) { level = value; }
 export function setShowUpgradeMenu(value) { showUpgradeMenu = value; }
+export function setUpgradeMenuKind(value) { upgradeMenuKind = value; }
+export function setBossPending(value) { bossPending = value; }
+
+// === COMBO ===
+// combo: kills in a row, each within COMBO_WINDOW of the one before
+// comboExpiresAt: simulated ms the combo breaks at unless there's another kill
+export let combo = 0;
+export let comboExpiresAt = 0;
+
+export function setCombo(value, expiresAt) {
+  combo = value;
+  comboExpiresAt = expiresAt;
+}
 
 // === PLAYER UPGRADES ===
 export let bulletDamage = 1;
 export let bulletSpeedMultiplier = 1;
 export let maxBounces = 0; // Starts at 0
+export const upgradesChosen = []; // Upgrade types picked this run, in order
+export const upgradeLevels = {};   // Catalog upgrade id -> stacks owned (UPGRADE_CATALOG)
+export const upgradeChoices = [];  // Catalog ids offered by the open level up menu
+export let rerollsLeft = 0;        // Redraws left in the open level up menu
 
 export function setBulletDamage(value) { bulletDamage = value; }
-export function setBulletSpeedMultiplier(value) { bulletSpeedMultiplier = value; }
 export function setMaxBounces(value) { maxBounces = value; }
 
-export function incrementBulletDamage() { bulletDamage++; }
-export function incrementMaxBounces() { maxBounces++; }
 export function addSpeedMultiplier(value) { bulletSpeedMultiplier += value; }
+export function addChosenUpgrade(type) { upgradesChosen.push(type); }
+export function addUpgradeLevel(id) { upgradeLevels[id] = (upgradeLevels[id] || 0) + 1; }
+export function setUpgradeChoices(ids) {
+  upgradeChoices.length = 0;
+  upgradeChoices.push(...ids);
+}
+export function setRerollsLeft(value) { rerollsLeft = value; }
+
+// === CAMPAIGN ===
+// Level scripts of a campaign run (validated data, see levels.js), null in
+// endless mode; the script for the current level is campaign.levels[level - 1]
+export let campaign = null;
+export let levelStartedAt = 0;   // simTime the current scripted level started
+export let nextWave = 0;         // Index of the next wave of the current level
+export const pendingSpawns = []; // Scripted enemies waiting for room: { type, col, row, hp, speed }
+export let campaignWon = false;  // Last level cleared (the run ends as won)
+
+export function setCampaign(value) { campaign = value; }
+export function setLevelStartedAt(value) { levelStartedAt = value; }
+export function setNextWave(value) { nextWave = value; }
+export function setCampaignWon(value) { campaignWon = value; }
+
+// === TOWER HEALTH ===
+export let towerHp = TOWER_MAX_HP;
+export let towerMaxHp = TOWER_MAX_HP;
+export let towerHitAt = -Infinity; // simTime of the last hit (render flash)
+
+export function setTowerHp(value) { towerHp = value; }
+export function setTowerMaxHp(value) { towerMaxHp = value; }
+export function setTowerHitAt(value) { towerHitAt = value; }
+
+// === POWER-UPS ===
+// Falling pickups ({ type, x, y, prevX, prevY, width, height }), end times of
+// the timed power-ups in simulated ms (POWER_UPS id -> until) and held shields
+export const pickups = [];
+export const powerUpTimers = {};
+export let shieldCharges = 0;
+
+export function setShieldCharges(value) { shieldCharges = value; }
+
+export function isPowerUpActive(id) {
+  return (powerUpTimers[id] || 0) > simTime;
+}
+
+// === EFFECTS ===
+// Short-lived explosions/lightning arcs/score text for render.js: { kind, x, y, ..., until }
+// Visual only, so not part of saved runs
+export const effects = [];
+
+export function addEffect(effect) { effects.push(effect); }
+
+// Drop effects that ended (until is in simulated ms)
+export function pruneEffects() {
+  for (let i = effects.length - 1; i >= 0; i--) {
+    if (effects[i].until <= simTime) effects.splice(i, 1);
+  }
+}
 
 // === PLAYER OBJECT ===
+// Moves only when the run's platformMode isn't 'fixed' (PLATFORM_MODES), held
+// arrow keys (moveLeft/moveRight) or a drag toward targetX (center x, or null)
 export const player = {
   x: 0,
   y: 0,
-  width: 80,
-  height: 20,
-  speed: 6,
+  prevX: 0,
+  width: PLAYER_WIDTH,
+  height: PLAYER_HEIGHT,
+  speed: PLAYER_SPEED,
   moveLeft: false,
-  moveRight: false
+  moveRight: false,
+  targetX: null
 };
+export let platformMode = 'fixed';
+
+export function setPlatformMode(value) { platformMode = value; }
 
 // === AIMING SYSTEM ===
 export let aimStartX = 0;
@@ -105,44 +220,95 @@ export function setLastDirection(x, y) {
 }
 
 // === GAME OBJECTS (Arrays) ===
+// Live objects come from the pools below and go back to them when removed
 export const bullets = [];
 export const blocks = [];
 
-export function clearBullets() {
+// Bullets always get every field set when fired; blocks carry varying fields
+// (grid cells, enemy type data), so those are wiped when a block is released
+export const bulletPool = createPool(() => ({}));
+export const blockPool = createPool(() => ({}), (block) => {
+  for (const key of Object.keys(block)) delete block[key];
+});
+
+// Remove by swapping in the last element (order isn't kept) and recycle the object
+export function removeBullet(index) {
+  const bullet = bullets[index];
+  const last = bullets.pop();
+  if (index < bullets.length) bullets[index] = last;
+  bulletPool.release(bullet);
+}
+
+export function removeBlock(index) {
+  const block = blocks[index];
+  const last = blocks.pop();
+  if (index < blocks.length) blocks[index] = last;
+  blockPool.release(block);
+}
+
+function clearBullets() {
+  bullets.forEach(bullet => bulletPool.release(bullet));
   bullets.length = 0;
 }
 
-export function clearBlocks() {
+function clearBlocks() {
+  blocks.forEach(block => blockPool.release(block));
   blocks.length = 0;
 }
 
 // === TIMING ===
-export let lastShot = 0;
-export let lastBlockSpawn = 0;
+// All timestamps are simulated milliseconds (see simTime), not Date.now()
+export let simTime = 0;
+export let lastShot = -Infinity;
+export let lastBlockSpawn = -Infinity;
 
+export function advanceSimTime(ms) { simTime += ms; }
 export function setLastShot(value) { lastShot = value; }
 export function setLastBlockSpawn(value) { lastBlockSpawn = value; }
 
 // === DIFFICULTY (changes with level) ===
+// difficulty: DIFFICULTY_PRESETS id of the run (curves evaluated by difficulty.js)
+export let difficulty = DEFAULT_DIFFICULTY;
 export let currentBlockSpeed = BLOCK_SPEED;
 export let currentSpawnInterval = BLOCK_SPAWN_INTERVAL;
 
+export function setDifficulty(value) { difficulty = value; }
 export function setCurrentBlockSpeed(value) { currentBlockSpeed = value; }
 export function setCurrentSpawnInterval(value) { currentSpawnInterval = value; }
 
+// === ADAPTIVE DIFFICULTY ===
+// adaptive: the run nudges its curves by performance (endless mode, see difficulty.js)
+// adaptiveSkill: -1..+1 offset the nudges are scaled by
+// adaptiveWindow: what happened since the current rating window started
+export let adaptive = false;
+export let adaptiveSkill = 0;
+export const adaptiveWindow = { startedAt: 0, startKills: 0, shots: 0, hits: 0, proximitySum: 0, steps: 0 };
+
+export function setAdaptive(value) { adaptive = value; }
+export function setAdaptiveSkill(value) { adaptiveSkill = value; }
+
+// Start a new rating window now
+export function resetAdaptiveWindow() {
+  adaptiveWindow.startedAt = simTime;
+  adaptiveWindow.startKills = totalKills;
+  adaptiveWindow.shots = 0;
+  adaptiveWindow.hits = 0;
+  adaptiveWindow.proximitySum = 0;
+  adaptiveWindow.steps = 0;
+}
+
 // === GRID SYSTEM ===
-export const gridOccupied = new Set(); // Tracks occupied grid cells as "row,col" strings
+// Cells overlapped by a block right now (rebuilt from block positions by
+// enemies.js every step). Key = row * GRID_COLUMNS + col; rows above the
+// screen are negative.
+export const gridOccupied = new Set();
 
 export function isGridCellOccupied(row, col) {
-  return gridOccupied.has(`${row},${col}`);
+  return gridOccupied.has(row * GRID_COLUMNS + col);
 }
 
 export function occupyGridCell(row, col) {
-  gridOccupied.add(`${row},${col}`);
-}
-
-export function freeGridCell(row, col) {
-  gridOccupied.delete(`${row},${col}`);
+  gridOccupied.add(row * GRID_COLUMNS + col);
 }
 
 export function clearGrid() {
@@ -154,17 +320,45 @@ export function resetGameState() {
   gameRunning = true;
   gameOver = false;
   gamePaused = false;
+  showPauseMenu = false;
   showUpgradeMenu = false;
+  upgradeMenuKind = 'level';
+  pendingRewardMenus.length = 0;
+  bossPending = false;
   score = 0;
+  combo = 0;
+  comboExpiresAt = 0;
   kills = 0;
+  totalKills = 0;
   requiredKills = INITIAL_REQUIRED_KILLS;
   level = 1;
   bulletDamage = 1;
   bulletSpeedMultiplier = 1;
   maxBounces = 0;
+  upgradesChosen.length = 0;
+  for (const id of Object.keys(upgradeLevels)) delete upgradeLevels[id];
+  upgradeChoices.length = 0;
+  rerollsLeft = 0;
+  effects.length = 0;
+  pickups.length = 0;
+  for (const id of Object.keys(powerUpTimers)) delete powerUpTimers[id];
+  shieldCharges = 0;
+  towerHp = TOWER_MAX_HP;
+  towerMaxHp = TOWER_MAX_HP;
+  towerHitAt = -Infinity;
+  platformMode = 'fixed';
+  campaign = null;
+  levelStartedAt = 0;
+  nextWave = 0;
+  pendingSpawns.length = 0;
+  campaignWon = false;
+  player.moveLeft = false;
+  player.moveRight = false;
+  player.targetX = null;
   clearBullets();
   clearBlocks();
   clearGrid();
+  difficulty = DEFAULT_DIFFICULTY;
   currentBlockSpeed = BLOCK_SPEED;
   currentSpawnInterval = BLOCK_SPAWN_INTERVAL;
   isAiming = false;
@@ -174,11 +368,124 @@ export function resetGameState() {
   aimCurrentY = 0;
   lastDirX = 0;
   lastDirY = -1;
-  lastShot = 0;
-  lastBlockSpawn = 0;
+  simTime = 0;
+  lastShot = -Infinity;
+  lastBlockSpawn = -Infinity;
+  adaptive = false;
+  adaptiveSkill = 0;
+  resetAdaptiveWindow();
+}
+
+// === SAVE & RESTORE ===
+// Plain-data copy of everything that makes up the current run (JSON-safe)
+// Used to save a run in progress; see restoreRunState()
+export function getRunState() {
+  return {
+    gamePaused,
+    showUpgradeMenu,
+    upgradeMenuKind,
+    pendingRewardMenus: [...pendingRewardMenus],
+    bossPending,
+    score,
+    combo,
+    comboExpiresAt,
+    kills,
+    totalKills,
+    requiredKills,
+    level,
+    bulletDamage,
+    bulletSpeedMultiplier,
+    maxBounces,
+    upgradesChosen: [...upgradesChosen],
+    upgradeLevels: { ...upgradeLevels },
+    upgradeChoices: [...upgradeChoices],
+    rerollsLeft,
+    pickups: pickups.map(pickup => ({ ...pickup })),
+    powerUpTimers: { ...powerUpTimers },
+    shieldCharges,
+    towerHp,
+    towerMaxHp,
+    platformMode,
+    playerX: player.x,
+    campaign,
+    levelStartedAt,
+    nextWave,
+    pendingSpawns: pendingSpawns.map(spawn => ({ ...spawn })),
+    lastDirX,
+    lastDirY,
+    simTime,
+    // -Infinity (never happened yet) doesn't survive JSON
+    lastShot: Number.isFinite(lastShot) ? lastShot : null,
+    lastBlockSpawn: Number.isFinite(lastBlockSpawn) ? lastBlockSpawn : null,
+    difficulty,
+    currentBlockSpeed,
+    currentSpawnInterval,
+    adaptive,
+    adaptiveSkill,
+    adaptiveWindow: { ...adaptiveWindow },
+    seed,
+    runStartedAt,
+    bullets: bullets.map(bullet => ({ ...bullet })),
+    blocks: blocks.map(block => ({ ...block }))
+  };
+}
+
+// Put back a run saved with getRunState() (random source and world size are
+// restored separately by the simulation, which also rebuilds the grid)
+export function restoreRunState(saved) {
+  resetGameState();
+  gamePaused = saved.gamePaused;
+  showUpgradeMenu = saved.showUpgradeMenu;
+  upgradeMenuKind = saved.upgradeMenuKind;
+  pendingRewardMenus.push(...saved.pendingRewardMenus);
+  bossPending = saved.bossPending;
+  score = saved.score;
+  combo = saved.combo;
+  comboExpiresAt = saved.comboExpiresAt;
+  kills = saved.kills;
+  totalKills = saved.totalKills;
+  requiredKills = saved.requiredKills;
+  level = saved.level;
+  bulletDamage = saved.bulletDamage;
+  bulletSpeedMultiplier = saved.bulletSpeedMultiplier;
+  maxBounces = saved.maxBounces;
+  upgradesChosen.push(...saved.upgradesChosen);
+  Object.assign(upgradeLevels, saved.upgradeLevels);
+  upgradeChoices.push(...saved.upgradeChoices);
+  rerollsLeft = saved.rerollsLeft;
+  saved.pickups.forEach(pickup => pickups.push({ ...pickup }));
+  Object.assign(powerUpTimers, saved.powerUpTimers);
+  shieldCharges = saved.shieldCharges;
+  towerHp = saved.towerHp;
+  towerMaxHp = saved.towerMaxHp;
+  platformMode = saved.platformMode;
+  player.x = player.prevX = saved.playerX;
+  campaign = saved.campaign;
+  levelStartedAt = saved.levelStartedAt;
+  nextWave = saved.nextWave;
+  saved.pendingSpawns.forEach(spawn => pendingSpawns.push({ ...spawn }));
+  lastDirX = saved.lastDirX;
+  lastDirY = saved.lastDirY;
+  simTime = saved.simTime;
+  lastShot = saved.lastShot ?? -Infinity;
+  lastBlockSpawn = saved.lastBlockSpawn ?? -Infinity;
+  difficulty = saved.difficulty;
+  currentBlockSpeed = saved.currentBlockSpeed;
+  currentSpawnInterval = saved.currentSpawnInterval;
+  adaptive = saved.adaptive;
+  adaptiveSkill = saved.adaptiveSkill;
+  Object.assign(adaptiveWindow, saved.adaptiveWindow);
+  runStartedAt = saved.runStartedAt;
+  saved.bullets.forEach(bullet => bullets.push(Object.assign(bulletPool.acquire(), bullet)));
+  saved.blocks.forEach(block => blocks.push(Object.assign(blockPool.acquire(), block)));
 }
 
 // === GETTER HELPERS (for read-only access) ===
+
+// Pool sizes for the debug readout
+export function getPoolStats() {
+  return { bullets: bulletPool.getStats(), blocks: blockPool.getStats() };
+}
 export function getState() {
   return {
     width,
@@ -186,14 +493,39 @@ export function getState() {
     gameRunning,
     gameOver,
     gamePaused,
+    showPauseMenu,
     score,
+    combo,
+    comboExpiresAt,
     kills,
+    totalKills,
     requiredKills,
     level,
     showUpgradeMenu,
+    upgradeMenuKind,
     bulletDamage,
     bulletSpeedMultiplier,
     maxBounces,
+    upgradesChosen: [...upgradesChosen],
+    upgradeLevels: { ...upgradeLevels },
+    upgradeChoices: [...upgradeChoices],
+    rerollsLeft,
+    powerUpTimers: { ...powerUpTimers },
+    shieldCharges,
+    towerHp,
+    towerMaxHp,
+    platformMode,
+    campaign: campaign !== null,
+    campaignWon,
+    nextWave,
+    difficulty,
+    currentBlockSpeed,
+    currentSpawnInterval,
+    adaptive,
+    adaptiveSkill,
+    simTime,
+    runStartedAt,
+    seed,
     safeAreaTop,
     safeAreaBottom,
     safeAreaLeft,
@@ -0,0 +1,103 @@
+/**
+ * SERVICE WORKER
+ * Precaches the whole game per build so it loads offline
+ *
+ * Registered by main.js as sw.js?v=<build version> (version.txt): a new build
+ * means a new script URL, so the browser installs a fresh worker with its own
+ * cache. That worker waits until the page asks it to take over (reload button).
+ *
+ * Classic script on purpose: module service workers aren't available on older iOS.
+ */
+
+const BUILD = new URL(self.location.href).searchParams.get('v') || 'dev';
+const CACHE_PREFIX = 'bounce-shooter-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD}`;
+
+// Everything the game needs to start; keep in sync when adding modules
+const PRECACHE_URLS = [
+  './',
+  './index.html',
+  './manifest.json',
+  './icon-512.svg',
+  './version.txt',
+  './campaign.json',
+  './main.js',
+  './console.js',
+  './config.js',
+  './state.js',
+  './rng.js',
+  './simulation.js',
+  './player.js',
+  './bullets.js',
+  './enemies.js',
+  './enemytypes.js',
+  './physics.js',
+  './spatial.js',
+  './pool.js',
+  './benchmark.js',
+  './progression.js',
+  './upgrades.js',
+  './powerups.js',
+  './tower.js',
+  './boss.js',
+  './difficulty.js',
+  './levels.js',
+  './editor.js',
+  './render.js',
+  './ui.js',
+  './replay.js',
+  './playback.js',
+  './scores.js',
+  './savegame.js',
+  './settings.js'
+];
+
+self.addEventListener('install', (event) => {
+  // cache: 'reload' skips the HTTP cache so we store this build's files
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache =>
+      cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' })))
+    )
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  // Drop caches of older builds and control already open pages (first install)
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks the waiting worker to take over when the player taps reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  const url = new URL(request.url);
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // version.txt: network first so new builds are noticed, cached copy offline
+  if (url.pathname.endsWith('/version.txt')) {
+    event.respondWith(
+      fetch(request).catch(() => caches.match(request, { ignoreSearch: true }))
+    );
+    return;
+  }
+
+  // Everything else: this build's cached copy (?v= cache busting is ignored)
+  event.respondWith(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.match(request, { ignoreSearch: true }))
+      .then(cached => cached || fetch(request))
+  );
+});
@@ -0,0 +1,85 @@
+/**
+ * DIFFICULTY TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { BLOCK_SPEED, DIFFICULTY_PRESETS } from '../config.js';
+import { initSimulation } from '../simulation.js';
+import { evaluateCurve, applyLevelDifficulty, getEnemyHpScale, isDifficulty } from '../difficulty.js';
+import * as state from '../state.js';
+
+const CURVES = ['blockSpeed', 'spawnInterval', 'enemyHp'];
+
+// Curves multiply floats, so compare within rounding
+function near(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+}
+
+test('linear and exponential curves start at level 1', () => {
+  const linear = { kind: 'linear', start: 2, step: 0.5 };
+  near(evaluateCurve(linear, 1), 2);
+  near(evaluateCurve(linear, 5), 4);
+
+  const exponential = { kind: 'exponential', start: 1000, factor: 0.5 };
+  near(evaluateCurve(exponential, 1), 1000);
+  near(evaluateCurve(exponential, 4), 125);
+});
+
+test('piecewise curves interpolate between points and stay flat outside them', () => {
+  const curve = { kind: 'piecewise', points: [[2, 10], [4, 20], [8, 0]] };
+  near(evaluateCurve(curve, 1), 10);
+  near(evaluateCurve(curve, 3), 15);
+  near(evaluateCurve(curve, 4), 20);
+  near(evaluateCurve(curve, 6), 10);
+  near(evaluateCurve(curve, 50), 0);
+});
+
+test('min and max clamp any kind of curve', () => {
+  near(evaluateCurve({ kind: 'linear', start: 1, step: 1, max: 3 }, 10), 3);
+  near(evaluateCurve({ kind: 'exponential', start: 100, factor: 0.1, min: 5 }, 4), 5);
+  near(evaluateCurve({ kind: 'piecewise', points: [[1, 0], [3, 10]], min: 2, max: 8 }, 1), 2);
+});
+
+test('an unknown curve kind throws', () => {
+  assert.throws(() => evaluateCurve({ kind: 'cubic' }, 1), /Unknown difficulty curve kind cubic/);
+});
+
+test('every preset gives finite, positive values at every level', () => {
+  for (const [id, preset] of Object.entries(DIFFICULTY_PRESETS)) {
+    assert.ok(isDifficulty(id));
+    for (let level = 1; level <= 100; level++) {
+      for (const curve of CURVES) {
+        const value = evaluateCurve(preset[curve], level);
+        assert.ok(Number.isFinite(value) && value > 0, `${id} ${curve} at level ${level}: ${value}`);
+      }
+    }
+  }
+  assert.equal(isDifficulty('toString'), false);
+});
+
+test('presets start harder from easy to nightmare', () => {
+  const start = (id, curve) => evaluateCurve(DIFFICULTY_PRESETS[id][curve], 1);
+  const order = ['easy', 'normal', 'hard', 'nightmare'];
+  for (let i = 1; i < order.length; i++) {
+    assert.ok(start(order[i], 'blockSpeed') > start(order[i - 1], 'blockSpeed'));
+    assert.ok(start(order[i], 'spawnInterval') < start(order[i - 1], 'spawnInterval'));
+    assert.ok(start(order[i], 'enemyHp') > start(order[i - 1], 'enemyHp'));
+  }
+});
+
+test('the run applies its preset to speed, spawns and HP', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation({ width: 390, height: 844, seed: 1, now: () => 0, difficulty: 'hard' });
+  const hard = DIFFICULTY_PRESETS.hard;
+
+  near(state.currentBlockSpeed, BLOCK_SPEED * evaluateCurve(hard.blockSpeed, 1));
+  near(state.currentSpawnInterval, evaluateCurve(hard.spawnInterval, 1));
+
+  applyLevelDifficulty(7);
+  near(state.currentBlockSpeed, BLOCK_SPEED * evaluateCurve(hard.blockSpeed, 7));
+  near(state.currentSpawnInterval, evaluateCurve(hard.spawnInterval, 7));
+  near(getEnemyHpScale(50), hard.enemyHp.max);
+});
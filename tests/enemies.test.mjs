@@ -0,0 +1,28 @@
+/**
+ * ENEMY TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIMULATION_STEP } from '../config.js';
+import { initSimulation } from '../simulation.js';
+import { updateBlocks } from '../enemies.js';
+import { blocks, simTime } from '../state.js';
+
+test('behaviors see where every block ended up this step', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation({ width: 390, height: 844, seed: 1, now: () => 0 });
+
+  // The damaged block falls 60 px this step, from 142 px to 114 px of the
+  // healer's center (HEALER_RADIUS is 120). Blocks move last slot first, so
+  // the healer moves before it.
+  const damaged = { type: 'LARGE', x: 100, y: 220, width: 40, height: 40, hp: 5, maxHp: 10, speed: 3600, vx: 0 };
+  const healer = { type: 'HEALER', x: 200, y: 300, width: 60, height: 60, hp: 4, maxHp: 4, speed: 1e-9, vx: 0, nextHealAt: simTime };
+  blocks.push(damaged, healer);
+
+  updateBlocks(SIMULATION_STEP);
+
+  assert.equal(damaged.hp, 6);
+});
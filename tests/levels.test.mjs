@@ -0,0 +1,72 @@
+/**
+ * LEVEL SCRIPT TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { validateCampaign, parseCampaign } from '../levels.js';
+
+// Small valid campaign; `change` breaks one thing in a copy of it
+function campaign(change = () => {}) {
+  const data = {
+    version: 1,
+    name: 'Test',
+    levels: [
+      { name: 'One', waves: [{ at: 0, type: 'LARGE' }] },
+      {
+        name: 'Two',
+        speed: 1.5,
+        waves: [
+          { at: 0, type: 'SMALL', formation: 'wall', column: 0, count: 8 },
+          { at: 2000, type: 'MEDIUM', formation: 'v', column: 3, count: 5, hp: 4, speed: 2 }
+        ]
+      }
+    ]
+  };
+  change(data);
+  return data;
+}
+
+test('the built-in campaign and a hand-written one are valid', () => {
+  assert.doesNotThrow(() => parseCampaign(readFileSync(new URL('../campaign.json', import.meta.url), 'utf8')));
+  assert.doesNotThrow(() => validateCampaign(campaign()));
+});
+
+test('campaign-level errors', () => {
+  assert.throws(() => parseCampaign('{"version": 1,'), /Campaign is not valid JSON/);
+  assert.throws(() => validateCampaign([]), /Campaign must be a JSON object/);
+  assert.throws(() => validateCampaign(campaign(data => { data.version = 2; })), /Unsupported campaign version 2/);
+  assert.throws(() => validateCampaign(campaign(data => { data.name = ''; })), /Campaign needs a name/);
+  assert.throws(() => validateCampaign(campaign(data => { data.levels = []; })), /at least one level/);
+});
+
+test('level errors name the level', () => {
+  assert.throws(() => validateCampaign(campaign(data => { data.levels[1] = 'Two'; })), /^Error: Level 2 must be an object$/);
+  assert.throws(() => validateCampaign(campaign(data => { delete data.levels[0].name; })), /^Error: Level 1 needs a name$/);
+  assert.throws(() => validateCampaign(campaign(data => { data.levels[1].sped = 2; })), /Level 2 "Two": unknown field "sped"/);
+  assert.throws(() => validateCampaign(campaign(data => { data.levels[1].speed = 0; })), /Level 2 "Two": speed must be a positive number/);
+  assert.throws(() => validateCampaign(campaign(data => { data.levels[0].waves = []; })), /Level 1 "One": needs at least one wave/);
+});
+
+test('wave errors name the level and wave', () => {
+  const waveError = (change, pattern) => {
+    assert.throws(() => validateCampaign(campaign(data => change(data.levels[1].waves[1]))), pattern);
+  };
+
+  waveError(wave => { wave.colum = 1; }, /Level 2 "Two", wave 2: unknown field "colum"/);
+  waveError(wave => { wave.at = -5; }, /wave 2: "at" must be a time in ms/);
+  assert.throws(
+    () => validateCampaign(campaign(data => { data.levels[1].waves[0].at = 5000; })),
+    /wave 2: "at" 2000 is before the previous wave \(5000\)/
+  );
+  waveError(wave => { wave.type = 'DRAGON'; }, /wave 2: unknown enemy type "DRAGON"/);
+  waveError(wave => { wave.formation = 'circle'; }, /wave 2: unknown formation "circle" \(use single, wall, column, v\)/);
+  waveError(wave => { wave.column = 99; }, /wave 2: column must be a whole number from 0 to/);
+  waveError(wave => { wave.row = 1.5; }, /wave 2: row must be a whole number from 0 to 20/);
+  waveError(wave => { wave.count = 0; }, /wave 2: count must be a whole number from 1 to 16/);
+  waveError(wave => { wave.hp = 0; }, /wave 2: hp must be a whole number above 0/);
+  waveError(wave => { wave.speed = -1; }, /wave 2: speed must be a positive number/);
+});
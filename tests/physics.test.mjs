@@ -0,0 +1,71 @@
+/**
+ * PHYSICS TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIMULATION_STEP } from '../config.js';
+import { initSimulation } from '../simulation.js';
+import { sweepBulletVsBlock, sweepBulletVsWalls, moveBullet } from '../physics.js';
+import { rebuildBlockGrid } from '../spatial.js';
+import { blocks } from '../state.js';
+
+// 60000 px/s covers 1000 px in one step: it starts below the block and would
+// end far above it, never overlapping it at either end of the step
+function fastBullet() {
+  return {
+    x: 100, y: 500, width: 6, height: 6, vx: 0, vy: -60000,
+    bounces: 0, pierce: 0, damage: 1, kills: 0, hasHit: false
+  };
+}
+
+function thinBlock() {
+  return { type: 'LARGE', x: 80, y: 200, width: 40, height: 2, hp: 100, maxHp: 100, speed: 0, vx: 0 };
+}
+
+test('the sweep catches a fast bullet crossing a thin block within the step', () => {
+  const hit = sweepBulletVsBlock(fastBullet(), thinBlock(), SIMULATION_STEP);
+
+  assert.ok(hit, 'the bullet should not tunnel through');
+  assert.ok(Math.abs(hit.time - (202 - 500) / -60000) < 1e-12);
+  assert.equal(hit.hitY, true);
+  assert.equal(hit.hitX, false);
+});
+
+test('the sweep misses blocks off the path or beyond the time left', () => {
+  const bullet = fastBullet();
+  assert.equal(sweepBulletVsBlock(bullet, { ...thinBlock(), x: 200 }, SIMULATION_STEP), null);
+  assert.equal(sweepBulletVsBlock(bullet, thinBlock(), 0.001), null);
+});
+
+test('the sweep finds the wall a bullet reaches first', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const bullet = { ...fastBullet(), vx: 60000 };
+  initSimulation({ width: 390, height: 844, seed: 1, now: () => 0 });
+  const hit = sweepBulletVsWalls(bullet, SIMULATION_STEP);
+
+  // Right wall at (390 - 106)/60000 s, before the top one at 500/60000 s
+  assert.ok(hit);
+  assert.ok(Math.abs(hit.time - 284 / 60000) < 1e-12);
+  assert.equal(hit.hitX, true);
+  assert.equal(hit.hitY, false);
+});
+
+test('moveBullet hits and bounces off a thin block instead of passing it', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation({ width: 390, height: 844, seed: 1, now: () => 0 });
+  const block = thinBlock();
+  blocks.push(block);
+  rebuildBlockGrid();
+
+  const bullet = fastBullet();
+  moveBullet(bullet, SIMULATION_STEP);
+
+  assert.equal(block.hp, 99);
+  assert.equal(bullet.bounces, 1);
+  assert.equal(bullet.hasHit, true);
+  assert.equal(bullet.vy, 60000);
+  assert.equal(bullet.y, block.y + block.height);
+});
@@ -0,0 +1,28 @@
+/**
+ * POWER-UP TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { initSimulation } from '../simulation.js';
+import { activatePowerUp } from '../powerups.js';
+import { blocks } from '../state.js';
+
+function block(type, y) {
+  return { type, x: 100, y, width: 40, height: 40, hp: 3, maxHp: 3, speed: 0, vx: 0 };
+}
+
+test('a bomb clears the blocks on screen but not a boss or blocks still above it', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation({ width: 390, height: 844, seed: 1, now: () => 0 });
+  const boss = block('BOSS', 200);
+  const above = block('SMALL', -40);
+  blocks.push(block('SMALL', 300), block('LARGE', -20), boss, above);
+
+  activatePowerUp('bomb');
+
+  assert.equal(blocks.length, 2);
+  assert.ok(blocks.includes(boss) && blocks.includes(above));
+});
@@ -0,0 +1,109 @@
+/**
+ * PROGRESSION TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIMULATION_STEP } from '../config.js';
+import { initSimulation } from '../simulation.js';
+import { registerKill, applyUpgrade } from '../progression.js';
+import { spawnBoss, getBoss, isBossFight } from '../boss.js';
+import { updateBlocks } from '../enemies.js';
+import { getGameOverLineY } from '../player.js';
+import * as state from '../state.js';
+
+const WORLD = { width: 390, height: 844, seed: 1 };
+
+// Enemy killed off-grid (only type and position matter for scoring)
+function enemy(type) {
+  return { type, x: 100, y: 100, width: 40, height: 40 };
+}
+
+test('a boss kill and a level up in the same step open both menus in turn', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation(WORLD);
+  state.setKills(state.requiredKills - 1);
+
+  registerKill(enemy('BOSS'));
+  registerKill(enemy('SMALL'));
+
+  assert.equal(state.upgradeMenuKind, 'boss');
+  assert.equal(state.upgradeChoices.length, 0);
+  assert.deepEqual(state.pendingRewardMenus, ['level']);
+  assert.equal(state.level, 2);
+
+  // Level up choices are drawn when their menu comes up
+  applyUpgrade('bossDamage');
+  assert.equal(state.showUpgradeMenu, true);
+  assert.equal(state.upgradeMenuKind, 'level');
+  assert.ok(state.upgradeChoices.length > 0);
+  assert.deepEqual(state.pendingRewardMenus, []);
+
+  applyUpgrade(state.upgradeChoices[0]);
+  assert.equal(state.showUpgradeMenu, false);
+  assert.equal(state.gamePaused, false);
+  assert.equal(state.upgradesChosen.length, 2);
+  assert.equal(state.upgradesChosen[0], 'bossDamage');
+});
+
+test('a level up while the level up menu is open waits for the pick', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation(WORLD);
+  state.setKills(state.requiredKills - 1);
+  registerKill(enemy('SMALL'));
+  const firstChoices = [...state.upgradeChoices];
+
+  state.setKills(state.requiredKills - 1);
+  registerKill(enemy('SMALL'));
+  assert.deepEqual(state.upgradeChoices, firstChoices);
+  assert.deepEqual(state.pendingRewardMenus, ['level']);
+
+  applyUpgrade('skip');
+  assert.equal(state.showUpgradeMenu, true);
+  assert.equal(state.upgradeMenuKind, 'level');
+  applyUpgrade('skip');
+  assert.equal(state.showUpgradeMenu, false);
+});
+
+test('a level up during a boss fight spawns no elite', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation(WORLD);
+  spawnBoss();
+  assert.ok(getBoss());
+
+  state.setKills(state.requiredKills - 1);
+  registerKill(enemy('SMALL'));
+
+  assert.equal(state.level, 2);
+  assert.equal(state.blocks.some(block => block.type === 'ELITE'), false);
+});
+
+test('a boss reaching the line ends the fight without a reward', (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  initSimulation(WORLD);
+  spawnBoss();
+  const boss = getBoss();
+  boss.y = getGameOverLineY() - boss.height;
+
+  updateBlocks(SIMULATION_STEP);
+
+  assert.equal(getBoss(), null);
+  assert.equal(isBossFight(), false);
+  assert.equal(state.showUpgradeMenu, false);
+  assert.ok(state.towerHp < state.towerMaxHp);
+  assert.ok(log.mock.calls.some(call => String(call.arguments[0]).includes('boss broke through')));
+});
+
+test('the board clear reward leaves blocks that are still above the screen', (t) => {
+  t.mock.method(console, 'log', () => {});
+  initSimulation(WORLD);
+  registerKill(enemy('BOSS'));
+  const above = { ...enemy('SMALL'), y: -40 };
+  state.blocks.push(enemy('SMALL'), { ...enemy('SMALL'), y: -30 }, above);
+
+  applyUpgrade('bossClear');
+
+  assert.deepEqual(state.blocks, [above]);
+});
@@ -0,0 +1,136 @@
+/**
+ * REPLAY TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIMULATION_STEP } from '../config.js';
+import { initSimulation, advance, getSnapshot } from '../simulation.js';
+import {
+  startRecording,
+  recordInput,
+  stopRecording,
+  quantizeInput,
+  serializeReplay,
+  parseReplay,
+  getReplayInput
+} from '../replay.js';
+import * as state from '../state.js';
+
+const WORLD = { width: 390, height: 844, safeAreas: { top: 0, bottom: 0, left: 0, right: 0 } };
+const SEED = 99;
+const TICKS = 3600;
+const now = () => 0; // Wall clock, only stamps the run
+
+// Bot input for one tick: aim at the lowest block (swaying now and then so the
+// gesture changes), pick the first upgrade offered
+function botInput(tick) {
+  const input = { aiming: false, moveDir: 0, platformX: null, upgrade: null };
+  if (state.showUpgradeMenu) {
+    input.upgrade = state.upgradeMenuKind === 'boss' ? 'bossDamage' : (state.upgradeChoices[0] ?? 'skip');
+  }
+
+  const target = state.blocks.reduce((low, block) => (!low || block.y > low.y ? block : low), null);
+  if (target && tick % 300 < 250) {
+    input.aiming = true;
+    input.aimStartX = state.player.x;
+    input.aimStartY = state.player.y;
+    input.aimCurrentX = target.x + target.width / 2 + (tick % 40) - 20;
+    input.aimCurrentY = target.y + target.height / 2;
+  }
+  return quantizeInput(input);
+}
+
+// Play and record a run the way main.js does (quantize, record, advance)
+function recordRun() {
+  initSimulation({ ...WORLD, seed: SEED, now });
+  startRecording({
+    seed: SEED,
+    platformMode: 'fixed',
+    difficulty: state.difficulty,
+    adaptive: false,
+    campaign: null,
+    ...WORLD
+  });
+  for (let tick = 0; tick < TICKS && !state.gameOver; tick++) {
+    const input = botInput(tick);
+    recordInput(input);
+    advance(SIMULATION_STEP, input);
+  }
+  const finalState = getSnapshot();
+  const replay = stopRecording({ score: state.score, level: state.level, kills: state.totalKills });
+  return { replay, finalState };
+}
+
+// Play a parsed replay back the way playback.js does
+function playBack(replay) {
+  initSimulation({
+    width: replay.world.width,
+    height: replay.world.height,
+    safeAreas: replay.world.safeAreas,
+    seed: replay.seed,
+    platformMode: replay.platformMode,
+    difficulty: replay.difficulty,
+    adaptive: replay.adaptive,
+    campaign: replay.campaign,
+    now
+  });
+  const input = {};
+  for (let tick = 0; tick < replay.ticks; tick++) {
+    advance(SIMULATION_STEP, getReplayInput(replay, tick, input));
+  }
+  return getSnapshot();
+}
+
+test('a recorded run plays back identically after a JSON round trip', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { replay, finalState } = recordRun();
+  assert.ok(replay.upgrades.length > 0, 'the bot should have picked upgrades');
+
+  const parsed = parseReplay(serializeReplay(replay));
+  const played = playBack(parsed);
+
+  assert.deepEqual(played, finalState);
+  assert.equal(played.score, parsed.result.score);
+  assert.equal(played.level, parsed.result.level);
+});
+
+test('getReplayInput finds the upgrade of its tick only', () => {
+  const replay = {
+    inputs: [[0, 0], [5, 1, 10, 20, 30, 40]],
+    moves: [[0, 0, null]],
+    upgrades: [[3, 'bounce'], [8, 'skip']]
+  };
+
+  assert.equal(getReplayInput(replay, 3).upgrade, 'bounce');
+  assert.equal(getReplayInput(replay, 4).upgrade, null);
+  assert.equal(getReplayInput(replay, 8).upgrade, 'skip');
+  assert.equal(getReplayInput(replay, 4).aiming, false);
+  assert.deepEqual(
+    { ...getReplayInput(replay, 6), upgrade: undefined },
+    { aiming: true, aimStartX: 10, aimStartY: 20, aimCurrentX: 30, aimCurrentY: 40, moveDir: 0, platformX: null, upgrade: undefined }
+  );
+});
+
+test('parseReplay rejects broken replays with a readable error', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const { replay } = recordRun();
+  const broken = (change) => {
+    const data = JSON.parse(serializeReplay(replay));
+    change(data);
+    return JSON.stringify(data);
+  };
+
+  assert.throws(() => parseReplay('{nope'), /not valid JSON/);
+  assert.throws(() => parseReplay(broken(data => { data.version = 0; })), /Unsupported replay version/);
+  assert.throws(() => parseReplay(broken(data => { data.seed = -1; })), /seed/);
+  assert.throws(() => parseReplay(broken(data => { data.step = 0.02; })), /different simulation step/);
+  assert.throws(() => parseReplay(broken(data => { data.inputs.reverse(); })), /Invalid replay input entry/);
+
+  // Upgrade entries must be in tick order, one per tick, within the replay
+  assert.throws(() => parseReplay(broken(data => { data.upgrades.push([0, 'skip']); })), /Invalid replay upgrade entry/);
+  assert.throws(() => parseReplay(broken(data => { data.upgrades.push([data.ticks, 'skip']); })), /Invalid replay upgrade entry/);
+  assert.throws(() => parseReplay(broken(data => { data.upgrades.push(data.upgrades.at(-1)); })), /Invalid replay upgrade entry/);
+});
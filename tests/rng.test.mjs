@@ -0,0 +1,56 @@
+/**
+ * SEEDED RNG TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRng, parseSeed } from '../rng.js';
+
+function draw(random, count) {
+  return Array.from({ length: count }, () => random());
+}
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(draw(createRng(42), 100), draw(createRng(42), 100));
+  assert.notDeepEqual(draw(createRng(42), 100), draw(createRng(43), 100));
+});
+
+test('numbers are in [0, 1)', () => {
+  for (const value of draw(createRng(0xFFFFFFFF), 1000)) {
+    assert.ok(value >= 0 && value < 1);
+  }
+});
+
+test('getState/setState continue the sequence where it was left', () => {
+  const random = createRng(1234);
+  draw(random, 37);
+  const state = random.getState();
+  const expected = draw(random, 50);
+
+  // Same generator rewound, and a fresh one picking the state up
+  random.setState(state);
+  assert.deepEqual(draw(random, 50), expected);
+
+  const resumed = createRng(0);
+  resumed.setState(state);
+  assert.deepEqual(draw(resumed, 50), expected);
+});
+
+test('parseSeed takes uint32 numbers as-is and hashes anything else', () => {
+  assert.equal(parseSeed('1234'), 1234);
+  assert.equal(parseSeed(' 4294967295 '), 4294967295);
+  assert.equal(parseSeed('daily-42'), parseSeed('daily-42'));
+  assert.notEqual(parseSeed('daily-42'), parseSeed('daily-43'));
+
+  // Too big for a uint32: hashed like text
+  const hashed = parseSeed('4294967296');
+  assert.ok(Number.isInteger(hashed) && hashed >= 0 && hashed <= 0xFFFFFFFF);
+});
+
+test('parseSeed returns null for empty input', () => {
+  assert.equal(parseSeed(null), null);
+  assert.equal(parseSeed(undefined), null);
+  assert.equal(parseSeed('   '), null);
+});
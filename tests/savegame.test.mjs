@@ -0,0 +1,106 @@
+/**
+ * SAVED RUN TESTS
+ * Run with: node --test tests/
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIMULATION_STEP, SAVE_STORAGE_KEY } from '../config.js';
+import { initSimulation, advance, saveSimulation, resumeSimulation, getSnapshot } from '../simulation.js';
+import { saveRun, loadSavedRun } from '../savegame.js';
+import { startRecording, getRecording } from '../replay.js';
+
+const WORLD = { width: 390, height: 844, safeAreas: { top: 20, bottom: 30, left: 0, right: 0 } };
+const AIM = { aiming: true, aimStartX: 195, aimStartY: 700, aimCurrentX: 150, aimCurrentY: 600 };
+const now = () => 0;
+
+// savegame.js keeps the run in localStorage; a Map stands in for it under Node
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => (storage.has(key) ? storage.get(key) : null),
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: key => storage.delete(key)
+};
+
+beforeEach(() => storage.clear());
+
+function play(steps) {
+  for (let i = 0; i < steps; i++) advance(SIMULATION_STEP, AIM);
+}
+
+// Start a run, play a while and save it (with its recording, as main.js does)
+function saveAfter(steps) {
+  initSimulation({ ...WORLD, seed: 5, now });
+  startRecording({ seed: 5, platformMode: 'fixed', difficulty: 'normal', adaptive: false, campaign: null, ...WORLD });
+  play(steps);
+  saveRun(WORLD, saveSimulation(), getRecording());
+}
+
+// Stored save, changed by `change`, written back
+function tamper(change) {
+  const save = JSON.parse(storage.get(SAVE_STORAGE_KEY));
+  change(save);
+  storage.set(SAVE_STORAGE_KEY, JSON.stringify(save));
+}
+
+test('a saved run resumes exactly where it was left', (t) => {
+  t.mock.method(console, 'log', () => {});
+  saveAfter(1200);
+  play(1200);
+  const expected = getSnapshot();
+
+  initSimulation({ ...WORLD, seed: 6, now });
+  const save = loadSavedRun();
+  assert.ok(save);
+  assert.deepEqual(save.world, WORLD);
+  resumeSimulation(save.run, { ...save.world, now });
+  play(1200);
+
+  assert.deepEqual(getSnapshot(), expected);
+});
+
+test('bad saves are thrown away', (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const rejects = (change) => {
+    saveAfter(600);
+    tamper(change);
+    assert.equal(loadSavedRun(), null);
+    assert.equal(storage.has(SAVE_STORAGE_KEY), false, 'the bad save should be deleted');
+  };
+
+  storage.set(SAVE_STORAGE_KEY, '{not json');
+  assert.equal(loadSavedRun(), null);
+
+  rejects(save => { save.version = 0; });
+  rejects(save => { save.step = 0.02; });
+  rejects(save => { save.run.score = 'lots'; });
+  rejects(save => { save.run.blocks[0].type = 'DRAGON'; });
+  rejects(save => { save.run.pendingRewardMenus = ['shop']; });
+  rejects(save => { save.world.safeAreas.top = 900; });
+  rejects(save => { save.replay.world.width = 400; });
+});
+
+test('saves with broken per-type block state are thrown away', (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const withBlock = (fields) => {
+    saveAfter(600);
+    tamper(save => save.run.blocks.push({ ...save.run.blocks[0], ...fields }));
+    return loadSavedRun();
+  };
+
+  const boss = { type: 'BOSS', phase: 1, invulnerableUntil: 0, nextMinionAt: 9000 };
+  assert.ok(withBlock(boss));
+  assert.equal(withBlock({ ...boss, phase: 7 }), null);
+  assert.equal(withBlock({ ...boss, phase: 0.5 }), null);
+  assert.equal(withBlock({ ...boss, nextMinionAt: undefined }), null);
+  assert.equal(withBlock({ ...boss, invulnerableUntil: null }), null);
+
+  assert.ok(withBlock({ type: 'SHIELDED', openFace: 'left' }));
+  assert.equal(withBlock({ type: 'SHIELDED', openFace: 'diagonal' }), null);
+
+  assert.ok(withBlock({ type: 'HEALER', nextHealAt: 5000 }));
+  assert.equal(withBlock({ type: 'HEALER', nextHealAt: undefined }), null);
+});
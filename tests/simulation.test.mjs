@@ -0,0 +1,69 @@
+/**
+ * SIMULATION TESTS
+ * Run with: node --test tests/
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SIMULATION_STEP } from '../config.js';
+import { initSimulation, step } from '../simulation.js';
+
+const WORLD = { width: 390, height: 844, now: () => 0 };
+
+// Drag aiming up and to the right the whole time
+const AIM = { aiming: true, aimStartX: 200, aimStartY: 600, aimCurrentX: 260, aimCurrentY: 500 };
+
+// Play `steps` steps of a fresh run and return the last snapshot
+function play(seed, steps) {
+  initSimulation({ ...WORLD, seed });
+  let snapshot = null;
+  for (let i = 0; i < steps; i++) {
+    snapshot = step(SIMULATION_STEP, AIM);
+  }
+  return snapshot;
+}
+
+test('initSimulation starts a running run in the given world', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const snapshot = initSimulation({ ...WORLD, seed: 7 });
+
+  assert.equal(snapshot.width, 390);
+  assert.equal(snapshot.height, 844);
+  assert.equal(snapshot.gameRunning, true);
+  assert.equal(snapshot.gameOver, false);
+  assert.equal(snapshot.level, 1);
+  assert.equal(snapshot.score, 0);
+  assert.deepEqual(snapshot.bullets, []);
+});
+
+test('initSimulation rejects unknown platform modes and difficulties', (t) => {
+  t.mock.method(console, 'log', () => {});
+  assert.throws(() => initSimulation({ ...WORLD, platformMode: 'hover' }), /Unknown platform mode/);
+  assert.throws(() => initSimulation({ ...WORLD, difficulty: 'brutal' }), /Unknown difficulty/);
+});
+
+test('step fires, spawns and advances simulated time', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const snapshot = play(7, 600);
+
+  assert.ok(snapshot.simTime > 9900 && snapshot.simTime < 10100);
+  assert.ok(snapshot.bullets.length > 0);
+  assert.ok(snapshot.blocks.length > 0 || snapshot.totalKills > 0);
+});
+
+test('the same seed and inputs give the same run', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const first = play(1234, 1800);
+  const second = play(1234, 1800);
+
+  assert.deepEqual(second, first);
+});
+
+test('a different seed gives a different run', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const first = play(1234, 1800);
+  const other = play(4321, 1800);
+
+  assert.notDeepEqual(other.blocks, first.blocks);
+});
@@ -0,0 +1,61 @@
+/**
+ * TOWER HEALTH
+ * Blocks that reach the game over line hit the tower: a held shield (power-up)
+ * absorbs the hit, otherwise the tower loses HP based on the block's remaining
+ * HP and size, reduced by armor upgrades. The run ends at 0 HP.
+ */
+
+import {
+  GRID_CELL_SIZE,
+  TOWER_DAMAGE_PER_HP,
+  TOWER_DAMAGE_PER_CELL,
+  TOWER_ARMOR_PER_STACK
+} from './config.js';
+import {
+  simTime,
+  towerHp,
+  setTowerHp,
+  towerMaxHp,
+  setTowerMaxHp,
+  setTowerHitAt,
+  shieldCharges,
+  setShieldCharges
+} from './state.js';
+import { getUpgradeLevel } from './upgrades.js';
+
+// Damage a block does to the tower (before armor)
+export function getCrossingDamage(block) {
+  return Math.ceil(Math.max(0, block.hp) * TOWER_DAMAGE_PER_HP + (block.width / GRID_CELL_SIZE) * TOWER_DAMAGE_PER_CELL);
+}
+
+// Fraction of the damage armor upgrades take off (0..1)
+export function getTowerArmor() {
+  return Math.min(1, TOWER_ARMOR_PER_STACK * getUpgradeLevel('armor'));
+}
+
+// A block reached the tower (the caller removes it)
+// Returns true if that destroyed the tower
+export function hitTower(block) {
+  if (shieldCharges > 0) {
+    setShieldCharges(shieldCharges - 1);
+    console.log('🛡️ Shield absorbed a block!');
+    return false;
+  }
+
+  const damage = Math.ceil(getCrossingDamage(block) * (1 - getTowerArmor()));
+  setTowerHp(Math.max(0, towerHp - damage));
+  setTowerHitAt(simTime);
+  console.log(`🏚️ Tower hit for ${damage}! HP ${towerHp}/${towerMaxHp}`);
+  return towerHp === 0;
+}
+
+// Restore tower HP (up to its max)
+export function repairTower(amount) {
+  setTowerHp(Math.min(towerMaxHp, towerHp + amount));
+}
+
+// Raise the max HP and repair by the same amount
+export function reinforceTower(amount) {
+  setTowerMaxHp(towerMaxHp + amount);
+  repairTower(amount);
+}
@@ -0,0 +1,833 @@
+/**
+ * UI
+ * HUD (progress bar, score, combo meter, pause button, boss HP, power-up
+ * timers, tower HP), level up/upgrade menu, game over screen, start menu, high score/run history
+ * screen, pause menu and settings
+ * All functions draw onto the 2D context they are given
+ */
+
+import {
+  PROGRESS_BAR_HEIGHT,
+  PROGRESS_BAR_PADDING,
+  PROGRESS_BAR_COLOR,
+  UPGRADE_CATALOG,
+  UPGRADE_RARITIES,
+  UPGRADE_SKIP_SCORE,
+  POWER_UPS,
+  BOSS_PHASES,
+  BOSS_REWARD_DAMAGE,
+  BOSS_REWARD_BOUNCES,
+  PLATFORM_MODES,
+  ENEMY_TYPES,
+  GRID_COLUMNS,
+  DIFFICULTY_PRESETS,
+  COMBO_WINDOW,
+  COMBO_COLOR
+} from './config.js';
+import {
+  width,
+  height,
+  safeAreaTop,
+  safeAreaBottom,
+  safeAreaLeft,
+  safeAreaRight,
+  score,
+  combo,
+  comboExpiresAt,
+  simTime,
+  kills,
+  requiredKills,
+  level,
+  bulletDamage,
+  maxBounces,
+  seed,
+  upgradeMenuKind,
+  upgradeChoices,
+  rerollsLeft,
+  shieldCharges,
+  towerHp,
+  towerMaxHp,
+  nextWave,
+  campaignWon
+} from './state.js';
+import { getLastReplay } from './replay.js';
+import { isReplaying } from './playback.js';
+import { getLastRunResult } from './scores.js';
+import { getBoss, isBossInvulnerable } from './boss.js';
+import { describeUpgradeLevel, getSynergyUnlockedBy } from './upgrades.js';
+import { getPowerUpTimeLeft } from './powerups.js';
+import { getTowerRect } from './player.js';
+import { getLevelScript } from './levels.js';
+import { isPreviewing } from './editor.js';
+import { getComboMultiplier } from './progression.js';
+
+// Catalog upgrades use their own icon (UPGRADE_CATALOG)
+const BOSS_REWARD_ICONS = { bossDamage: '🔥', bossBounce: '🌀', bossClear: '🧹' };
+
+// Upgrade buttons from the last drawn menu (for click/touch hit testing)
+let upgradeButtons = [];
+
+// Replay buttons from the last drawn game over screen
+let gameOverButtons = [];
+
+// Buttons from the last drawn start menu/history/pause/settings screen
+let menuButtons = [];
+
+// HUD pause button from the last drawn HUD (null when hidden)
+let pauseButton = null;
+
+// Point-in-rectangle test for button bounds
+function isInside(x, y, b) {
+  return x >= b.x && x <= b.x + b.width && y >= b.y && y <= b.y + b.height;
+}
+
+// Simple bordered button with a centered label
+function drawButton(ctx, bounds, label) {
+  ctx.fillStyle = '#2c3e50';
+  ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+  ctx.strokeStyle = '#3498db';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 16px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, bounds.x + bounds.width / 2, bounds.y + bounds.height / 2, bounds.width - 8);
+}
+
+// Stack buttons vertically, centered, starting at topY; returns the buttons with bounds
+function layoutButtons(ctx, buttons, topY, buttonHeight = 50) {
+  const buttonWidth = Math.min(250, width - 40);
+  buttons.forEach((button, i) => {
+    button.bounds = {
+      x: width / 2 - buttonWidth / 2,
+      y: topY + i * (buttonHeight + 15),
+      width: buttonWidth,
+      height: buttonHeight
+    };
+    drawButton(ctx, button.bounds, button.label);
+  });
+  return buttons;
+}
+
+// Buttons side by side from left to right, each taking `flex` shares (default 1)
+// of the width; ones without an action are plain labels. Returns the buttons
+function layoutRow(ctx, buttons, left, right, y, rowHeight) {
+  const gap = 6;
+  const shares = buttons.reduce((sum, button) => sum + (button.flex || 1), 0);
+  const unit = (right - left - gap * (buttons.length - 1)) / shares;
+  let x = left;
+  buttons.forEach(button => {
+    const buttonWidth = unit * (button.flex || 1);
+    button.bounds = { x, y, width: buttonWidth, height: rowHeight };
+    if (button.action) {
+      drawButton(ctx, button.bounds, button.label);
+    } else {
+      ctx.fillStyle = '#ecf0f1';
+      ctx.font = 'bold 15px system-ui';
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(button.label, x + buttonWidth / 2, y + rowHeight / 2, buttonWidth);
+    }
+    x += buttonWidth + gap;
+  });
+  return buttons;
+}
+
+// Dim the game and draw a screen title
+function drawOverlayTitle(ctx, title, y) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.fillRect(0, 0, width, height);
+
+  ctx.fillStyle = '#f39c12';
+  ctx.font = 'bold 36px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(title, width / 2, y);
+}
+
+// m:ss for a duration in seconds
+function formatDuration(seconds) {
+  const whole = Math.round(seconds);
+  return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+// "🎾×2 ⚔️×1" summary of the upgrades picked in a run
+function formatUpgrades(upgrades) {
+  const counts = {};
+  upgrades.forEach(type => {
+    counts[type] = (counts[type] || 0) + 1;
+  });
+  return Object.entries(counts)
+    .map(([type, count]) => `${UPGRADE_CATALOG[type]?.icon || BOSS_REWARD_ICONS[type] || type}×${count}`)
+    .join(' ');
+}
+
+// Progress bar and score
+export function renderHUD(ctx) {
+  // Draw progress bar at top (below safe area)
+  const barHeight = PROGRESS_BAR_HEIGHT;
+  const barPadding = PROGRESS_BAR_PADDING;
+  const barWidth = width - barPadding * 2;
+  const barY = safeAreaTop + 10;
+
+  // Background
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(barPadding, barY, barWidth, barHeight);
+
+  // Progress fill: kills in endless mode, waves sent in a campaign level
+  const script = getLevelScript();
+  const progress = script ? nextWave / script.waves.length : kills / requiredKills;
+  ctx.fillStyle = PROGRESS_BAR_COLOR;
+  ctx.fillRect(barPadding, barY, barWidth * progress, barHeight);
+
+  // Border
+  ctx.strokeStyle = '#ecf0f1';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(barPadding, barY, barWidth, barHeight);
+
+  // Text
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 16px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const label = script
+    ? `${script.name} - Wave ${nextWave}/${script.waves.length}`
+    : `${kills}/${requiredKills} - Level ${level}`;
+  ctx.fillText(label, width / 2, barY + barHeight / 2);
+
+  // Draw score (below progress bar)
+  ctx.fillStyle = '#ecf0f1';
+  ctx.font = 'bold 20px system-ui';
+  ctx.textAlign = 'left';
+  ctx.fillText(`Score: ${score}`, 20, barY + barHeight + 30);
+
+  // Pause button (replays have their own controls)
+  pauseButton = null;
+  const buttonSize = 40;
+  if (!isReplaying()) {
+    pauseButton = { x: width - barPadding - buttonSize, y: barY + barHeight + 10, width: buttonSize, height: buttonSize };
+    drawButton(ctx, pauseButton, '⏸');
+  }
+
+  renderComboMeter(ctx, width - barPadding - buttonSize - 10, barY + barHeight + 16);
+
+  const boss = getBoss();
+  if (boss) {
+    renderBossBar(ctx, boss, barPadding, barY + barHeight + 60, barWidth);
+  }
+
+  renderPowerUpTimers(ctx, barPadding, barY + barHeight + (boss ? 90 : 60));
+  renderTowerHealth(ctx);
+}
+
+// Combo count and multiplier while a combo is going, right-aligned at `right`;
+// the bar underneath runs down until the combo breaks
+function renderComboMeter(ctx, right, y) {
+  const timeLeft = comboExpiresAt - simTime;
+  if (combo < 2 || timeLeft <= 0) return;
+
+  const meterWidth = 110;
+  const meterHeight = 28;
+  const x = right - meterWidth;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(x, y, meterWidth, meterHeight);
+  ctx.fillStyle = COMBO_COLOR;
+  ctx.fillRect(x, y + meterHeight - 4, meterWidth * Math.min(1, timeLeft / COMBO_WINDOW), 4);
+  ctx.strokeStyle = COMBO_COLOR;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, meterWidth, meterHeight);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 14px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(`🔥 ${combo}  ×${getComboMultiplier(combo)}`, x + meterWidth / 2, y + meterHeight / 2 - 1);
+}
+
+// Tower HP bar across the middle of the tower (green → yellow → red)
+function renderTowerHealth(ctx) {
+  const tower = getTowerRect();
+  const barWidth = tower.width - 10;
+  const barHeight = 10;
+  const x = tower.x + 5;
+  const y = tower.y + tower.height / 2;
+  const fraction = towerHp / towerMaxHp;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(x, y, barWidth, barHeight);
+  ctx.fillStyle = fraction > 0.5 ? '#2ecc71' : fraction > 0.25 ? '#f1c40f' : '#e74c3c';
+  ctx.fillRect(x, y, barWidth * fraction, barHeight);
+  ctx.strokeStyle = '#ecf0f1';
+  ctx.lineWidth = 1;
+  ctx.strokeRect(x, y, barWidth, barHeight);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 12px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  ctx.fillText(`${towerHp}/${towerMaxHp}`, tower.x + tower.width / 2, y + barHeight + 4);
+}
+
+// Active power-ups under the score (or boss bar): icon, seconds left and a
+// draining bar; a held shield shows until it's used
+function renderPowerUpTimers(ctx, x, y) {
+  const pillWidth = 70;
+  const pillHeight = 24;
+  let pillX = x;
+
+  for (const id in POWER_UPS) {
+    const powerUp = POWER_UPS[id];
+    let label;
+    let fill = 1;
+    if (id === 'shield') {
+      if (shieldCharges === 0) continue;
+      label = `${powerUp.icon} ×${shieldCharges}`;
+    } else {
+      const timeLeft = getPowerUpTimeLeft(id);
+      if (timeLeft === 0) continue;
+      label = `${powerUp.icon} ${(timeLeft / 1000).toFixed(1)}s`;
+      fill = timeLeft / powerUp.duration;
+    }
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+    ctx.fillRect(pillX, y, pillWidth, pillHeight);
+    ctx.fillStyle = powerUp.color;
+    ctx.fillRect(pillX, y + pillHeight - 4, pillWidth * fill, 4);
+    ctx.strokeStyle = powerUp.color;
+    ctx.lineWidth = 2;
+    ctx.strokeRect(pillX, y, pillWidth, pillHeight);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 13px system-ui';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(label, pillX + pillWidth / 2, y + pillHeight / 2 - 1);
+    pillX += pillWidth + 6;
+  }
+}
+
+// Boss HP bar (under the score) with the current phase; grey while invulnerable
+function renderBossBar(ctx, boss, x, y, barWidth) {
+  const barHeight = 18;
+  const invulnerable = isBossInvulnerable(boss);
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(x, y, barWidth, barHeight);
+  ctx.fillStyle = invulnerable ? '#7f8c8d' : boss.color;
+  ctx.fillRect(x, y, barWidth * Math.max(0, boss.hp / boss.maxHp), barHeight);
+  ctx.strokeStyle = '#ecf0f1';
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, barWidth, barHeight);
+
+  ctx.fillStyle = '#fff';
+  ctx.font = 'bold 13px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  const status = invulnerable ? ' 🛡️' : '';
+  ctx.fillText(`👹 BOSS ${boss.hp}/${boss.maxHp} - Phase ${boss.phase + 1}/${BOSS_PHASES.length}${status}`, x + barWidth / 2, y + barHeight / 2);
+}
+
+// Whether a point (canvas coordinates) is on the HUD pause button
+export function isPauseButtonAt(x, y) {
+  return pauseButton !== null && isInside(x, y, pauseButton);
+}
+
+// Level up overlay: the drawn upgrades as cards in their rarity color, plus
+// reroll/skip (boss rewards after a boss fight)
+export function renderUpgradeMenu(ctx) {
+  const bossReward = upgradeMenuKind === 'boss';
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+  ctx.fillRect(0, 0, width, height);
+
+  // Center menu content vertically considering safe areas
+  const menuTopMargin = safeAreaTop + 80;
+
+  ctx.fillStyle = '#f39c12';
+  ctx.font = 'bold 36px system-ui';
+  ctx.textAlign = 'center';
+  ctx.fillText(bossReward ? '👹 BOSS DEFEATED!' : `LEVEL ${level}!`, width / 2, menuTopMargin);
+
+  ctx.fillStyle = '#ecf0f1';
+  ctx.font = '20px system-ui';
+  ctx.fillText(bossReward ? 'Choose a reward:' : 'Choose an upgrade:', width / 2, menuTopMargin + 50);
+
+  // Draw upgrade buttons
+  const buttonWidth = Math.min(250, width - 40);
+  const buttonHeight = 80;
+  const buttonX = width / 2 - buttonWidth / 2;
+  const startY = menuTopMargin + 100;
+  const spacing = 95;
+
+  const upgrades = bossReward ? [
+    { type: 'bossDamage', label: `🔥 +${BOSS_REWARD_DAMAGE} Damage`, desc: `Current: ${bulletDamage}` },
+    { type: 'bossBounce', label: `🌀 +${BOSS_REWARD_BOUNCES} Bounces`, desc: `Current: ${maxBounces} bounces` },
+    { type: 'bossClear', label: '🧹 Clear the board', desc: 'Destroy every block on screen' }
+  ] : upgradeChoices.map(id => {
+    const upgrade = UPGRADE_CATALOG[id];
+    const synergy = getSynergyUnlockedBy(id);
+    return {
+      type: id,
+      label: `${upgrade.icon} ${upgrade.name}`,
+      desc: upgrade.desc,
+      detail: synergy ? `✨ Unlocks ${synergy.name}` : `${upgrade.rarity.toUpperCase()} · ${describeUpgradeLevel(id)}`,
+      color: UPGRADE_RARITIES[upgrade.rarity].color
+    };
+  });
+
+  upgrades.forEach((upgrade, i) => {
+    const y = startY + i * spacing;
+
+    // Button background
+    ctx.fillStyle = '#2c3e50';
+    ctx.fillRect(buttonX, y, buttonWidth, buttonHeight);
+
+    // Button border (rarity color)
+    ctx.strokeStyle = upgrade.color || '#3498db';
+    ctx.lineWidth = 3;
+    ctx.strokeRect(buttonX, y, buttonWidth, buttonHeight);
+
+    // Button text
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 20px system-ui';
+    ctx.textAlign = 'center';
+    ctx.fillText(upgrade.label, width / 2, y + 25);
+
+    ctx.fillStyle = '#bdc3c7';
+    ctx.font = '16px system-ui';
+    ctx.fillText(upgrade.desc, width / 2, y + 48);
+
+    if (upgrade.detail) {
+      ctx.fillStyle = upgrade.color;
+      ctx.font = '13px system-ui';
+      ctx.fillText(upgrade.detail, width / 2, y + 68);
+    }
+
+    // Store button position for click detection
+    upgrade.bounds = { x: buttonX, y, width: buttonWidth, height: buttonHeight };
+  });
+
+  // Reroll/skip row under the cards (level ups only)
+  if (!bossReward) {
+    const rowY = startY + Math.max(1, upgrades.length) * spacing;
+    const half = (buttonWidth - 10) / 2;
+    const skip = { type: 'skip', bounds: { x: buttonX + half + 10, y: rowY, width: half, height: 44 } };
+    drawButton(ctx, skip.bounds, `⏭️ Skip +${UPGRADE_SKIP_SCORE}`);
+    upgrades.push(skip);
+
+    const reroll = { type: 'reroll', bounds: { x: buttonX, y: rowY, width: half, height: 44 } };
+    if (rerollsLeft > 0) {
+      drawButton(ctx, reroll.bounds, `🎲 Reroll (${rerollsLeft})`);
+      upgrades.push(reroll);
+    } else {
+      ctx.globalAlpha = 0.4;
+      drawButton(ctx, reroll.bounds, '🎲 Reroll (0)');
+      ctx.globalAlpha = 1;
+    }
+  }
+
+  // Store upgrades for click handler
+  upgradeButtons = upgrades;
+}
+
+// Upgrade type (or 'reroll'/'skip') under a point in canvas coordinates, or null
+export function getUpgradeAt(x, y) {
+  const hit = upgradeButtons.find(upgrade => isInside(x, y, upgrade.bounds));
+  return hit ? hit.type : null;
+}
+
+// Game over overlay
+export function renderGameOver(ctx) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+  ctx.fillRect(0, 0, width, height);
+
+  // Center vertically considering safe areas
+  const centerY = (height + safeAreaTop - safeAreaBottom) / 2;
+
+  ctx.fillStyle = campaignWon ? '#2ecc71' : '#e74c3c';
+  ctx.font = 'bold 48px system-ui';
+  ctx.textAlign = 'center';
+  ctx.fillText(campaignWon ? '🏆 VICTORY!' : 'GAME OVER', width / 2, centerY - 40);
+
+  ctx.fillStyle = '#ecf0f1';
+  ctx.font = 'bold 32px system-ui';
+  ctx.fillText(`Final Score: ${score}`, width / 2, centerY + 20);
+
+  // Leaderboard result (replays and editor previews don't count)
+  const result = getLastRunResult();
+  if (result && !isReplaying() && !isPreviewing()) {
+    ctx.font = 'bold 18px system-ui';
+    if (result.isNewBest) {
+      ctx.fillStyle = '#f1c40f';
+      ctx.fillText('🏆 NEW BEST!', width / 2, centerY + 52);
+    } else {
+      ctx.fillStyle = '#95a5a6';
+      const rank = result.rank ? `#${result.rank} · ` : '';
+      ctx.fillText(`${rank}Best: ${result.best}`, width / 2, centerY + 52);
+    }
+  }
+
+  ctx.fillStyle = '#ecf0f1';
+  ctx.font = '20px system-ui';
+  ctx.fillText('Tap to restart', width / 2, centerY + 80);
+
+  // Seed so the run can be shared/reproduced with ?seed=
+  if (seed !== null) {
+    ctx.fillStyle = '#95a5a6';
+    ctx.font = '16px system-ui';
+    ctx.fillText(`Seed: ${seed}`, width / 2, centerY + 120);
+  }
+
+  // Replay actions (not while watching one)
+  gameOverButtons = [];
+  if (isReplaying()) return;
+
+  const actions = [
+    { action: 'loadReplay', label: '📂 Load replay' },
+    { action: 'menu', label: isPreviewing() ? '🛠️ Editor' : '🏠 Menu' }
+  ];
+  if (getLastReplay()) {
+    actions.unshift(
+      { action: 'watchReplay', label: '🎬 Watch replay' },
+      { action: 'exportReplay', label: '💾 Export replay' }
+    );
+  }
+
+  const buttonWidth = Math.min(220, width - 40);
+  const buttonHeight = 40;
+  actions.forEach((button, i) => {
+    button.bounds = {
+      x: width / 2 - buttonWidth / 2,
+      y: centerY + 145 + i * (buttonHeight + 10),
+      width: buttonWidth,
+      height: buttonHeight
+    };
+    drawButton(ctx, button.bounds, button.label);
+  });
+  gameOverButtons = actions;
+}
+
+// Game over action under a point ('watchReplay' | 'exportReplay' | 'loadReplay' | 'menu'), or null
+export function getGameOverActionAt(x, y) {
+  const hit = gameOverButtons.find(button => isInside(x, y, button.bounds));
+  return hit ? hit.action : null;
+}
+
+// Start menu with the best score so far
+// bestRun: top leaderboard entry, or undefined if nothing was played yet
+// savedRun: run that can be continued (see savegame.js), or null
+// hasCampaign: whether the campaign levels loaded (campaign.json)
+// difficulty: DIFFICULTY_PRESETS id new runs are played on (bestRun is its leaderboard's)
+export function renderStartMenu(ctx, bestRun, savedRun, hasCampaign, difficulty) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(0, 0, width, height);
+
+  const buttons = [
+    { action: 'play', label: savedRun ? '🆕 New Game' : '▶️ Play' },
+    { action: 'cycleDifficulty', label: `🎚️ Difficulty: ${DIFFICULTY_PRESETS[difficulty].name}` },
+    { action: 'history', label: '🏆 High Scores' },
+    { action: 'editor', label: '🛠️ Level Editor' }
+  ];
+  if (hasCampaign) {
+    buttons.splice(1, 0, { action: 'campaign', label: '🗺️ Campaign' });
+  }
+  if (savedRun) {
+    buttons.unshift({ action: 'continue', label: `▶️ Continue (Level ${savedRun.run.level})` });
+  }
+
+  // Title, best score and buttons centered together (safe areas considered)
+  const buttonHeight = 44;
+  const blockHeight = 100 + buttons.length * (buttonHeight + 15);
+  const top = (height + safeAreaTop - safeAreaBottom - blockHeight) / 2;
+
+  ctx.fillStyle = '#f39c12';
+  ctx.font = 'bold 32px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('BREAKOUT SHOOTER', width / 2, top);
+
+  ctx.fillStyle = '#bdc3c7';
+  ctx.font = '18px system-ui';
+  ctx.fillText(
+    bestRun ? `🏆 Best: ${bestRun.score} (Level ${bestRun.level})` : `No ${DIFFICULTY_PRESETS[difficulty].name} runs yet`,
+    width / 2,
+    top + 50
+  );
+
+  menuButtons = layoutButtons(ctx, buttons, top + 100, buttonHeight);
+}
+
+// Leaderboard or recent runs list
+// tab: 'best' | 'recent', runs: the runs for that tab
+// difficulty: DIFFICULTY_PRESETS id of the leaderboard shown on the 'best' tab
+export function renderRunHistory(ctx, tab, runs, difficulty) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+  ctx.fillRect(0, 0, width, height);
+
+  const top = safeAreaTop + 50;
+  const rowHeight = 46;
+  const buttonHeight = 44;
+  const buttonY = height - safeAreaBottom - buttonHeight - 20;
+
+  ctx.fillStyle = '#f39c12';
+  ctx.font = 'bold 28px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(tab === 'best' ? '🏆 HIGH SCORES' : '🕒 RECENT RUNS', width / 2, top);
+  if (tab === 'best') {
+    ctx.fillStyle = '#bdc3c7';
+    ctx.font = '16px system-ui';
+    ctx.fillText(DIFFICULTY_PRESETS[difficulty].name, width / 2, top + 26);
+  }
+
+  if (runs.length === 0) {
+    ctx.fillStyle = '#95a5a6';
+    ctx.font = '18px system-ui';
+    ctx.fillText('No runs yet - go play!', width / 2, top + 60);
+  }
+
+  // As many rows as fit above the buttons
+  runs.forEach((run, i) => {
+    const y = top + 50 + i * rowHeight;
+    if (y + rowHeight > buttonY) return;
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ecf0f1';
+    ctx.font = 'bold 18px system-ui';
+    const prefix = tab === 'best' ? `#${i + 1}  ` : '';
+    ctx.fillText(`${prefix}${run.score}`, 20, y + 10);
+
+    ctx.textAlign = 'right';
+    ctx.font = '15px system-ui';
+    ctx.fillText(`Lv ${run.level} · ${run.kills} kills · ${formatDuration(run.duration)}`, width - 20, y + 10);
+
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#95a5a6';
+    ctx.font = '13px system-ui';
+    const details = [new Date(run.date).toLocaleDateString(), formatUpgrades(run.upgrades)];
+    if (tab === 'recent') details.push(DIFFICULTY_PRESETS[run.difficulty].name);
+    if (run.mode === 'campaign') details.push('🗺️ Campaign');
+    if (run.adaptive) details.push('🧠 Adaptive');
+    if (run.seed !== null) details.push(`seed ${run.seed}`);
+    ctx.fillText(details.filter(Boolean).join(' · '), 20, y + 30);
+  });
+
+  const buttons = [
+    { action: tab === 'best' ? 'showRecent' : 'showBest', label: tab === 'best' ? '🕒 Recent' : '🏆 Best' },
+    { action: 'back', label: '⬅️ Back' }
+  ];
+  if (tab === 'best') {
+    buttons.splice(1, 0, { action: 'cycleDifficulty', label: `🎚️ ${DIFFICULTY_PRESETS[difficulty].name}` });
+  }
+  const buttonsWidth = Math.min(buttons.length * 170, width - 40);
+  menuButtons = layoutRow(ctx, buttons, (width - buttonsWidth) / 2, (width + buttonsWidth) / 2, buttonY, buttonHeight);
+}
+
+// Level editor screen (see editor.js); view: getEditorView()
+export function renderLevelEditor(ctx, view) {
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+  ctx.fillRect(0, 0, width, height);
+
+  const left = safeAreaLeft + 10;
+  const right = width - safeAreaRight - 10;
+  const rowHeight = 40;
+  const rowGap = 8;
+  const buttons = [];
+  let y = safeAreaTop + 10;
+
+  ctx.fillStyle = '#f39c12';
+  ctx.font = 'bold 24px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText('🛠️ LEVEL EDITOR', width / 2, y + 15);
+  y += 30 + rowGap;
+
+  const addRow = items => {
+    buttons.push(...layoutRow(ctx, items, left, right, y, rowHeight));
+    y += rowHeight + rowGap;
+  };
+
+  addRow([
+    { action: 'prevLevel', label: '◀' },
+    { action: 'renameLevel', label: `${view.levelIndex + 1}/${view.levelCount} ✏️ ${view.levelName}`, flex: 4 },
+    { action: 'nextLevel', label: '▶' },
+    { action: 'addLevel', label: '➕' },
+    { action: 'removeLevel', label: '🗑️' }
+  ]);
+  addRow([
+    { action: 'prevWave', label: '◀' },
+    { action: null, label: `Wave ${view.waveIndex + 1}/${view.waveCount}`, flex: 4 },
+    { action: 'nextWave', label: '▶' },
+    { action: 'addWave', label: '➕' },
+    { action: 'removeWave', label: '🗑️' }
+  ]);
+  const step = view.timeStep / 1000;
+  addRow([
+    { action: 'waveEarlier', label: `-${step}s` },
+    { action: null, label: `⏱️ Starts at ${(view.at / 1000).toFixed(1)}s`, flex: 2 },
+    { action: 'waveLater', label: `+${step}s` }
+  ]);
+
+  // The grid gets the height left over by the rows below it
+  const paletteSlot = (right - left) / view.types.length;
+  const paletteSize = Math.min(44, paletteSlot - 4);
+  const below = 22 + paletteSize + rowGap + 3 * (rowHeight + rowGap);
+  const cellWidth = (right - left) / GRID_COLUMNS;
+  const cellHeight = Math.max(16, Math.min(cellWidth, (height - safeAreaBottom - 10 - below - y) / view.rows));
+  renderEditorGrid(ctx, view, left, y, cellWidth, cellHeight, buttons);
+  y += cellHeight * view.rows;
+
+  ctx.fillStyle = view.notice ? '#f1c40f' : '#95a5a6';
+  ctx.font = '13px system-ui';
+  ctx.textAlign = 'center';
+  ctx.fillText(view.notice || '▲ Enemies enter from the bottom row', width / 2, y + 11);
+  y += 22;
+
+  // Palette: the type placed by tapping an empty cell
+  view.types.forEach((type, i) => {
+    const bounds = { x: left + i * paletteSlot + (paletteSlot - paletteSize) / 2, y, width: paletteSize, height: paletteSize };
+    ctx.fillStyle = ENEMY_TYPES[type].color;
+    ctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    if (type === view.selectedType) {
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 3;
+      ctx.strokeRect(bounds.x - 2, bounds.y - 2, bounds.width + 4, bounds.height + 4);
+    }
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 10px system-ui';
+    ctx.fillText(type.slice(0, 4), bounds.x + paletteSize / 2, bounds.y + paletteSize / 2, paletteSize - 2);
+    buttons.push({ action: 'pickType', type, bounds });
+  });
+  y += paletteSize + rowGap;
+
+  const selected = view.selected;
+  if (selected) {
+    addRow([
+      { action: null, label: `${selected.type} · HP ${selected.hp}${selected.customHp ? '' : ' (default)'}`, flex: 3 },
+      { action: 'hpDown', label: '➖' },
+      { action: 'hpUp', label: '➕' },
+      { action: 'removeBlock', label: '🗑️' }
+    ]);
+  } else {
+    addRow([{ action: null, label: `Tap a cell to place ${view.selectedType}` }]);
+  }
+  addRow([
+    { action: 'previewWave', label: '▶️ Try wave' },
+    { action: 'previewLevel', label: '▶️ Try level' }
+  ]);
+  addRow([
+    { action: 'exportLevels', label: '💾 Export' },
+    { action: 'importLevels', label: '📂 Import' },
+    { action: 'back', label: '⬅️ Back' }
+  ]);
+
+  menuButtons = buttons.filter(button => button.action);
+}
+
+// Editor grid: rows above the top edge, row 0 at the bottom, with the wave's blocks
+function renderEditorGrid(ctx, view, left, top, cellWidth, cellHeight, buttons) {
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+  ctx.lineWidth = 1;
+  for (let row = 0; row < view.rows; row++) {
+    for (let col = 0; col < GRID_COLUMNS; col++) {
+      const bounds = { x: left + col * cellWidth, y: top + (view.rows - 1 - row) * cellHeight, width: cellWidth, height: cellHeight };
+      ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+      buttons.push({ action: 'cell', col, row, bounds });
+    }
+  }
+
+  ctx.font = 'bold 14px system-ui';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  view.blocks.forEach(block => {
+    const x = left + block.col * cellWidth + 2;
+    const y = top + (view.rows - block.row - block.span.rows) * cellHeight + 2;
+    const blockWidth = block.span.cols * cellWidth - 4;
+    const blockHeight = block.span.rows * cellHeight - 4;
+    ctx.fillStyle = ENEMY_TYPES[block.type].color;
+    ctx.fillRect(x, y, blockWidth, blockHeight);
+    if (block.isSelected) {
+      ctx.strokeStyle = '#fff';
+      ctx.lineWidth = 3;
+      ctx.strokeRect(x, y, blockWidth, blockHeight);
+    }
+    // Custom HP in yellow
+    ctx.fillStyle = block.customHp ? '#f1c40f' : '#fff';
+    ctx.fillText(block.hp, x + blockWidth / 2, y + blockHeight / 2);
+  });
+
+  // Top edge of the screen
+  ctx.strokeStyle = '#e74c3c';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(left, top + view.rows * cellHeight);
+  ctx.lineTo(left + GRID_COLUMNS * cellWidth, top + view.rows * cellHeight);
+  ctx.stroke();
+}
+
+// Pause menu (drawn over the frozen game)
+export function renderPauseMenu(ctx) {
+  const centerY = (height + safeAreaTop - safeAreaBottom) / 2;
+  drawOverlayTitle(ctx, '⏸ PAUSED', centerY - 130);
+
+  menuButtons = layoutButtons(ctx, [
+    { action: 'resume', label: '▶️ Resume' },
+    { action: 'restart', label: '🔄 Restart' },
+    { action: 'settings', label: '⚙️ Settings' },
+    { action: 'quit', label: isPreviewing() ? '🛠️ Back to editor' : '🏠 Save & Quit' }
+  ], centerY - 80);
+}
+
+// Settings screen (from the pause menu)
+// settings: see settings.js
+export function renderSettings(ctx, settings) {
+  const centerY = (height + safeAreaTop - safeAreaBottom) / 2;
+  drawOverlayTitle(ctx, '⚙️ SETTINGS', centerY - 130);
+
+  const onOff = value => (value ? 'ON' : 'OFF');
+  menuButtons = layoutButtons(ctx, [
+    { action: 'toggleAutoPause', label: `Auto-pause: ${onOff(settings.autoPause)}` },
+    { action: 'toggleDebugConsole', label: `Debug console: ${onOff(settings.debugConsole)}` },
+    { action: 'toggleDebugStats', label: `Pool stats: ${onOff(settings.debugStats)}` },
+    { action: 'cyclePlatformMode', label: `Platform: ${PLATFORM_MODES[settings.platformMode].name}` },
+    { action: 'toggleAdaptive', label: `Adaptive difficulty: ${onOff(settings.adaptiveDifficulty)}` },
+    { action: 'back', label: '⬅️ Back' }
+  ], centerY - 80);
+}
+
+// Object pool readout (settings: Pool stats), bottom left above the safe area
+// stats: getPoolStats() from state.js
+export function renderDebugStats(ctx, stats) {
+  const lines = Object.entries(stats).map(([name, pool]) =>
+    `${name}: ${pool.inUse} live, ${pool.free} free, ${pool.created} made, peak ${pool.peak}`
+  );
+
+  const lineHeight = 16;
+  const y = height - safeAreaBottom - 10 - lines.length * lineHeight;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(safeAreaLeft + 5, y - 4, 260, lines.length * lineHeight + 8);
+
+  ctx.fillStyle = '#2ecc71';
+  ctx.font = '12px monospace';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  lines.forEach((line, i) => ctx.fillText(line, safeAreaLeft + 10, y + i * lineHeight));
+}
+
+// Menu action under a point, or null
+// Start menu: 'continue' | 'play' | 'campaign' | 'cycleDifficulty' | 'history' | 'editor'
+// History: 'showBest' | 'showRecent' | 'cycleDifficulty' | 'back'
+// Pause menu: 'resume' | 'restart' | 'settings' | 'quit'; settings: 'toggle*' | 'cycle*' | 'back'
+export function getMenuActionAt(x, y) {
+  const hit = menuButtons.find(button => isInside(x, y, button.bounds));
+  return hit ? hit.action : null;
+}
+
+// Level editor button under a point: { action, col, row } for grid cells,
+// { action: 'pickType', type } for the palette, { action } otherwise; or null
+export function getEditorActionAt(x, y) {
+  return menuButtons.find(button => isInside(x, y, button.bounds)) || null;
+}
@@ -0,0 +1,133 @@
+/**
+ * UPGRADES
+ * Stacks owned, level up draws and the effect values the bullet pipeline
+ * reads for the upgrade catalog (UPGRADE_CATALOG in config.js)
+ *
+ * Damage, speed and bounce also live in state.js (bulletDamage...) because
+ * boss rewards add to them; every other effect is derived from the stacks here.
+ */
+
+import {
+  BULLET_WIDTH,
+  BULLET_COOLDOWN,
+  UPGRADE_CATALOG,
+  UPGRADE_RARITIES,
+  UPGRADE_SYNERGIES,
+  UPGRADE_CHOICES,
+  FIRE_RATE_UPGRADE_MULTIPLIER,
+  SIZE_UPGRADE_INCREMENT,
+  CRIT_CHANCE_PER_STACK,
+  EXPLOSION_RADIUS_PER_STACK,
+  HOMING_TURN_RATE_PER_STACK,
+  CHAIN_TARGETS_PER_STACK
+} from './config.js';
+import { upgradeLevels, random } from './state.js';
+
+// Catalog entry of an upgrade id, or undefined
+export function getUpgrade(id) {
+  return UPGRADE_CATALOG[id];
+}
+
+export function isCatalogUpgrade(id) {
+  return Object.prototype.hasOwnProperty.call(UPGRADE_CATALOG, id);
+}
+
+// Stacks of an upgrade owned this run
+export function getUpgradeLevel(id) {
+  return upgradeLevels[id] || 0;
+}
+
+// Whether the upgrade can still be offered (below its max stacks)
+export function canStack(id) {
+  return getUpgradeLevel(id) < UPGRADE_CATALOG[id].max;
+}
+
+// Whether every upgrade a synergy requires is owned
+export function hasSynergy(id) {
+  return UPGRADE_SYNERGIES[id].requires.every(upgrade => getUpgradeLevel(upgrade) > 0);
+}
+
+// Synergy that taking this upgrade would unlock, or null (menu hint)
+export function getSynergyUnlockedBy(upgradeId) {
+  if (getUpgradeLevel(upgradeId) > 0) return null;
+  for (const id in UPGRADE_SYNERGIES) {
+    const synergy = UPGRADE_SYNERGIES[id];
+    if (!synergy.requires.includes(upgradeId)) continue;
+    if (synergy.requires.every(upgrade => upgrade === upgradeId || getUpgradeLevel(upgrade) > 0)) {
+      return synergy;
+    }
+  }
+  return null;
+}
+
+// Up to UPGRADE_CHOICES different stackable upgrades, weighted by rarity
+// Uses the simulation RNG, so the same run always offers the same upgrades
+export function drawUpgradeChoices() {
+  const pool = Object.keys(UPGRADE_CATALOG).filter(canStack);
+  const choices = [];
+
+  while (choices.length < UPGRADE_CHOICES && pool.length > 0) {
+    let total = 0;
+    for (const id of pool) total += UPGRADE_RARITIES[UPGRADE_CATALOG[id].rarity].weight;
+
+    let roll = random() * total;
+    let index = pool.length - 1; // Only kept through rounding at the very end
+    for (let i = 0; i < pool.length; i++) {
+      roll -= UPGRADE_RARITIES[UPGRADE_CATALOG[pool[i]].rarity].weight;
+      if (roll < 0) {
+        index = i;
+        break;
+      }
+    }
+    choices.push(pool[index]);
+    pool.splice(index, 1);
+  }
+  return choices;
+}
+
+// === EFFECT VALUES ===
+
+// ms between shots
+export function getShotCooldown() {
+  return BULLET_COOLDOWN * Math.pow(FIRE_RATE_UPGRADE_MULTIPLIER, getUpgradeLevel('fireRate'));
+}
+
+// Bullets fired per shot (spread by MULTISHOT_SPREAD)
+export function getShotCount() {
+  return 1 + getUpgradeLevel('multishot');
+}
+
+// Bullet width/height in px
+export function getBulletSize() {
+  return BULLET_WIDTH + SIZE_UPGRADE_INCREMENT * getUpgradeLevel('size');
+}
+
+// Blocks a bullet passes through before it starts bouncing off them
+export function getPierce() {
+  return getUpgradeLevel('pierce');
+}
+
+export function getCritChance() {
+  return CRIT_CHANCE_PER_STACK * getUpgradeLevel('crit');
+}
+
+// Splash radius around an impact in px (0 = no explosions)
+export function getExplosionRadius() {
+  return EXPLOSION_RADIUS_PER_STACK * getUpgradeLevel('explosive');
+}
+
+// Radians per second a bullet turns toward its target (0 = no homing)
+export function getHomingTurnRate() {
+  const rate = HOMING_TURN_RATE_PER_STACK * getUpgradeLevel('homing');
+  return hasSynergy('seeker') ? rate * 2 : rate;
+}
+
+// Blocks zapped when a bullet kills one (0 = no chain lightning)
+export function getChainTargets() {
+  return CHAIN_TARGETS_PER_STACK * getUpgradeLevel('chain');
+}
+
+// Stacks owned out of the max for the menu, e.g. "Lv 2/3"
+export function describeUpgradeLevel(id) {
+  return `Lv ${getUpgradeLevel(id)}/${UPGRADE_CATALOG[id].max}`;
+}